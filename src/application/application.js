@@ -238,6 +238,8 @@ export default class Application {
         this.world.app = this;
         // set the reference to this application instance
         this.world.physic = this.settings.physic;
+        // fixed physic step duration
+        this.world.fixedStep = this.settings.fixedStep || 0;
 
         // app starting time
         this.lastUpdate = globalThis.performance.now();
@@ -10,6 +10,7 @@ export const defaultSettings = {
     premultipliedAlpha: true,
     blendMode : "normal",
     physic : "builtin",
+    fixedStep : 0,
     antiAlias : false,
     failIfMajorPerformanceCaveat : true,
     subPixel : false,
@@ -52,6 +53,7 @@ export const defaultSettings = {
  * @param {number} [options.zoomY=height] - The actual height of the canvas with scaling applied
  * @param {Compositor} [options.compositor] - a custom compositor class (WebGL only)
  * @param {string} [option.physic="builtin"] - the physic system to use (default: "builtin", or "none" to disable builtin physic)
+ * @param {number} [option.fixedStep=0] - the duration (in seconds) of a fixed builtin physic step (e.g. 1/60), or 0 to step the physic simulation once per update (see {@link World#fixedStep})
  * @see Application
  * @memberof Application
  */
@@ -117,6 +117,21 @@ export default class Camera2d extends Renderable {
          */
         this.invCurrentTransform = new Matrix2d();
 
+        /**
+         * a list of post effect shaders applied to the rendered camera view (e.g. bloom, blur, color grading),
+         * each pass reading the texture produced by the previous one (WebGL only)
+         * @public
+         * @type {GLShader[]}
+         * @name postEffects
+         * @default []
+         * @memberof Camera2d
+         * @see WebGLRenderer#endPostEffects
+         * @example
+         * // pixelate the whole game view
+         * me.game.viewport.postEffects.push(pixelateShader);
+         */
+        this.postEffects = [];
+
         // offset for shake effect
         this.offset = new Vector2d();
 
@@ -704,6 +719,11 @@ export default class Camera2d extends Renderable {
 
         this.preDraw(renderer);
 
+        // draw the camera view into an offscreen render target
+        if (this.postEffects.length > 0 && typeof renderer.beginPostEffects === "function") {
+            renderer.beginPostEffects(this.postEffects);
+        }
+
         container.preDraw(renderer, this);
 
         // draw all objects,
@@ -715,6 +735,11 @@ export default class Camera2d extends Renderable {
 
         container.postDraw(renderer, this);
 
+        // apply the post effects and draw the result
+        if (this.postEffects.length > 0 && typeof renderer.endPostEffects === "function") {
+            renderer.endPostEffects(this.postEffects);
+        }
+
         this.postDraw(renderer);
 
         // translate the world coordinates by default to screen coordinates
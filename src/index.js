@@ -17,6 +17,7 @@ import Rect from "./geometries/rectangle.js";
 import RoundRect from "./geometries/roundrect.js";
 import QuadTree from "./physics/quadtree.js";
 import Body from "./physics/body.js";
+import CharacterBody from "./physics/character_body.js";
 import Bounds from "./physics/bounds.js";
 import Tween from "./tweens/tween.js";
 import GLShader from "./video/webgl/glshader.js";
@@ -25,6 +26,15 @@ import PrimitiveCompositor from "./video/webgl/compositors/primitive_compositor.
 import QuadCompositor from "./video/webgl/compositors/quad_compositor.js";
 import Renderer from "./video/renderer.js";
 import WebGLRenderer from "./video/webgl/webgl_renderer.js";
+import RenderTarget from "./video/webgl/render_target.js";
+import ShaderEffect from "./video/webgl/effects/shader_effect.js";
+import FlashEffect from "./video/webgl/effects/flash.js";
+import OutlineEffect from "./video/webgl/effects/outline.js";
+import DissolveEffect from "./video/webgl/effects/dissolve.js";
+import HueShiftEffect from "./video/webgl/effects/hue_shift.js";
+import GrayscaleEffect from "./video/webgl/effects/grayscale.js";
+import PaletteSwapEffect from "./video/webgl/effects/palette_swap.js";
+import DropShadowEffect from "./video/webgl/effects/drop_shadow.js";
 import CanvasRenderer from "./video/canvas/canvas_renderer.js";
 import CanvasTexture from "./video/texture/canvas_texture.js";
 import { TextureAtlas } from "./video/texture/atlas.js";
@@ -52,14 +62,23 @@ import TMXStaggeredRenderer from "./level/tiled/renderer/TMXStaggeredRenderer.js
 import Tile from "./level/tiled/TMXTile.js";
 import TMXTileset from "./level/tiled/TMXTileset.js";
 import TMXTilesetGroup from "./level/tiled/TMXTilesetGroup.js";
+import TMXWangSet from "./level/tiled/TMXWangSet.js";
 import TMXTileMap from "./level/tiled/TMXTileMap.js";
+import TMXWorld from "./level/tiled/TMXWorld.js";
 import TMXLayer from "./level/tiled/TMXLayer.js";
+import tileAnimationClock from "./level/tiled/TMXAnimationClock.js";
 import * as TMXUtils from "./level/tiled/TMXUtils.js";
 import Pointer from "./input/pointer.js";
 import Stage from "./state/stage.js";
 import Camera2d from "./camera/camera2d.js";
 import Container from "./renderable/container.js";
 import World from "./physics/world.js";
+import Joint from "./physics/joints/joint.js";
+import DistanceJoint from "./physics/joints/distance_joint.js";
+import RopeJoint from "./physics/joints/rope_joint.js";
+import SpringJoint from "./physics/joints/spring_joint.js";
+import RevoluteJoint from "./physics/joints/revolute_joint.js";
+import PrismaticJoint from "./physics/joints/prismatic_joint.js";
 import ParticleEmitterSettings from "./particles/settings.js";
 import ParticleEmitter from "./particles/emitter.js";
 import Particle from "./particles/particle.js";
@@ -79,6 +98,10 @@ import * as plugin from "./plugin/plugin.js";
 import { cache as plugins } from "./plugin/plugin.js";
 import * as video from "./video/video.js";
 import save from "./system/save.js";
+import StorageAdapter from "./system/storage/storage_adapter.js";
+import LocalStorageAdapter from "./system/storage/local_storage.js";
+import IndexedDBStorageAdapter from "./system/storage/indexeddb_storage.js";
+import MemoryStorageAdapter from "./system/storage/memory_storage.js";
 import timer from "./system/timer.js";
 import pool from "./system/pooling.js";
 import state from "./state/state.js";
@@ -137,11 +160,21 @@ export {
     QuadCompositor,
     Renderer,
     WebGLRenderer,
+    RenderTarget,
+    ShaderEffect,
+    FlashEffect,
+    OutlineEffect,
+    DissolveEffect,
+    HueShiftEffect,
+    GrayscaleEffect,
+    PaletteSwapEffect,
+    DropShadowEffect,
     CanvasRenderer,
     CanvasTexture,
     TextureAtlas,
     Renderable,
     Body,
+    CharacterBody,
     Bounds,
     Text,
     BitmapText,
@@ -166,19 +199,32 @@ export {
     Tile,
     TMXTileset,
     TMXTilesetGroup,
+    TMXWangSet,
     TMXTileMap,
+    TMXWorld,
     TMXLayer,
+    tileAnimationClock,
     TMXUtils,
     Pointer,
     Stage,
     Camera2d,
     Container,
     World,
+    Joint,
+    DistanceJoint,
+    RopeJoint,
+    SpringJoint,
+    RevoluteJoint,
+    PrismaticJoint,
     ParticleEmitter,
     ParticleEmitterSettings,
     Particle,
     Entity,
-    Application
+    Application,
+    StorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter,
+    MemoryStorageAdapter
 };
 
 // Backward compatibility for deprecated method or properties
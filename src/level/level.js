@@ -5,6 +5,7 @@ import state from "./../state/state.js";
 import { getTMX } from "./../loader/loader.js";
 import { game } from "../index.js";
 import TMXTileMap from "./tiled/TMXTileMap.js";
+import TMXWorld from "./tiled/TMXWorld.js";
 
 
 // our levels
@@ -85,7 +86,7 @@ let level = {
      * @name add
      * @memberof level
      * @public
-     * @param {string} format - level format (only "tmx" supported)
+     * @param {string} format - level format ("tmx" or "world")
      * @param {string} levelId - the level id (or name)
      * @param {Function} [callback] - a function to be called once the level is loaded
      * @returns {boolean} true if the level was loaded
@@ -112,6 +113,23 @@ let level = {
                 // true if level loaded
                 return true;
 
+            case "world" :
+                if (levels[levelId] == null) {
+                    levels[levelId] = new TMXWorld(levelId, getTMX(levelId));
+                    // level index
+                    levelIdx.push(levelId);
+                }
+                else {
+                    return false;
+                }
+
+                // call the callback if defined
+                if (callback) {
+                    callback();
+                }
+                // true if level loaded
+                return true;
+
             default :
                 throw new Error("no level loader defined for format " + format);
         }
@@ -130,6 +148,7 @@ let level = {
      * @param {boolean} [options.flatten=game.mergeGroup] - if true, flatten all objects into the given container
      * @param {boolean} [options.setViewportBounds=true] - if true, set the viewport bounds to the map size
      * @returns {boolean} true if the level was successfully loaded
+     * @see TMXWorld
      * @example
      * // the game assets to be be preloaded
      * // TMX maps
@@ -169,7 +188,7 @@ let level = {
             throw new Error("level " + levelId + " not found");
         }
 
-        if (levels[levelId] instanceof TMXTileMap) {
+        if (levels[levelId] instanceof TMXTileMap || levels[levelId] instanceof TMXWorld) {
 
             // check the status of the state mngr
             let wasRunning = state.isRunning();
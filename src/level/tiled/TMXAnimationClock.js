@@ -0,0 +1,95 @@
+import timer from "./../../system/timer.js";
+
+/**
+ * @classdesc
+ * a clock shared by all tilesets to drive the Tiled tile animations
+ * @see {@link tileAnimationClock} the default global tile animation clock instance
+ */
+class TMXAnimationClock {
+
+    constructor() {
+        /**
+         * the elapsed animation time (in ms), scaled by the clock speed
+         * @type {number}
+         */
+        this.time = 0;
+
+        /**
+         * the animation time scale applied to all animated tiles (e.g. 0.5 for half speed)
+         * @type {number}
+         * @default 1
+         */
+        this.speed = 1;
+
+        /**
+         * true if all tile animations are paused
+         * @type {boolean}
+         * @default false
+         */
+        this.paused = false;
+
+        /**
+         * the animation time elapsed during the last update
+         * @type {number}
+         */
+        this.delta = 0;
+
+        // remember the last update timestamp, to only advance the clock once per frame
+        this.lastUpdate = 0;
+    }
+
+    /**
+     * pause all tile animations
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * resume all tile animations
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * reset the clock time, restarting all synchronized tile animations from their first frame
+     */
+    reset() {
+        this.time = 0;
+        this.delta = 0;
+    }
+
+    /**
+     * advance the clock by the given time, once per frame
+     * @ignore
+     * @param {number} dt - the time elapsed since the last frame
+     * @returns {number} the scaled animation time elapsed during the current frame
+     */
+    update(dt) {
+        let now = timer.getTime();
+        if (this.lastUpdate !== now) {
+            this.lastUpdate = now;
+            this.delta = this.paused === true ? 0 : dt * this.speed;
+            this.time += this.delta;
+        }
+        return this.delta;
+    }
+}
+
+const tileAnimationClock = new TMXAnimationClock();
+
+/**
+ * the default global tile animation clock, driving the animations of all tilesets
+ * @namespace tileAnimationClock
+ * @see TMXAnimationClock
+ * @see TMXTileset#syncAnimations
+ * @example
+ * // freeze all animated tiles during a cutscene
+ * me.tileAnimationClock.pause();
+ * // ...
+ * me.tileAnimationClock.resume();
+ * // play all tile animations at half speed
+ * me.tileAnimationClock.speed = 0.5;
+ */
+export default tileAnimationClock;
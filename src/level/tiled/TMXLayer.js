@@ -1,9 +1,17 @@
 import { createCanvas } from "./../../video/video.js";
 import pool from "./../../system/pooling.js";
+import * as event from "./../../system/event.js";
 import * as TMXUtils from "./TMXUtils.js";
 import Tile from "./TMXTile.js";
+import TMXWangSet from "./TMXWangSet.js";
+import { toJSONProperties } from "./TMXWriter.js";
 import Renderable from "./../../renderable/renderable.js";
 import CanvasRenderer from "./../../video/canvas/canvas_renderer";
+import Bounds from "./../../physics/bounds.js";
+import Body from "./../../physics/body.js";
+import collision from "./../../physics/collision.js";
+import { degToRad } from "./../../math/math.js";
+import { TMX_FLIP_H, TMX_FLIP_V, TMX_FLIP_AD, TMX_CLEAR_BIT_MASK } from "./constants.js";
 
 /**
  * Create required arrays for the given layer object
@@ -25,32 +33,226 @@ function initArray(rows, cols) {
  * Set a tiled layer Data
  * @ignore
  */
-function setLayerData(layer, bounds, data) {
+function setLayerData(layer, data) {
     let idx = 0;
-    let width, height;
-
-    // layer provide rows and cols, chunk width and height
-    if (typeof bounds.rows === "undefined") {
-        width = bounds.width;
-        height = bounds.height;
-    } else {
-        width = bounds.cols;
-        height = bounds.rows;
-    }
     // set everything
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
+    for (let y = 0; y < layer.rows; y++) {
+        for (let x = 0; x < layer.cols; x++) {
             // get the value of the gid
             const gid = data[idx++];
             // fill the array
             if (gid !== 0) {
                 // add a new tile to the layer
-                layer.layerData[x + bounds.x][y + bounds.y] = layer.getTileById(gid, x + bounds.x, y + bounds.y);
+                layer.layerData[x][y] = layer.getTileById(gid, x, y);
             }
         }
     }
 }
 
+/**
+ * return the key of the chunk containing the given tile
+ * @ignore
+ */
+function chunkKey(layer, x, y) {
+    return Math.floor(x / layer.chunkWidth) + "," + Math.floor(y / layer.chunkHeight);
+}
+
+/**
+ * return true if the given tile coordinates are within the layer
+ * (infinite layers can be extended in any direction)
+ * @ignore
+ */
+function inLayer(layer, x, y) {
+    return layer.infinite === true || (x >= 0 && x < layer.cols && y >= 0 && y < layer.rows);
+}
+
+/**
+ * return the gid (including the flip flags) of the given tile, or 0 if none
+ * @ignore
+ */
+function getGid(tile) {
+    if (tile === null || typeof tile === "undefined") {
+        return 0;
+    }
+    return tile.tileId +
+        (tile.flippedX ? TMX_FLIP_H : 0) +
+        (tile.flippedY ? TMX_FLIP_V : 0) +
+        (tile.flippedAD ? TMX_FLIP_AD : 0);
+}
+
+/**
+ * apply the given 2x2 transform matrix ([a, b, c, d]) to the flip flags of the given gid
+ * @ignore
+ */
+function transformGid(gid, m) {
+    if (gid === 0) {
+        return 0;
+    }
+    // the tile transform matrix, the anti-diagonal flip being applied first, followed by the horizontal and vertical flips
+    let t = (gid & TMX_FLIP_AD) !== 0 ? [0, 1, 1, 0] : [1, 0, 0, 1];
+    if ((gid & TMX_FLIP_H) !== 0) {
+        t[0] = -t[0];
+        t[1] = -t[1];
+    }
+    if ((gid & TMX_FLIP_V) !== 0) {
+        t[2] = -t[2];
+        t[3] = -t[3];
+    }
+    let r = [
+        m[0] * t[0] + m[1] * t[2], m[0] * t[1] + m[1] * t[3],
+        m[2] * t[0] + m[3] * t[2], m[2] * t[1] + m[3] * t[3]
+    ];
+    // decompose the result back into flip flags
+    let flippedAD = r[0] === 0;
+    let flippedX = (flippedAD ? r[1] : r[0]) < 0;
+    let flippedY = (flippedAD ? r[2] : r[3]) < 0;
+    return (gid & TMX_CLEAR_BIT_MASK) +
+        (flippedX ? TMX_FLIP_H : 0) +
+        (flippedY ? TMX_FLIP_V : 0) +
+        (flippedAD ? TMX_FLIP_AD : 0);
+}
+
+/**
+ * the wang id indices shared by each neighbour of a tile (relative column, row, and shared indices)
+ * @ignore
+ */
+const TERRAIN_NEIGHBOURS = [
+    [ 0, -1, [3, 4, 5]],
+    [ 1, -1, [5]],
+    [ 1,  0, [5, 6, 7]],
+    [ 1,  1, [7]],
+    [ 0,  1, [7, 0, 1]],
+    [-1,  1, [1]],
+    [-1,  0, [1, 2, 3]],
+    [-1, -1, [3]]
+];
+
+/**
+ * the tile and collision object properties defining the shape collision settings
+ * @ignore
+ */
+const SHAPE_SETTINGS = ["oneWay", "isSensor", "collisionMask"];
+
+/**
+ * return the collision settings defined by the given properties, refining the given settings
+ * @ignore
+ */
+function getShapeSettings(properties, settings) {
+    let result = Object.assign({}, settings);
+    if (typeof properties !== "undefined") {
+        SHAPE_SETTINGS.forEach((name) => {
+            if (typeof properties[name] !== "undefined") {
+                result[name] = properties[name];
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * return a new vector for the given point of a tile collision object, applying the tile flipping
+ * (anti-diagonal flip first, followed by the horizontal and vertical flips, as in Tiled)
+ * @ignore
+ */
+function tilePoint(tile, x, y) {
+    let width = tile.tileset.tilewidth;
+    let height = tile.tileset.tileheight;
+    if (tile.flippedAD === true) {
+        [x, y] = [y, x];
+    }
+    if (tile.flippedX === true) {
+        x = width - x;
+    }
+    if (tile.flippedY === true) {
+        y = height - y;
+    }
+    return pool.pull("Vector2d", x, y);
+}
+
+/**
+ * return true if the given collision object is a rectangle covering the whole tile
+ * @ignore
+ */
+function isFullTile(layer, tile, object) {
+    let tileset = tile.tileset;
+    return typeof object.ellipse === "undefined" &&
+           typeof object.point === "undefined" &&
+           typeof object.polygon === "undefined" &&
+           typeof object.polyline === "undefined" &&
+           !(+object.rotation) && !(+object.x) && !(+object.y) &&
+           +object.width === layer.tilewidth && +object.height === layer.tileheight &&
+           tileset.tilewidth === layer.tilewidth && tileset.tileheight === layer.tileheight &&
+           tileset.tileoffset.x === 0 && tileset.tileoffset.y === 0;
+}
+
+/**
+ * return the shapes corresponding to the given tile collision object, relative to the tile image position
+ * @ignore
+ */
+function getTileShapes(tile, object) {
+    let x = +object.x || 0;
+    let y = +object.y || 0;
+    let width = +object.width || 0;
+    let height = +object.height || 0;
+    let rotation = degToRad(+object.rotation || 0);
+
+    // return the flipped point at the given position within the object
+    let point = (px, py) => {
+        let v = pool.pull("Vector2d", px, py).rotate(rotation);
+        let p = tilePoint(tile, x + v.x, y + v.y);
+        pool.push(v);
+        return p;
+    };
+
+    if (typeof object.point !== "undefined") {
+        // points have no area
+        return [];
+    } else if (typeof object.ellipse !== "undefined") {
+        let center = tilePoint(tile, x + width / 2, y + height / 2);
+        let shape = tile.flippedAD === true ?
+            pool.pull("Ellipse", center.x, center.y, height, width) :
+            pool.pull("Ellipse", center.x, center.y, width, height);
+        pool.push(center);
+        return [shape];
+    } else if (typeof object.polyline !== "undefined") {
+        let shapes = [];
+        for (let i = 0; i < object.polyline.length - 1; i++) {
+            shapes.push(pool.pull("Line", 0, 0, [
+                point(+object.polyline[i].x, +object.polyline[i].y),
+                point(+object.polyline[i + 1].x, +object.polyline[i + 1].y)
+            ]));
+        }
+        return shapes;
+    } else if (typeof object.polygon !== "undefined") {
+        let polygon = pool.pull("Polygon", 0, 0, object.polygon.map((p) => point(+p.x, +p.y)));
+        if (polygon.isConvex() !== true) {
+            throw new Error("collision polygones in Tiled should be defined as Convex");
+        }
+        return [polygon];
+    }
+    // a rectangle
+    return [pool.pull("Polygon", 0, 0, [
+        point(0, 0), point(width, 0), point(width, height), point(0, height)
+    ])];
+}
+
+/**
+ * create a renderable with a static body made of the given shapes
+ * @ignore
+ */
+function createCollisionObject(layer, x, y, width, height, shapes, settings) {
+    let obj = pool.pull("Renderable", x, y, width, height);
+    obj.anchorPoint.set(0, 0);
+    obj.pos.z = layer.pos.z;
+    obj.body = new Body(obj, shapes);
+    obj.body.setStatic(true);
+    obj.body.collisionType = collision.types.WORLD_SHAPE;
+    for (let i = 0; i < settings.length; i++) {
+        obj.body.setShapeSettings(i, settings[i]);
+    }
+    return obj;
+}
+
 /**
  * @classdesc
  * a TMX Tile Layer Object
@@ -71,6 +273,9 @@ export default class TMXLayer extends Renderable {
         // super constructor
         super(0, 0, 0, 0);
 
+        // the layer definition, used when exporting the layer
+        this.definition = data;
+
         // tile width & height
         this.tilewidth = data.tilewidth || tilewidth;
         this.tileheight = data.tileheight || tileheight;
@@ -169,6 +374,84 @@ export default class TMXLayer extends Renderable {
             this.height = this.rows * this.tileheight;
         }
 
+        /**
+         * if true, the layer is pre-rendered into fixed-size chunk textures, only redrawing the chunks
+         * changed through `setTile()` or `clearTile()`, and then drawn using a few quads per frame.
+         * (this is ignored for layers with animated tiles, and can also be set through a "cacheChunks" property in Tiled)<br>
+         * Chunks are pre-rendered into render targets when using the WebGL renderer (all sharing a single texture unit),
+         * or into offscreen canvases when using the Canvas renderer.
+         * @type {boolean}
+         * @default false
+         * @see TMXLayer#cacheChunkSize
+         * @see TMXLayer#cacheChunkLimit
+         */
+        this.cacheChunks = false;
+
+        /**
+         * the size (in pixels) of the chunk textures used when `cacheChunks` is enabled
+         * @type {number}
+         * @default 512
+         */
+        this.cacheChunkSize = 512;
+
+        /**
+         * the maximum amount of chunk textures kept in memory when `cacheChunks` is enabled,
+         * the least recently drawn off-screen chunks being released first when exceeded
+         * @type {number}
+         * @default 32
+         */
+        this.cacheChunkLimit = 32;
+
+        /**
+         * if true, static collision bodies are created from the collision shapes defined per tile in the tilesets
+         * (through the Tiled tile collision editor), adjacent full tile rectangles being merged together.<br>
+         * The `oneWay`, `isSensor` and `collisionMask` tile and collision object properties are applied to the corresponding shapes.
+         * (this can also be set through a "collidable" property in Tiled, and is only supported by orthogonal maps)
+         * @type {boolean}
+         * @default false
+         * @see TMXLayer#getCollisionObjects
+         */
+        this.collidable = false;
+
+        /**
+         * the size (in tiles) of the layer areas in which tile collision shapes are merged,
+         * changing tiles only rebuilding the collision bodies of their areas, once per edit (e.g. when using `fillRect()`).
+         * @type {number}
+         * @default 16
+         */
+        this.collisionSectorSize = 16;
+
+        /**
+         * the maximum number of edits that can be reverted using `undo()`, 0 to disable the edit history
+         * @type {number}
+         * @default 0
+         * @see TMXLayer#undo
+         */
+        this.historyLimit = 0;
+
+        // edit history, and the tile changes of the edit in progress
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editChanges = undefined;
+        this.editDepth = 0;
+
+        // keys of the collision sectors to rebuild at the end of the edit in progress
+        this.dirtyCollisionSectors = new Set();
+
+        /**
+         * the renderables drawn by this layer, interleaved with its tiles based on their depth
+         * @type {Renderable[]}
+         * @see TMXLayer#addDepthObject
+         */
+        this.depthObjects = [];
+
+        // the depth objects queued for the current frame, sorted by depth
+        this.depthQueue = [];
+        this.depthIndex = 0;
+        this.depthOffset = 0;
+        this.depthViewport = undefined;
+        this.isDepthSorting = false;
+
         // check if we have any user-defined properties
         TMXUtils.applyTMXProperties(this, data);
 
@@ -176,13 +459,18 @@ export default class TMXLayer extends Renderable {
         this.setRenderer(map.getRenderer());
 
 
-        // initialize the data array
-        this.layerData = initArray(this.rows, this.cols);
+        /**
+         * true if the layer belongs to an infinite map, its tiles being then stored per chunk
+         * @type {boolean}
+         */
+        this.infinite = map.infinite === 1;
+
+        if (this.infinite === false) {
+            // initialize the data array
+            this.layerData = initArray(this.rows, this.cols);
 
-        if (map.infinite === 0) {
             // initialize and set the layer data
             setLayerData(
-                this,
                 this,
                 TMXUtils.decode(
                     data.data,
@@ -190,20 +478,43 @@ export default class TMXLayer extends Renderable {
                     data.compression
                 )
             );
-        } else if (map.infinite === 1) {
-            // infinite map, initialize per chunk
+        } else {
+            /**
+             * the layer chunks (infinite maps only), decoded when getting close to the camera and evicted when far away
+             * @type {Map<string, object>}
+             */
+            this.chunks = new Map();
+
+            /**
+             * the area covered by the layer chunks, in tiles (infinite maps only)
+             * @type {Bounds}
+             */
+            this.chunkBounds = new Bounds();
+
+            /**
+             * chunks within this distance (in pixels) of the camera are decoded (infinite maps only)
+             * @type {number}
+             * @default 256
+             */
+            this.chunkLoadDistance = 256;
+
+            /**
+             * decoded chunks further than this distance (in pixels) from the camera are evicted (infinite maps only)
+             * @type {number}
+             * @default 512
+             */
+            this.chunkUnloadDistance = 512;
+
+            // chunk size in tiles (16x16 by default in Tiled)
+            this.chunkWidth = data.chunks.length > 0 ? +data.chunks[0].width : 16;
+            this.chunkHeight = data.chunks.length > 0 ? +data.chunks[0].height : 16;
+
+            // keep the chunk data encoded until required
             data.chunks.forEach((chunk) => {
-                // initialize and set the layer data
-                setLayerData(
-                    this,
-                    chunk,
-                    TMXUtils.decode(
-                        chunk.data,
-                        data.encoding,
-                        data.compression
-                    )
-                );
+                this.addChunk(+chunk.x, +chunk.y, +chunk.width, +chunk.height, chunk.data, data.encoding, data.compression);
             });
+
+            this.updateBounds();
         }
 
     }
@@ -226,11 +537,16 @@ export default class TMXLayer extends Renderable {
 
         this.isAnimated = this.animatedTilesets.length > 0;
 
+        // chunk caching is only used for static layers
+        if (this.isAnimated === true) {
+            this.cacheChunks = false;
+        }
+
         // check for the correct rendering method
-        if (typeof this.preRender === "undefined" && this.isAnimated === false) {
+        if (typeof this.preRender === "undefined" && this.isAnimated === false && this.infinite === false && this.cacheChunks === false) {
             this.preRender = this.ancestor.getRootAncestor().preRender;
         } else {
-            // Force pre-render off when tileset animation is used
+            // Force pre-render off when tileset animation or chunk caching is used, or for infinite maps
             this.preRender = false;
         }
 
@@ -254,6 +570,13 @@ export default class TMXLayer extends Renderable {
         // clear all allocated objects
         //this.layerData = undefined;
         this.animatedTilesets = undefined;
+        // release the chunk textures
+        if (typeof this.cachedChunks !== "undefined") {
+            this.cachedChunks.forEach((cache) => this.releaseCachedChunk(cache));
+            this.cachedChunks.clear();
+        }
+        // let the depth objects be drawn again by their container
+        this.depthObjects.slice().forEach((renderable) => this.removeDepthObject(renderable));
     }
 
     /**
@@ -302,7 +625,7 @@ export default class TMXLayer extends Renderable {
     getTile(x, y) {
         let tile = null;
 
-        if (this.contains(x, y)) {
+        if (this.infinite === true || this.contains(x, y)) {
             let coord = this.getRenderer().pixelToTileCoords(x, y, pool.pull("Vector2d"));
             tile = this.cellAt(coord.x, coord.y);
             pool.push(coord);
@@ -318,7 +641,18 @@ export default class TMXLayer extends Renderable {
      * @returns {Tile} the tile object
      */
     setTile(tile, x, y) {
-        this.layerData[x][y] = tile;
+        let previous = this.cellAt(x, y);
+        if (this.infinite === true) {
+            // tiles can be set outside of the map original area
+            let chunk = this.getChunk(x, y, true);
+            this.getChunkTiles(chunk)[(x - chunk.x) + (y - chunk.y) * chunk.width] = tile;
+            chunk.modified = true;
+        } else {
+            this.layerData[x][y] = tile;
+        }
+        this.invalidateCachedChunks(x, y);
+        this.invalidateCollisionObjects(x, y);
+        this.onTileChange(x, y, tile, previous);
         this.isDirty = true;
         return tile;
     }
@@ -352,6 +686,14 @@ export default class TMXLayer extends Renderable {
         let _x = ~~x;
         let _y = ~~y;
 
+        if (this.infinite === true) {
+            let chunk = this.getChunk(_x, _y);
+            if (typeof chunk === "undefined") {
+                return null;
+            }
+            return this.getChunkTiles(chunk)[(_x - chunk.x) + (_y - chunk.y) * chunk.width];
+        }
+
         let renderer = this.getRenderer();
         // boundsCheck only used internally by the tiled renderer, when the layer bound check was already done
         if (boundsCheck === false || (_x >= 0 && _x < renderer.cols && _y >= 0 && _y < renderer.rows)) {
@@ -372,15 +714,1124 @@ export default class TMXLayer extends Renderable {
      * });
      */
     clearTile(x, y) {
+        let previous = this.cellAt(x, y);
         // clearing tile
-        this.layerData[x][y] = null;
+        if (this.infinite === true) {
+            let chunk = this.getChunk(x, y);
+            if (typeof chunk !== "undefined") {
+                this.getChunkTiles(chunk)[(x - chunk.x) + (y - chunk.y) * chunk.width] = null;
+                chunk.modified = true;
+            }
+        } else {
+            this.layerData[x][y] = null;
+        }
+        this.invalidateCachedChunks(x, y);
+        this.invalidateCollisionObjects(x, y);
         // erase the corresponding area in the canvas
         if (this.preRender) {
             this.canvasRenderer.clearRect(x * this.tilewidth, y * this.tileheight, this.tilewidth, this.tileheight);
         }
+        this.onTileChange(x, y, null, previous);
         this.isDirty = true;
     }
 
+    /**
+     * return the wang set with the given name, from any of this layer tilesets
+     * @param {string|number} [name=0] - the wang set name, or index in the first tileset defining wang sets
+     * @returns {TMXWangSet|undefined} the corresponding wang set
+     */
+    getWangSet(name = 0) {
+        for (let i = 0; i < this.tilesets.length; i++) {
+            const tileset = this.tilesets.getTilesetByIndex(i);
+            if (tileset.wangsets.length > 0) {
+                const wangset = tileset.getWangSet(name);
+                if (typeof wangset !== "undefined" || typeof name === "number") {
+                    return wangset;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * paint the given terrain at the specified position, and update the neighbouring tiles
+     * to the corner/edge variants matching the new terrain layout.
+     * @param {number} x - X coordinate (in map coordinates: row/column)
+     * @param {number} y - Y coordinate (in map coordinates: row/column)
+     * @param {number|string} terrainId - the terrain color id (starting at 1) or name in the wang set, 0 to erase the terrain
+     * @param {TMXWangSet|string} [wangset] - the wang set to use (default to the first one defined in this layer tilesets)
+     * @returns {boolean} true if a tile matching the terrain was found and painted
+     * @example
+     * // the player digs a hole at the given tile coordinates
+     * layer.paintTerrain(col, row, "Dirt");
+     */
+    paintTerrain(x, y, terrainId, wangset) {
+        if (!(wangset instanceof TMXWangSet)) {
+            wangset = this.getWangSet(wangset);
+        }
+        if (typeof wangset === "undefined") {
+            throw new Error("no wang set defined for layer " + this.name);
+        }
+        if (typeof terrainId === "string") {
+            terrainId = wangset.getTerrainId(terrainId);
+        }
+        if (!inLayer(this, x, y)) {
+            return false;
+        }
+
+        let indices = wangset.indices;
+
+        this.beginEdit();
+
+        // the painted tile is entirely covered by the terrain
+        let wangid = new Array(8).fill(0);
+        indices.forEach((index) => {
+            wangid[index] = terrainId;
+        });
+        let gid = wangset.findTile(wangid, indices);
+        if (gid === -1 && terrainId !== 0) {
+            this.endEdit();
+            return false;
+        }
+        this.updateTile(x, y, gid);
+
+        // update the neighbours sharing an edge or corner with the painted tile
+        TERRAIN_NEIGHBOURS.forEach(([dx, dy, shared]) => {
+            let nx = x + dx, ny = y + dy;
+            if (!inLayer(this, nx, ny)) {
+                return;
+            }
+            let tile = this.cellAt(nx, ny, false);
+            let current = wangset.getWangId(tile);
+            if (tile !== null && typeof current === "undefined") {
+                // not a terrain tile
+                return;
+            }
+            let target = typeof current !== "undefined" ? current.slice() : new Array(8).fill(0);
+            let required = shared.filter((index) => indices.includes(index));
+            required.forEach((index) => {
+                target[index] = terrainId;
+            });
+            // empty cells are only filled with tiles exactly matching the terrain layout
+            let neighbourGid = wangset.findTile(target, required, tile === null);
+            if (neighbourGid !== -1) {
+                this.updateTile(nx, ny, neighbourGid);
+            }
+        });
+
+        this.endEdit();
+        return true;
+    }
+
+    /**
+     * set the tile with the given gid (including flip flags) at the given position, or clear it if the gid is 0 or less
+     * @ignore
+     * @returns {boolean} true if the tile was changed
+     */
+    updateTile(x, y, gid) {
+        let current = this.cellAt(x, y);
+        if (gid <= 0) {
+            if (current === null || typeof current === "undefined") {
+                return false;
+            }
+            this.clearTile(x, y);
+        } else if (getGid(current) !== gid) {
+            let tile = this.setTile(this.getTileById(gid, x, y), x, y);
+            // update the pre-rendered canvas
+            if (this.preRender) {
+                this.canvasRenderer.clearRect(x * this.tilewidth, y * this.tileheight, this.tilewidth, this.tileheight);
+                this.getRenderer().drawTile(this.canvasRenderer, x, y, tile);
+            }
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * notify a tile change, and add it to the edit history
+     * @ignore
+     */
+    onTileChange(x, y, tile, previous) {
+        let before = getGid(previous), after = getGid(tile);
+        if (before === after) {
+            return;
+        }
+        if (this.historyLimit > 0 && this.historyLock !== true) {
+            let change = [x, y, before, after];
+            if (this.editDepth > 0) {
+                this.editChanges.push(change);
+            } else {
+                this.pushHistory([change]);
+            }
+        }
+        event.emit(event.TILE_CHANGED, this, x, y, tile, previous);
+    }
+
+    /**
+     * group the following tile changes into a single edit, until `endEdit()` is called
+     * @ignore
+     */
+    beginEdit() {
+        if (this.editDepth++ === 0) {
+            this.editChanges = [];
+        }
+    }
+
+    /**
+     * end the current edit, adding it to the edit history
+     * @ignore
+     */
+    endEdit() {
+        if (--this.editDepth === 0) {
+            if (this.editChanges.length > 0) {
+                this.pushHistory(this.editChanges);
+            }
+            this.editChanges = undefined;
+            this.updateCollisionObjects();
+        }
+    }
+
+    /**
+     * add the given tile changes to the edit history
+     * @ignore
+     */
+    pushHistory(changes) {
+        this.undoStack.push(changes);
+        while (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack.length = 0;
+    }
+
+    /**
+     * revert the last edit made to this layer (`setTile()`, `clearTile()`, `fillRect()`, `floodFill()`, `pasteRegion()` or `paintTerrain()`)
+     * @returns {boolean} true if an edit was reverted, false if the edit history is empty
+     * @see TMXLayer#historyLimit
+     * @example
+     * // keep the last 50 edits
+     * layer.historyLimit = 50;
+     * layer.fillRect(0, 0, 10, 10, 5);
+     * // and revert them
+     * layer.undo();
+     */
+    undo() {
+        let changes = this.undoStack.pop();
+        if (typeof changes === "undefined") {
+            return false;
+        }
+        this.historyLock = true;
+        this.beginEdit();
+        for (let i = changes.length - 1; i >= 0; i--) {
+            this.updateTile(changes[i][0], changes[i][1], changes[i][2]);
+        }
+        this.endEdit();
+        this.historyLock = false;
+        this.redoStack.push(changes);
+        return true;
+    }
+
+    /**
+     * apply again the last edit reverted through `undo()`
+     * @returns {boolean} true if an edit was applied, false if there is nothing to redo
+     * @see TMXLayer#undo
+     */
+    redo() {
+        let changes = this.redoStack.pop();
+        if (typeof changes === "undefined") {
+            return false;
+        }
+        this.historyLock = true;
+        this.beginEdit();
+        for (let i = 0; i < changes.length; i++) {
+            this.updateTile(changes[i][0], changes[i][1], changes[i][3]);
+        }
+        this.endEdit();
+        this.historyLock = false;
+        this.undoStack.push(changes);
+        return true;
+    }
+
+    /**
+     * clear the edit history of this layer
+     */
+    clearHistory() {
+        this.undoStack.length = 0;
+        this.redoStack.length = 0;
+    }
+
+    /**
+     * fill the given area with the given tile
+     * @param {number} x - X coordinate of the area (in map coordinates: row/column)
+     * @param {number} y - Y coordinate of the area (in map coordinates: row/column)
+     * @param {number} width - width of the area (in tiles)
+     * @param {number} height - height of the area (in tiles)
+     * @param {number} gid - the tile gid (including flip flags), 0 to clear the area
+     * @returns {number} the number of changed tiles
+     * @example
+     * // clear the top-left 4x4 tiles
+     * layer.fillRect(0, 0, 4, 4, 0);
+     */
+    fillRect(x, y, width, height, gid) {
+        let count = 0;
+        this.beginEdit();
+        for (let row = y; row < y + height; row++) {
+            for (let col = x; col < x + width; col++) {
+                if (inLayer(this, col, row) && this.updateTile(col, row, gid)) {
+                    count++;
+                }
+            }
+        }
+        this.endEdit();
+        return count;
+    }
+
+    /**
+     * replace the tile at the given position and all the connected tiles sharing the same gid, with the given tile.<br>
+     * (tiles are connected when sharing an edge, as defined by the map orientation; infinite layers are only filled within their current bounds)
+     * @param {number} x - X coordinate (in map coordinates: row/column)
+     * @param {number} y - Y coordinate (in map coordinates: row/column)
+     * @param {number} gid - the tile gid (including flip flags), 0 to clear the area
+     * @returns {number} the number of changed tiles
+     */
+    floodFill(x, y, gid) {
+        let inside = (col, row) => {
+            if (this.infinite === true) {
+                return col >= this.chunkBounds.left && col < this.chunkBounds.right &&
+                       row >= this.chunkBounds.top && row < this.chunkBounds.bottom;
+            }
+            return inLayer(this, col, row);
+        };
+
+        if (!inside(x, y)) {
+            return 0;
+        }
+        let target = getGid(this.cellAt(x, y));
+        if (target === Math.max(gid, 0)) {
+            return 0;
+        }
+
+        let renderer = this.getRenderer();
+        let stack = [[x, y]];
+        let count = 0;
+
+        this.beginEdit();
+        while (stack.length > 0) {
+            let [col, row] = stack.pop();
+            if (!inside(col, row) || getGid(this.cellAt(col, row)) !== target) {
+                continue;
+            }
+            this.updateTile(col, row, gid);
+            count++;
+            stack.push(...renderer.getNeighbours(col, row));
+        }
+        this.endEdit();
+        return count;
+    }
+
+    /**
+     * copy the given area of this layer
+     * @param {number} x - X coordinate of the area (in map coordinates: row/column)
+     * @param {number} y - Y coordinate of the area (in map coordinates: row/column)
+     * @param {number} width - width of the area (in tiles)
+     * @param {number} height - height of the area (in tiles)
+     * @returns {object} the copied region, with `width`, `height` and `data` (an array of tile gids including flip flags, 0 for empty cells) properties
+     * @see TMXLayer#pasteRegion
+     */
+    copyRegion(x, y, width, height) {
+        let data = new Array(width * height);
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                data[col + row * width] = getGid(this.cellAt(x + col, y + row));
+            }
+        }
+        return { width : width, height : height, data : data };
+    }
+
+    /**
+     * paste the given region at the given position, empty cells being ignored.<br>
+     * The region is flipped first, and then rotated clockwise, along with its tiles.
+     * (flipping and rotating only match the tile layout on orthogonal and isometric maps)
+     * @param {object} region - a region returned by `copyRegion()`
+     * @param {number} x - X coordinate of the destination (in map coordinates: row/column)
+     * @param {number} y - Y coordinate of the destination (in map coordinates: row/column)
+     * @param {object} [settings] - optional transform settings
+     * @param {boolean} [settings.flipX=false] - flip the region horizontally
+     * @param {boolean} [settings.flipY=false] - flip the region vertically
+     * @param {number} [settings.rotate=0] - clockwise rotation angle in degrees (0, 90, 180 or 270)
+     * @returns {number} the number of changed tiles
+     * @example
+     * // copy a 4x2 area, and paste it rotated at another position
+     * let region = layer.copyRegion(0, 0, 4, 2);
+     * layer.pasteRegion(region, 10, 5, { rotate : 90 });
+     */
+    pasteRegion(region, x, y, settings = {}) {
+        let width = region.width, height = region.height;
+        let turns = ((Math.round((settings.rotate || 0) / 90) % 4) + 4) % 4;
+
+        // the transform matrix applied to the tiles
+        let m = [1, 0, 0, 1];
+        if (settings.flipX === true) {
+            m = [-m[0], -m[1], m[2], m[3]];
+        }
+        if (settings.flipY === true) {
+            m = [m[0], m[1], -m[2], -m[3]];
+        }
+        for (let i = 0; i < turns; i++) {
+            m = [-m[2], -m[3], m[0], m[1]];
+        }
+
+        let count = 0;
+        this.beginEdit();
+        for (let row = 0; row < height; row++) {
+            for (let col = 0; col < width; col++) {
+                let gid = region.data[col + row * width];
+                if (gid === 0) {
+                    continue;
+                }
+                let fx = settings.flipX === true ? width - 1 - col : col;
+                let fy = settings.flipY === true ? height - 1 - row : row;
+                let dx = fx, dy = fy;
+                switch (turns) {
+                    case 1:
+                        dx = height - 1 - fy;
+                        dy = fx;
+                        break;
+                    case 2:
+                        dx = width - 1 - fx;
+                        dy = height - 1 - fy;
+                        break;
+                    case 3:
+                        dx = fy;
+                        dy = width - 1 - fx;
+                        break;
+                }
+                if (inLayer(this, x + dx, y + dy) && this.updateTile(x + dx, y + dy, transformGid(gid, m))) {
+                    count++;
+                }
+            }
+        }
+        this.endEdit();
+        return count;
+    }
+
+    /**
+     * add a new chunk to this layer (infinite maps only)
+     * @ignore
+     */
+    addChunk(x, y, width, height, data, encoding, compression) {
+        let chunk = {
+            x : x,
+            y : y,
+            width : width,
+            height : height,
+            // encoded chunk data
+            data : data,
+            encoding : encoding,
+            compression : compression,
+            // decoded tiles, or null when not decoded
+            tiles : null,
+            // true if the decoded tiles were changed
+            modified : false
+        };
+        this.chunks.set(chunkKey(this, x, y), chunk);
+        this.chunkBounds.addFrame(x, y, x + width, y + height);
+        return chunk;
+    }
+
+    /**
+     * return the chunk containing the given tile (infinite maps only)
+     * @ignore
+     */
+    getChunk(x, y, create = false) {
+        let chunk = this.chunks.get(chunkKey(this, x, y));
+        if (typeof chunk === "undefined" && create === true) {
+            // new empty chunk, extending the layer
+            chunk = this.addChunk(
+                Math.floor(x / this.chunkWidth) * this.chunkWidth,
+                Math.floor(y / this.chunkHeight) * this.chunkHeight,
+                this.chunkWidth,
+                this.chunkHeight,
+                [],
+                "none"
+            );
+            this.updateBounds();
+        }
+        return chunk;
+    }
+
+    /**
+     * return the decoded tiles of the given chunk, decoding them if required (infinite maps only)
+     * @ignore
+     */
+    getChunkTiles(chunk) {
+        if (chunk.tiles === null) {
+            let data = TMXUtils.decode(chunk.data, chunk.encoding, chunk.compression);
+            let length = chunk.width * chunk.height;
+            chunk.tiles = new Array(length);
+            for (let i = 0; i < length; i++) {
+                const gid = data[i] || 0;
+                chunk.tiles[i] = gid !== 0 ? this.getTileById(gid, chunk.x + (i % chunk.width), chunk.y + Math.floor(i / chunk.width)) : null;
+            }
+        }
+        return chunk.tiles;
+    }
+
+    /**
+     * release the decoded tiles of the given chunk, keeping any change made to it (infinite maps only)
+     * @ignore
+     */
+    evictChunk(chunk) {
+        if (chunk.modified === true) {
+            // encode back the chunk tiles
+            chunk.data = chunk.tiles.map(getGid);
+            chunk.encoding = "none";
+            chunk.compression = undefined;
+            chunk.modified = false;
+        }
+        chunk.tiles = null;
+    }
+
+    /**
+     * decode the chunks within `chunkLoadDistance` of the given area, and evict the ones further than `chunkUnloadDistance`.
+     * (automatically called when drawing the layer, infinite maps only)
+     * @param {Rect|Camera2d} rect - the area to be made visible, in the layer coordinates
+     */
+    updateChunks(rect) {
+        let renderer = this.getRenderer();
+        let bounds = pool.pull("Bounds");
+        let corner = pool.pull("Vector2d");
+        let x = rect.pos.x, y = rect.pos.y;
+
+        this.chunks.forEach((chunk) => {
+            // area covered by the chunk
+            bounds.clear();
+            bounds.addPoint(renderer.tileToPixelCoords(chunk.x, chunk.y, corner));
+            bounds.addPoint(renderer.tileToPixelCoords(chunk.x + chunk.width, chunk.y, corner));
+            bounds.addPoint(renderer.tileToPixelCoords(chunk.x, chunk.y + chunk.height, corner));
+            bounds.addPoint(renderer.tileToPixelCoords(chunk.x + chunk.width, chunk.y + chunk.height, corner));
+
+            let distance = chunk.tiles === null ? this.chunkLoadDistance : this.chunkUnloadDistance;
+            let isNear = bounds.left < x + rect.width + distance &&
+                         bounds.right > x - distance &&
+                         bounds.top < y + rect.height + distance &&
+                         bounds.bottom > y - distance;
+
+            if (isNear && chunk.tiles === null) {
+                this.getChunkTiles(chunk);
+            } else if (!isNear && chunk.tiles !== null) {
+                this.evictChunk(chunk);
+            }
+        });
+
+        pool.push(bounds);
+        pool.push(corner);
+    }
+
+    /**
+     * update the layer bounding rect, covering all the chunks of infinite maps
+     * @ignore
+     */
+    updateBounds(absolute = true) {
+        let bounds = super.updateBounds(absolute);
+        if (this.infinite === true && this.isRenderable && typeof this.renderer !== "undefined" && this.chunks.size > 0) {
+            let corner = pool.pull("Vector2d");
+            let left = bounds.left, top = bounds.top;
+            let area = this.chunkBounds;
+            [area.left, area.right].forEach((x) => {
+                [area.top, area.bottom].forEach((y) => {
+                    this.renderer.tileToPixelCoords(x, y, corner);
+                    bounds.addPoint(corner.set(left + corner.x, top + corner.y));
+                });
+            });
+            pool.push(corner);
+        }
+        return bounds;
+    }
+
+    /**
+     * return new static collision objects, created from the collision shapes defined per tile in the tilesets.<br>
+     * (automatically called when adding a collidable layer to a container through `TMXTileMap.addTo()` or `getObjects()`,
+     * the returned objects being then updated when using `setTile()` or `clearTile()`)<br>
+     * Objects previously returned by this method are removed from their container and replaced by the new ones.
+     * @returns {Renderable[]} an array of renderables with a static body, or an empty array if the layer is not collidable
+     * or if the layer orientation is not orthogonal (tile collision shapes being only supported by orthogonal maps)
+     * @see TMXLayer#collidable
+     */
+    getCollisionObjects() {
+        let objects = [];
+
+        if (this.collidable !== true || this.orientation !== "orthogonal") {
+            return objects;
+        }
+
+        // remove the objects previously created
+        if (typeof this.collisionSectors !== "undefined") {
+            this.collisionSectors.forEach((sector) => {
+                sector.forEach((obj) => {
+                    if (typeof obj.ancestor !== "undefined") {
+                        obj.ancestor.removeChildNow(obj);
+                    }
+                });
+            });
+        }
+
+        const size = this.collisionSectorSize;
+        let left = 0, top = 0, right = this.cols, bottom = this.rows;
+        if (this.infinite === true) {
+            left = this.chunkBounds.left;
+            top = this.chunkBounds.top;
+            right = this.chunkBounds.right;
+            bottom = this.chunkBounds.bottom;
+        }
+
+        this.collisionSectors = new Map();
+        this.dirtyCollisionSectors.clear();
+        for (let sy = Math.floor(top / size); sy * size < bottom; sy++) {
+            for (let sx = Math.floor(left / size); sx * size < right; sx++) {
+                let sector = this.createCollisionSector(sx, sy);
+                if (sector.length > 0) {
+                    this.collisionSectors.set(sx + "," + sy, sector);
+                    objects.push(...sector);
+                }
+            }
+        }
+        return objects;
+    }
+
+    /**
+     * create the collision objects for the given layer area
+     * @ignore
+     */
+    createCollisionSector(sx, sy) {
+        const size = this.collisionSectorSize;
+        const startX = sx * size, startY = sy * size;
+        let objects = [];
+        // collision settings of the tiles fully covered by a rectangle, to be merged
+        let cells = new Array(size * size);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let tile = this.cellAt(startX + x, startY + y);
+                if (tile === null || typeof tile === "undefined") {
+                    continue;
+                }
+                let tileset = tile.tileset;
+                let definitions = tileset.getCollisionObjects(tile.tileId);
+                if (typeof definitions === "undefined" || definitions.length === 0) {
+                    continue;
+                }
+                let tileSettings = getShapeSettings(tileset.getTileProperties(tile.tileId), {});
+
+                if (definitions.length === 1 && isFullTile(this, tile, definitions[0])) {
+                    let properties = {};
+                    TMXUtils.applyTMXProperties(properties, definitions[0]);
+                    cells[x + y * size] = JSON.stringify(getShapeSettings(properties, tileSettings));
+                    continue;
+                }
+
+                // any other shape get its own body, at the tile image position
+                let shapes = [], settings = [];
+                definitions.forEach((definition) => {
+                    let properties = {};
+                    TMXUtils.applyTMXProperties(properties, definition);
+                    let shapeSettings = getShapeSettings(properties, tileSettings);
+                    getTileShapes(tile, definition).forEach((shape) => {
+                        shapes.push(shape);
+                        settings.push(shapeSettings);
+                    });
+                });
+                if (shapes.length > 0) {
+                    objects.push(createCollisionObject(this,
+                        tileset.tileoffset.x + (startX + x) * this.tilewidth,
+                        tileset.tileoffset.y + (startY + y + 1) * this.tileheight - tileset.tileheight,
+                        tileset.tilewidth, tileset.tileheight,
+                        shapes, settings
+                    ));
+                }
+            }
+        }
+
+        // merge adjacent full tiles sharing the same collision settings into rectangles
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let key = cells[x + y * size];
+                if (typeof key === "undefined") {
+                    continue;
+                }
+                let width = 1, height = 1;
+                while (x + width < size && cells[x + width + y * size] === key) {
+                    width++;
+                }
+                let extend = true;
+                while (extend === true && y + height < size) {
+                    for (let i = 0; i < width; i++) {
+                        if (cells[x + i + (y + height) * size] !== key) {
+                            extend = false;
+                            break;
+                        }
+                    }
+                    if (extend === true) {
+                        height++;
+                    }
+                }
+                // mark the merged tiles as done
+                for (let j = 0; j < height; j++) {
+                    for (let i = 0; i < width; i++) {
+                        cells[x + i + (y + j) * size] = undefined;
+                    }
+                }
+                let pixelWidth = width * this.tilewidth;
+                let pixelHeight = height * this.tileheight;
+                objects.push(createCollisionObject(this,
+                    (startX + x) * this.tilewidth, (startY + y) * this.tileheight,
+                    pixelWidth, pixelHeight,
+                    [pool.pull("Rect", 0, 0, pixelWidth, pixelHeight)], [JSON.parse(key)]
+                ));
+            }
+        }
+
+        return objects;
+    }
+
+    /**
+     * mark the collision objects of the layer area containing the given tile as dirty,
+     * rebuilding them right away unless an edit is in progress
+     * @ignore
+     */
+    invalidateCollisionObjects(x, y) {
+        if (typeof this.collisionSectors === "undefined") {
+            return;
+        }
+        const size = this.collisionSectorSize;
+        this.dirtyCollisionSectors.add(Math.floor(x / size) + "," + Math.floor(y / size));
+        if (this.editDepth === 0) {
+            this.updateCollisionObjects();
+        }
+    }
+
+    /**
+     * rebuild the collision objects of the layer areas marked as dirty, once per area
+     * @ignore
+     */
+    updateCollisionObjects() {
+        if (typeof this.collisionSectors === "undefined") {
+            return;
+        }
+        this.dirtyCollisionSectors.forEach((key) => {
+            let [sx, sy] = key.split(",").map(Number);
+            let container = this.ancestor;
+
+            // remove the previous objects from the container they were added to
+            (this.collisionSectors.get(key) || []).forEach((obj) => {
+                if (typeof obj.ancestor !== "undefined") {
+                    container = obj.ancestor;
+                    container.removeChildNow(obj);
+                }
+            });
+
+            let sector = this.createCollisionSector(sx, sy);
+            this.collisionSectors.set(key, sector);
+            if (typeof container !== "undefined") {
+                sector.forEach((obj) => container.addChild(obj));
+            }
+        });
+        this.dirtyCollisionSectors.clear();
+    }
+
+    /**
+     * return the layer definition in the Tiled JSON format, including the current layer tiles
+     * @param {object} [settings] - optional export settings
+     * @param {string} [settings.encoding="csv"] - the tile data encoding ("csv" or "base64")
+     * @param {string} [settings.compression] - the tile data compression ("gzip", "zlib" or "zstd"), for base64 encoding only
+     * (requires a deflate function to be set through {@link TMXUtils.setDeflateFunction})
+     * @returns {object} the layer in the Tiled JSON format
+     * @see TMXTileMap#toJSON
+     */
+    toJSON(settings = {}) {
+        const definition = this.definition;
+        const encoding = settings.encoding || "csv";
+        const compression = encoding === "base64" ? settings.compression : undefined;
+        const opacity = this.getOpacity();
+        // csv data is stored as an array in the Tiled JSON format
+        const encodeData = (data) => (encoding === "csv" ? data : TMXUtils.encode(data, encoding, compression));
+
+        let json = {
+            id : typeof definition.id !== "undefined" ? +definition.id : undefined,
+            name : this.name,
+            class : this.class,
+            type : "tilelayer",
+            x : 0,
+            y : 0,
+            width : this.cols,
+            height : this.rows,
+            // invisible layers have a null opacity
+            opacity : opacity > 0 ? opacity : +definition.opacity,
+            visible : opacity > 0,
+            offsetx : typeof definition.offsetx !== "undefined" ? +definition.offsetx : undefined,
+            offsety : typeof definition.offsety !== "undefined" ? +definition.offsety : undefined,
+            tintcolor : definition.tintcolor,
+            // array data has no encoding in the Tiled JSON format
+            encoding : encoding === "csv" ? undefined : encoding,
+            compression : compression,
+            properties : toJSONProperties(definition.properties)
+        };
+
+        if (this.infinite === true) {
+            json.startx = this.chunkBounds.left;
+            json.starty = this.chunkBounds.top;
+            json.width = this.chunkBounds.width;
+            json.height = this.chunkBounds.height;
+            json.chunks = [];
+            this.chunks.forEach((chunk) => {
+                let data = chunk.tiles !== null ? chunk.tiles.map(getGid) : Array.from(TMXUtils.decode(chunk.data, chunk.encoding, chunk.compression));
+                json.chunks.push({ x : chunk.x, y : chunk.y, width : chunk.width, height : chunk.height, data : encodeData(data) });
+            });
+        } else {
+            let data = new Array(this.cols * this.rows);
+            for (let y = 0; y < this.rows; y++) {
+                for (let x = 0; x < this.cols; x++) {
+                    data[x + y * this.cols] = getGid(this.layerData[x][y]);
+                }
+            }
+            json.data = encodeData(data);
+        }
+
+        // remove the undefined values
+        Object.keys(json).forEach((key) => {
+            if (typeof json[key] === "undefined") {
+                delete json[key];
+            }
+        });
+
+        return json;
+    }
+
+    /**
+     * return the chunk texture cache at the given chunk position, creating it if required
+     * @ignore
+     */
+    getCachedChunk(cx, cy) {
+        if (typeof this.cachedChunks === "undefined") {
+            this.cachedChunks = new Map();
+        }
+        let key = cx + "," + cy;
+        let cache = this.cachedChunks.get(key);
+        if (typeof cache === "undefined") {
+            cache = {
+                x : cx * this.cacheChunkSize,
+                y : cy * this.cacheChunkSize,
+                // the chunk render target (WebGL), allocated when first drawn
+                target : undefined,
+                // the chunk canvas texture (Canvas), allocated when first drawn
+                texture : undefined,
+                // true if the chunk needs to be redrawn
+                dirty : true,
+                // last frame the chunk was drawn
+                stamp : -1
+            };
+            this.cachedChunks.set(key, cache);
+        }
+        return cache;
+    }
+
+    /**
+     * mark the chunk textures covering the given tile as dirty
+     * @ignore
+     */
+    invalidateCachedChunks(x, y) {
+        if (typeof this.cachedChunks === "undefined" || this.cachedChunks.size === 0) {
+            return;
+        }
+        const size = this.cacheChunkSize;
+        const maxWidth = Math.max(this.maxTileSize.width, this.tilewidth);
+        const maxHeight = Math.max(this.maxTileSize.height, this.tileheight);
+        let pos = this.getRenderer().tileToPixelCoords(x, y, pool.pull("Vector2d"));
+        // area that the tile can cover, including tiles larger than the map grid and tile offsets
+        let endX = Math.floor((pos.x + maxWidth * 2) / size);
+        let endY = Math.floor((pos.y + maxHeight * 2) / size);
+        for (let cy = Math.floor((pos.y - maxHeight) / size); cy <= endY; cy++) {
+            for (let cx = Math.floor((pos.x - maxWidth) / size); cx <= endX; cx++) {
+                let cache = this.cachedChunks.get(cx + "," + cy);
+                if (typeof cache !== "undefined") {
+                    cache.dirty = true;
+                }
+            }
+        }
+        pool.push(pos);
+    }
+
+    /**
+     * redraw the given chunks into their render target, using the given WebGL renderer
+     * @ignore
+     */
+    renderCachedChunkTargets(renderer, caches) {
+        const size = this.cacheChunkSize;
+        let gl = renderer.gl;
+        let previous = renderer.currentRenderTarget;
+        let shader = renderer.customShader;
+        let tint = pool.pull("Color").copy(renderer.currentTint);
+        // chunks are drawn regardless of the current clipping area or mask
+        let scissor = gl.isEnabled(gl.SCISSOR_TEST);
+        let stencil = gl.isEnabled(gl.STENCIL_TEST);
+
+        renderer.flush();
+        gl.disable(gl.SCISSOR_TEST);
+        gl.disable(gl.STENCIL_TEST);
+        // tiles are drawn without the layer tint, opacity and shader, applied when drawing the chunks
+        renderer.customShader = undefined;
+        renderer.clearTint();
+
+        caches.forEach((cache) => {
+            if (typeof cache.target === "undefined") {
+                cache.target = renderer.createRenderTarget(size, size);
+            }
+            let area = pool.pull("Rect", cache.x, cache.y, size, size);
+            renderer.setRenderTarget(cache.target);
+            renderer.clearColor("rgba(0,0,0,0)", false);
+            let state = renderer.beginScreenSpace(size, size);
+            renderer.translate(-cache.x, -cache.y);
+            this.getRenderer().drawTileLayer(renderer, this, area);
+            renderer.endScreenSpace(state);
+            pool.push(area);
+            cache.dirty = false;
+        });
+
+        renderer.setRenderTarget(previous);
+        renderer.customShader = shader;
+        renderer.currentTint.copy(tint);
+        pool.push(tint);
+        if (scissor === true) {
+            gl.enable(gl.SCISSOR_TEST);
+        }
+        if (stencil === true) {
+            gl.enable(gl.STENCIL_TEST);
+        }
+    }
+
+    /**
+     * redraw the given chunk into its canvas texture, when not using the WebGL renderer
+     * @ignore
+     */
+    renderCachedChunkTexture(cache) {
+        const size = this.cacheChunkSize;
+
+        // offscreen renderer used to draw the chunk tiles
+        if (typeof this.cacheRenderer === "undefined") {
+            this.cacheRenderer = new CanvasRenderer({
+                canvas : createCanvas(size, size),
+                width : size,
+                height : size,
+                transparent : true
+            });
+        }
+        if (typeof cache.texture === "undefined") {
+            cache.texture = pool.pull("CanvasTexture", size, size, { offscreenCanvas : false });
+        }
+
+        let target = this.cacheRenderer;
+        let area = pool.pull("Rect", cache.x, cache.y, size, size);
+        target.clearRect(0, 0, size, size);
+        target.save();
+        target.translate(-cache.x, -cache.y);
+        this.getRenderer().drawTileLayer(target, this, area);
+        target.restore();
+        pool.push(area);
+
+        cache.texture.clear();
+        cache.texture.context.drawImage(target.getCanvas(), 0, 0);
+        cache.dirty = false;
+    }
+
+    /**
+     * release the render target or canvas texture used by the given chunk
+     * @ignore
+     */
+    releaseCachedChunk(cache) {
+        if (typeof cache.target !== "undefined") {
+            cache.target.destroy();
+            cache.target = undefined;
+        }
+        if (typeof cache.texture !== "undefined") {
+            pool.push(cache.texture);
+            cache.texture = undefined;
+        }
+        cache.dirty = true;
+    }
+
+    /**
+     * draw the layer using the chunk textures, (re)drawing them if required
+     * @ignore
+     */
+    drawCachedChunks(renderer, rect) {
+        const size = this.cacheChunkSize;
+        const useRenderTargets = typeof renderer.createRenderTarget === "function";
+        let left = rect.pos.x, top = rect.pos.y;
+        let right = left + rect.width, bottom = top + rect.height;
+        let visible = [];
+
+        if (this.infinite === false) {
+            left = Math.max(left, 0);
+            top = Math.max(top, 0);
+            right = Math.min(right, this.width);
+            bottom = Math.min(bottom, this.height);
+        }
+
+        this.cacheStamp = (this.cacheStamp || 0) + 1;
+
+        for (let cy = Math.floor(top / size); cy * size < bottom; cy++) {
+            for (let cx = Math.floor(left / size); cx * size < right; cx++) {
+                let cache = this.getCachedChunk(cx, cy);
+                cache.stamp = this.cacheStamp;
+                visible.push(cache);
+            }
+        }
+
+        // redraw the visible chunks that changed
+        let dirty = visible.filter((cache) => cache.dirty === true);
+        if (useRenderTargets === true) {
+            if (dirty.length > 0) {
+                this.renderCachedChunkTargets(renderer, dirty);
+            }
+        } else {
+            dirty.forEach((cache) => this.renderCachedChunkTexture(cache));
+        }
+
+        visible.forEach((cache) => {
+            if (useRenderTargets === true) {
+                renderer.drawRenderTarget(cache.target, cache.x, cache.y);
+            } else {
+                renderer.drawImage(cache.texture.canvas, cache.x, cache.y);
+            }
+        });
+
+        // evict the least recently drawn chunks when exceeding the limit
+        if (this.cachedChunks.size > this.cacheChunkLimit) {
+            let evicted = [];
+            this.cachedChunks.forEach((cache, key) => {
+                if (cache.stamp !== this.cacheStamp) {
+                    evicted.push(key);
+                }
+            });
+            evicted.sort((a, b) => this.cachedChunks.get(a).stamp - this.cachedChunks.get(b).stamp);
+            evicted.length = Math.min(evicted.length, this.cachedChunks.size - this.cacheChunkLimit);
+            evicted.forEach((key) => {
+                this.releaseCachedChunk(this.cachedChunks.get(key));
+                this.cachedChunks.delete(key);
+            });
+        }
+    }
+
+    /**
+     * let this layer draw the given renderable, interleaved with the layer tiles based on its depth
+     * (the bottom of its bounding box), so that it is occluded by the tiles standing in front of it.<br>
+     * The renderable must be a child of the layer parent container, and is then skipped when the container draws its children,
+     * unless the layer itself is not drawn (e.g. when hidden or outside of the viewport).
+     * Tiles and objects are interleaved per tile row for isometric, staggered and hexagonal maps,
+     * while on orthogonal maps the renderable is simply drawn on top of the layer.
+     * (depth objects are drawn with the layer opacity, and force the layer to be dynamically rendered)
+     * @param {Renderable} renderable - a renderable object
+     * @returns {Renderable} the added renderable
+     * @example
+     * // let the player walk behind the tall tiles of the "buildings" layer
+     * let layer = me.game.world.getChildByName("buildings")[0];
+     * layer.addDepthObject(me.game.world.addChild(player));
+     */
+    addDepthObject(renderable) {
+        if (typeof renderable.depthLayer !== "undefined" && renderable.depthLayer !== this) {
+            renderable.depthLayer.removeDepthObject(renderable);
+        }
+        if (!this.depthObjects.includes(renderable)) {
+            this.depthObjects.push(renderable);
+        }
+        renderable.depthLayer = this;
+        return renderable;
+    }
+
+    /**
+     * stop drawing the given renderable as part of this layer
+     * @param {Renderable} renderable - a renderable object previously added through `addDepthObject()`
+     */
+    removeDepthObject(renderable) {
+        let index = this.depthObjects.indexOf(renderable);
+        if (index !== -1) {
+            this.depthObjects.splice(index, 1);
+        }
+        if (renderable.depthLayer === this) {
+            renderable.depthLayer = undefined;
+        }
+    }
+
+    /**
+     * return true if the given depth object is drawn by this layer in the current frame,
+     * its container drawing it otherwise (e.g. when the layer is hidden or outside of the viewport)
+     * @ignore
+     */
+    isDrawingDepthObject(renderable) {
+        return renderable.ancestor === this.ancestor && this.getOpacity() > 0 && (this.inViewport === true || this.floating === true);
+    }
+
+    /**
+     * return the depth of the given renderable in the layer coordinates
+     * @ignore
+     */
+    getObjectDepth(renderable) {
+        return renderable.getBounds().bottom - this.depthOffset;
+    }
+
+    /**
+     * queue the visible depth objects for the current frame, sorted by depth
+     * @ignore
+     */
+    beginDepthObjects(viewport, offsetY) {
+        let queue = this.depthQueue;
+
+        queue.length = 0;
+        for (let i = this.depthObjects.length, obj; i--, (obj = this.depthObjects[i]);) {
+            // forget the objects that were removed from the layer container
+            if (obj.ancestor !== this.ancestor) {
+                this.removeDepthObject(obj);
+            } else if (obj.inViewport === true && obj.floating !== true) {
+                queue.push(obj);
+            }
+        }
+
+        this.depthOffset = offsetY;
+        queue.sort((a, b) => this.getObjectDepth(a) - this.getObjectDepth(b));
+        this.depthIndex = 0;
+        this.depthViewport = viewport;
+        this.isDepthSorting = true;
+    }
+
+    /**
+     * draw the queued depth objects standing behind the given depth (in the layer coordinates)
+     * @ignore
+     */
+    drawDepthObjects(renderer, depth) {
+        let queue = this.depthQueue;
+        while (this.depthIndex < queue.length) {
+            let obj = queue[this.depthIndex];
+            if (this.getObjectDepth(obj) >= depth) {
+                break;
+            }
+            obj.preDraw(renderer);
+            obj.draw(renderer, this.depthViewport);
+            obj.postDraw(renderer);
+            this.depthIndex++;
+        }
+    }
+
+    /**
+     * draw the remaining depth objects and clear the queue
+     * @ignore
+     */
+    endDepthObjects(renderer) {
+        this.drawDepthObjects(renderer, Infinity);
+        this.depthQueue.length = 0;
+        this.depthViewport = undefined;
+        this.isDepthSorting = false;
+    }
+
     /**
      * update animations in a tileset layer
      * @ignore
@@ -400,17 +1851,47 @@ export default class TMXLayer extends Renderable {
      * @ignore
      */
     draw(renderer, rect) {
+        let viewport = rect;
+        let offsetY = 0;
+        let localRect;
+
+        // convert the given area to the layer coordinates if the parent container is not at the world origin (e.g. TMXWorld maps)
+        if (typeof this.ancestor !== "undefined" && this.ancestor.root !== true && typeof this.ancestor.getAbsolutePosition === "function") {
+            let offset = this.ancestor.getAbsolutePosition();
+            if (offset.x !== 0 || offset.y !== 0) {
+                rect = localRect = pool.pull("Rect", rect.pos.x - offset.x, rect.pos.y - offset.y, rect.width, rect.height);
+                offsetY = offset.y;
+            }
+        }
+
+        // decode the chunks getting close to the camera
+        if (this.infinite === true) {
+            this.updateChunks(rect);
+        }
+
+        // interleave the depth objects with the layer tiles (drawn by the container when the layer is hidden)
+        if (this.depthObjects.length > 0 && this.getOpacity() > 0) {
+            this.beginDepthObjects(viewport, offsetY);
+            this.getRenderer().drawTileLayer(renderer, this, rect);
+            this.endDepthObjects(renderer);
+        }
+        // use the cached chunk textures (the lighting normal pass drawing the tiles normal maps instead)
+        else if (this.cacheChunks === true && renderer.normalPass !== true) {
+            this.drawCachedChunks(renderer, rect);
+        }
         // use the offscreen canvas
-        if (this.preRender) {
+        else if (this.preRender) {
+            const x = Math.max(rect.pos.x, 0);
+            const y = Math.max(rect.pos.y, 0);
             const width = Math.min(rect.width, this.width);
             const height = Math.min(rect.height, this.height);
 
             // draw using the cached canvas
             renderer.drawImage(
                 this.canvasRenderer.getCanvas(),
-                rect.pos.x, rect.pos.y, // sx,sy
+                x, y,                   // sx,sy
                 width, height,          // sw,sh
-                rect.pos.x, rect.pos.y, // dx,dy
+                x, y,                   // dx,dy
                 width, height           // dw,dh
             );
         }
@@ -419,6 +1900,10 @@ export default class TMXLayer extends Renderable {
             // draw the layer
             this.getRenderer().drawTileLayer(renderer, this, rect);
         }
+
+        if (typeof localRect !== "undefined") {
+            pool.push(localRect);
+        }
     }
 }
 
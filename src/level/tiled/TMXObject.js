@@ -2,6 +2,78 @@ import pool from "./../../system/pooling.js";
 import { applyTMXProperties } from "./TMXUtils.js";
 import Tile from "./TMXTile.js";
 import { degToRad } from "./../../math/math.js";
+import * as fileUtil from "./../../utils/file.js";
+import { getTMX } from "./../../loader/loader.js";
+import { TMX_CLEAR_BIT_MASK } from "./constants.js";
+
+/**
+ * merge the given template and instance properties, instance values taking precedence
+ * @ignore
+ */
+function mergeProperties(template, instance) {
+    if (typeof template === "undefined") {
+        return instance;
+    }
+    if (typeof instance === "undefined") {
+        return template;
+    }
+    // JSON format (array of name/type/value objects)
+    if (Array.isArray(template) && Array.isArray(instance)) {
+        return template.filter((property) => !instance.some((override) => override.name === property.name)).concat(instance);
+    }
+    // XML format (name/value pairs), or a mix of both formats
+    let properties = {};
+    [template, instance].forEach((list) => {
+        if (Array.isArray(list)) {
+            list.forEach((property) => {
+                properties[property.name] = property.value;
+            });
+        } else {
+            Object.assign(properties, list);
+        }
+    });
+    return properties;
+}
+
+/**
+ * return the object settings resulting from the given object template and per-instance overrides
+ * @ignore
+ */
+function applyTemplate(map, settings) {
+    let source = settings.template;
+    let template = getTMX(fileUtil.getBasename(source));
+
+    if (!template || typeof template.object === "undefined") {
+        throw new Error(source + " external TX/JSON object template not found");
+    }
+
+    // instance attributes override the template ones
+    let object = Object.assign({}, template.object, settings);
+    object.properties = mergeProperties(template.object.properties, settings.properties);
+    // text settings are modified when creating the object, don't share them between instances
+    if (typeof object.text === "object") {
+        object.text = Object.assign({}, object.text);
+    }
+
+    // remap the template tile gid to the corresponding map tileset
+    if (typeof settings.gid === "undefined" && typeof template.object.gid !== "undefined" && typeof template.tileset !== "undefined") {
+        let name = fileUtil.getBasename(template.tileset.source);
+        let data = getTMX(name);
+        if (data) {
+            name = data.name;
+        }
+        let tileset = map.tilesets.tilesets.find((tileset) => tileset.name === name);
+        if (typeof tileset === "undefined") {
+            throw new Error(template.tileset.source + " tileset used by the " + source + " object template not found in the map");
+        }
+        let gid = +template.object.gid;
+        let id = gid & TMX_CLEAR_BIT_MASK;
+        // keep the flipping flags
+        object.gid = tileset.firstgid + (id - +template.tileset.firstgid) + (gid - id);
+    }
+
+    return object;
+}
 
 /**
  * @classdesc
@@ -13,6 +85,11 @@ export default class TMXObject {
 
     constructor(map, settings, z) {
 
+        // resolve the object template (if any)
+        if (typeof settings.template !== "undefined") {
+            settings = applyTemplate(map, settings);
+        }
+
         /**
          * point list in JSON format
          * @type {object[]}
@@ -113,6 +190,13 @@ export default class TMXObject {
          */
         this.shapes = undefined;
 
+        /**
+         * per-shape collision settings, as defined through the `oneWay`, `isSensor` and `collisionMask` object properties
+         * @type {object|undefined}
+         * @see Body#setShapeSettings
+         */
+        this.shapeSettings = undefined;
+
         /**
          * if true, the object is an Ellipse
          * @type {boolean}
@@ -172,6 +256,14 @@ export default class TMXObject {
         } else {
             // set the object properties
             applyTMXProperties(this, settings);
+            // collision settings to be applied to the object shapes
+            if (typeof this.oneWay !== "undefined" || typeof this.isSensor !== "undefined" || typeof this.collisionMask === "number") {
+                this.shapeSettings = {
+                    oneWay : this.oneWay,
+                    isSensor : this.isSensor,
+                    collisionMask : this.collisionMask
+                };
+            }
             // a standard object
             if (!this.shapes) {
                 // else define the object shapes if required
@@ -9,6 +9,7 @@ import TMXTilesetGroup from "./TMXTilesetGroup.js";
 import TMXGroup from "./TMXGroup.js";
 import TMXLayer from "./TMXLayer.js";
 import { applyTMXProperties } from "./TMXUtils.js";
+import { toJSONProperties, toJSONTileset, toJSONLayer, toTMX } from "./TMXWriter.js";
 import Container from "../../renderable/container.js";
 import { COLLISION_GROUP } from "./constants.js";
 import { getNewTMXRenderer } from "./renderer/autodetect.js";
@@ -378,6 +379,7 @@ export default class TMXTileMap {
 
     /**
      * return an Array of instantiated objects, based on the map object definition
+     * (including the static collision objects of the collidable tile layers, see {@link TMXLayer#collidable})
      * @param {boolean} [flatten=true] - if true, flatten all objects into the returned array.
      * when false, a `me.Container` object will be created for each corresponding groups
      * @returns {Renderable[]} Array of Objects
@@ -514,6 +516,13 @@ export default class TMXTileMap {
                     obj.body.isStatic = true;
                 }
 
+                // apply the shape collision settings defined through the object properties
+                if (typeof settings.shapeSettings === "object" && obj.body instanceof Body) {
+                    for (let i = 0; i < obj.body.shapes.length; i++) {
+                        obj.body.setShapeSettings(i, settings.shapeSettings);
+                    }
+                }
+
                 //apply group opacity value to the child objects if group are merged
                 if (flatten !== false) {
                     if (obj.isRenderable === true) {
@@ -532,6 +541,19 @@ export default class TMXTileMap {
 
             }
 
+            // add the static collision objects of the collidable layers in this group
+            group.objects.forEach((settings) => {
+                if (settings instanceof TMXLayer) {
+                    settings.getCollisionObjects().forEach((obj) => {
+                        if (flatten === false) {
+                            targetContainer.addChild(obj);
+                        } else {
+                            objects.push(obj);
+                        }
+                    });
+                }
+            });
+
             // if we created a new container
             if ((flatten === false) && (targetContainer.children.length > 0)) {
 
@@ -543,6 +565,14 @@ export default class TMXTileMap {
                 objects.push(targetContainer);
             }
         }
+
+        // add the static collision objects of the collidable tile layers
+        this.layers.forEach((layer) => {
+            if (layer instanceof TMXLayer) {
+                objects.push(...layer.getCollisionObjects());
+            }
+        });
+
         return objects;
     }
 
@@ -556,6 +586,83 @@ export default class TMXTileMap {
         return this.layers;
     }
 
+    /**
+     * return the map in the Tiled JSON format, including the current tiles of the map layers.<br>
+     * Note: only the tile layers reflect the current state of the map. Object groups, image layers and tilesets are written
+     * from their original definition, meaning that objects moved, added or removed by the game are not exported
+     * (these changes have to be saved separately), and external tilesets are only referenced.
+     * @param {object} [settings] - optional export settings
+     * @param {string} [settings.encoding="csv"] - the tile data encoding ("csv" or "base64")
+     * @param {string} [settings.compression] - the tile data compression ("gzip", "zlib" or "zstd"), for base64 encoding only
+     * (requires a deflate function to be set through {@link TMXUtils.setDeflateFunction})
+     * @returns {object} the map in the Tiled JSON format
+     * @see {@link https://doc.mapeditor.org/en/stable/reference/json-map-format/}
+     * @example
+     * // save the current state of the level
+     * me.save.level = me.level.getCurrentLevel().toJSON({ encoding : "base64" });
+     */
+    toJSON(settings = {}) {
+        // parse the map for objects
+        this.readMapObjects(this.data);
+
+        // the tile layers, by definition
+        let tileLayers = new Map();
+        this.layers.concat(...this.objectGroups.map((group) => group.objects)).forEach((layer) => {
+            if (layer instanceof TMXLayer) {
+                tileLayers.set(layer.definition, layer);
+            }
+        });
+        let getTileLayer = (definition) => {
+            let layer = tileLayers.get(definition);
+            return typeof layer !== "undefined" ? layer.toJSON(settings) : Object.assign({}, definition);
+        };
+
+        let json = {
+            type : "map",
+            version : typeof this.data.version !== "undefined" ? "" + this.data.version : undefined,
+            tiledversion : typeof this.data.tiledversion !== "undefined" ? "" + this.data.tiledversion : undefined,
+            class : this.class,
+            orientation : this.orientation,
+            renderorder : this.renderorder,
+            width : this.cols,
+            height : this.rows,
+            tilewidth : this.tilewidth,
+            tileheight : this.tileheight,
+            infinite : this.infinite,
+            hexsidelength : isNaN(this.hexsidelength) ? undefined : this.hexsidelength,
+            staggeraxis : this.staggeraxis,
+            staggerindex : this.staggerindex,
+            backgroundcolor : this.backgroundcolor,
+            nextlayerid : typeof this.data.nextlayerid !== "undefined" ? +this.data.nextlayerid : undefined,
+            nextobjectid : this.nextobjectid,
+            properties : toJSONProperties(this.data.properties),
+            tilesets : (this.data.tilesets || []).map(toJSONTileset),
+            layers : (this.data.layers || []).map((layer) => toJSONLayer(layer, getTileLayer))
+        };
+
+        // remove the undefined values
+        Object.keys(json).forEach((key) => {
+            if (typeof json[key] === "undefined") {
+                delete json[key];
+            }
+        });
+
+        return json;
+    }
+
+    /**
+     * return the map as a TMX (XML) document, including the current tiles of the map layers
+     * (object groups being written from their original definition, see {@link TMXTileMap#toJSON})
+     * @param {object} [settings] - optional export settings (see {@link TMXTileMap#toJSON})
+     * @param {string} [settings.encoding="csv"] - the tile data encoding ("csv" or "base64")
+     * @param {string} [settings.compression] - the tile data compression ("gzip", "zlib" or "zstd"), for base64 encoding only
+     * @returns {string} the TMX document
+     * @see {@link https://doc.mapeditor.org/en/stable/reference/tmx-map-format/}
+     */
+    toTMX(settings = {}) {
+        return toTMX(this.toJSON(settings));
+    }
+
     /**
      * destroy function, clean all allocated objects
      */
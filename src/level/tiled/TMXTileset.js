@@ -2,7 +2,31 @@ import Vector2d from "./../../math/vector2.js";
 import { renderer } from "./../../video/video.js";
 import * as fileUtil from "./../../utils/file.js";
 import timer from "./../../system/timer.js";
+import tileAnimationClock from "./TMXAnimationClock.js";
 import { getTMX, getImage } from "./../../loader/loader.js";
+import TMXWangSet from "./TMXWangSet.js";
+
+/**
+ * return the index of the animation frame displayed at the given time
+ * @ignore
+ */
+function getFrameAt(frames, time) {
+    let duration = 0;
+    for (let i = 0; i < frames.length; i++) {
+        duration += +frames[i].duration;
+    }
+    if (duration <= 0) {
+        return 0;
+    }
+    time %= duration;
+    for (let i = 0; i < frames.length; i++) {
+        time -= +frames[i].duration;
+        if (time < 0) {
+            return i;
+        }
+    }
+    return frames.length - 1;
+}
 
 /**
  * @classdesc
@@ -67,6 +91,38 @@ export default class TMXTileset {
          */
         this.animations = new Map();
 
+        /**
+         * the speed of the tileset animations (e.g. 2 to play them twice as fast)
+         * @type {number}
+         * @default 1
+         * @see TMXTileset#setAnimationSpeed
+         */
+        this.animationSpeed = 1;
+
+        /**
+         * true if all the tileset animations are paused
+         * @type {boolean}
+         * @default false
+         * @see TMXTileset#pauseAnimation
+         */
+        this.animationPaused = false;
+
+        /**
+         * if true, the tileset animations are driven by the global `tileAnimationClock` time,
+         * keeping all animated tiles in sync whenever their tileset or level was loaded.
+         * @type {boolean}
+         * @default false
+         * @see tileAnimationClock
+         */
+        this.syncAnimations = false;
+
+        /**
+         * the collision objects defined per tile through the Tiled collision editor, indexed by tile gid
+         * @type {Map<number, object[]>}
+         * @see TMXLayer#collidable
+         */
+        this.collisionObjects = new Map();
+
         /**
          * Remember the last update timestamp to prevent too many animation updates
          * @private
@@ -82,7 +138,9 @@ export default class TMXTileset {
                         dt      : 0,
                         idx     : 0,
                         frames  : tiles[+i].animation,
-                        cur     : tiles[+i].animation[0]
+                        cur     : tiles[+i].animation[0],
+                        speed   : 1,
+                        paused  : false
                     });
                 }
                 // set tile properties, if any
@@ -97,6 +155,12 @@ export default class TMXTileset {
                         this.setTileProperty(+i + this.firstgid, tiles[i].properties);
                     }
                 }
+                // set tile collision objects, if any (defined as a "layer" in the XML format)
+                let objectgroup = tiles[i].objectgroup || (tiles[i].layers || []).find((layer) => layer.type === "objectgroup");
+                if (typeof objectgroup !== "undefined" && Array.isArray(objectgroup.objects)) {
+                    let id = typeof tiles[i].id !== "undefined" ? +tiles[i].id : +i;
+                    this.collisionObjects.set(id + this.firstgid, objectgroup.objects);
+                }
                 if ("image" in tiles[i]) {
                     let image = getImage(tiles[i].image);
                     if (!image) {
@@ -109,6 +173,13 @@ export default class TMXTileset {
 
         this.isCollection = this.imageCollection.length > 0;
 
+        /**
+         * the terrain wang sets defined in this tileset
+         * @type {TMXWangSet[]}
+         * @see TMXLayer#paintTerrain
+         */
+        this.wangsets = (tileset.wangsets || []).map((wangset) => new TMXWangSet(this, wangset));
+
         let offset = tileset.tileoffset;
         if (offset) {
             this.tileoffset.x = +offset.x;
@@ -214,6 +285,129 @@ export default class TMXTileset {
         return this.TileProperties[tileId];
     }
 
+    /**
+     * return the collision objects defined for the given tile through the Tiled collision editor
+     * @param {number} tileId - the tile gid
+     * @returns {object[]|undefined} the tile collision objects definition, or undefined if none
+     */
+    getCollisionObjects(tileId) {
+        return this.collisionObjects.get(tileId);
+    }
+
+    /**
+     * return the wang set with the given name or index
+     * @param {string|number} [name=0] - the wang set name or index
+     * @returns {TMXWangSet|undefined} the corresponding wang set
+     */
+    getWangSet(name = 0) {
+        if (typeof name === "number") {
+            return this.wangsets[name];
+        }
+        return this.wangsets.find((wangset) => wangset.name === name);
+    }
+
+    /**
+     * return the animation of the given tile
+     * @ignore
+     */
+    getAnimation(tileId) {
+        let anim = this.animations.get(tileId - this.firstgid);
+        if (typeof anim === "undefined") {
+            throw new Error("tile " + tileId + " is not animated in tileset " + this.name);
+        }
+        return anim;
+    }
+
+    /**
+     * pause the animation of the given tile, or all the tileset animations if no tile is specified
+     * @param {number} [tileId] - the animated tile gid
+     * @example
+     * // freeze the water tiles
+     * tileset.pauseAnimation(waterTileId);
+     * // stop all conveyor belts
+     * conveyorTileset.pauseAnimation();
+     */
+    pauseAnimation(tileId) {
+        if (typeof tileId === "undefined") {
+            this.animationPaused = true;
+        } else {
+            this.getAnimation(tileId).paused = true;
+        }
+    }
+
+    /**
+     * resume the animation of the given tile, or all the tileset animations if no tile is specified
+     * @param {number} [tileId] - the animated tile gid
+     */
+    resumeAnimation(tileId) {
+        if (typeof tileId === "undefined") {
+            this.animationPaused = false;
+        } else {
+            this.getAnimation(tileId).paused = false;
+        }
+    }
+
+    /**
+     * return true if the animation of the given tile (or all the tileset animations) is paused
+     * @param {number} [tileId] - the animated tile gid
+     * @returns {boolean}
+     */
+    isAnimationPaused(tileId) {
+        if (typeof tileId === "undefined") {
+            return this.animationPaused;
+        }
+        return this.animationPaused === true || this.getAnimation(tileId).paused === true;
+    }
+
+    /**
+     * set the speed of the given tile animation, or of all the tileset animations if no tile is specified
+     * @param {number} speed - the animation speed (e.g. 0.5 for half speed, 2 for twice as fast)
+     * @param {number} [tileId] - the animated tile gid
+     * @example
+     * // speed up the conveyor belt
+     * tileset.setAnimationSpeed(2, conveyorTileId);
+     */
+    setAnimationSpeed(speed, tileId) {
+        if (typeof tileId === "undefined") {
+            this.animationSpeed = speed;
+        } else {
+            this.getAnimation(tileId).speed = speed;
+        }
+    }
+
+    /**
+     * replace the animation frames of the given tile, restarting its animation from the first frame.<br>
+     * A tile that was not animated becomes animated, while an empty frame list removes the tile animation.
+     * (animating a tile of a tileset without animations must be done before adding the corresponding layers to the game world)
+     * @param {number} tileId - the tile gid
+     * @param {object[]} frames - the animation frames, in the Tiled format
+     * @param {number} frames.tileid - the local id (within this tileset) of the tile to display
+     * @param {number} frames.duration - the frame duration in ms
+     * @example
+     * // frozen water, using a single frame
+     * tileset.setAnimationFrames(waterTileId, [{ tileid : 12, duration : 1000 }]);
+     */
+    setAnimationFrames(tileId, frames) {
+        let localId = tileId - this.firstgid;
+        let anim = this.animations.get(localId);
+
+        if (!Array.isArray(frames) || frames.length === 0) {
+            this.animations.delete(localId);
+            this.isAnimated = this.animations.size > 0;
+            return;
+        }
+
+        if (typeof anim === "undefined") {
+            anim = { speed : 1, paused : false };
+            this.animations.set(localId, anim);
+            this.isAnimated = true;
+        }
+        anim.frames = frames;
+        anim.dt = 0;
+        anim.idx = 0;
+        anim.cur = frames[0];
+    }
+
     // update tile animations
     update(dt) {
         let duration = 0,
@@ -223,8 +417,27 @@ export default class TMXTileset {
         if (this._lastUpdate !== now) {
             this._lastUpdate = now;
 
+            // the animation time elapsed since the last frame
+            dt = tileAnimationClock.update(dt) * this.animationSpeed;
+
+            if (this.animationPaused === true) {
+                return false;
+            }
+
             this.animations.forEach((anim) => {
-                anim.dt += dt;
+                if (anim.paused === true) {
+                    return;
+                }
+                if (this.syncAnimations === true) {
+                    let idx = getFrameAt(anim.frames, tileAnimationClock.time * this.animationSpeed * anim.speed);
+                    if (idx !== anim.idx) {
+                        anim.idx = idx;
+                        anim.cur = anim.frames[idx];
+                        result = true;
+                    }
+                    return;
+                }
+                anim.dt += dt * anim.speed;
                 duration = anim.cur.duration;
                 while (anim.dt >= duration) {
                     anim.dt -= duration;
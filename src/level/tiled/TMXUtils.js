@@ -6,6 +6,12 @@ import { isBoolean, isNumeric } from "../../utils/string.js";
  */
 let inflateFunction;
 
+/**
+ * the function used to compress zlib/gzip data
+ * @ignore
+ */
+let deflateFunction;
+
 /**
  * set and interpret a TMX property value
  * @ignore
@@ -114,7 +120,7 @@ function normalize(obj, item) {
 
             data.encoding = data.encoding || "xml";
 
-            // decode chunks for infinite maps
+            // chunks for infinite maps
             if (typeof data.chunks !== "undefined") {
                 obj.chunks = obj.chunks || [];
                 // infinite maps containing chunk data
@@ -126,10 +132,12 @@ function normalize(obj, item) {
                         width: +chunk.width,
                         // chunk height is in tiles
                         height: +chunk.height,
-                        data: decode(chunk.text, data.encoding, data.compression)
+                        // chunk data is decoded by the layer when required
+                        data: chunk.text
                     });
                 });
-                obj.encoding = "none";
+                obj.encoding = data.encoding;
+                obj.compression = data.compression;
             }
             // Bug on if condition: when parsing data, data.text is sometimes defined when chunks are present
             if (typeof data.text !== "undefined" && typeof obj.chunks === "undefined") {
@@ -162,8 +170,19 @@ function normalize(obj, item) {
             obj.animation = parse(item).frames;
             break;
 
+        case "wangsets":
+            obj.wangsets = parse(item).wangsets || [];
+            break;
+
+        case "wangcolor": {
+            obj.colors = obj.colors || [];
+            obj.colors.push(parse(item));
+            break;
+        }
         case "frame":
-        case "object": {
+        case "object":
+        case "wangset":
+        case "wangtile": {
             const name = nodeName + "s";
             obj[name] = obj[name] || [];
             obj[name].push(parse(item));
@@ -298,6 +317,62 @@ export function setInflateFunction(fn) {
     inflateFunction = fn;
 }
 
+/**
+ * set the function used to compress tile data with gzip/zlib, when exporting maps
+ * @memberof TMXUtils
+ * @param {Func} fn - deflate function, receiving the tile data (Uint32Array) and the compression format, and returning the Base64 encoded compressed data
+ * @see TMXTileMap#toJSON
+ */
+export function setDeflateFunction(fn) {
+    deflateFunction = fn;
+}
+
+/**
+ * Encode the given array of tile gids into a base64 string (4 bytes per entry, little-endian)
+ * @ignore
+ */
+function encodeBase64(data) {
+    let bytes = "";
+    for (let i = 0; i < data.length; i++) {
+        let gid = data[i];
+        bytes += String.fromCharCode(gid & 0xFF, (gid >>> 8) & 0xFF, (gid >>> 16) & 0xFF, (gid >>> 24) & 0xFF);
+    }
+    return globalThis.btoa(bytes);
+}
+
+/**
+ * Encode an array of tile gids
+ * @memberof TMXUtils
+ * @param {number[]} data - tile gids to be encoded
+ * @param {string} [encoding="none"] - data encoding ("csv", "base64", "none")
+ * @param {string} [compression="none"] - compressed data format ("gzip","zlib", "zstd"), base64 encoding only
+ * @returns {string|number[]} Encoded data
+ */
+export function encode(data, encoding, compression) {
+    compression = compression || "none";
+    encoding = encoding || "none";
+
+    switch (encoding) {
+        case "csv":
+            return Array.from(data).join(",");
+
+        case "base64":
+            if (compression !== "none") {
+                if (typeof deflateFunction !== "function") {
+                    throw new Error("GZIP/ZLIB compressed TMX Tile Map export not supported!");
+                }
+                return deflateFunction(Uint32Array.from(data), compression);
+            }
+            return encodeBase64(data);
+
+        case "none":
+            return Array.from(data);
+
+        default:
+            throw new Error("Unknown layer encoding: " + encoding);
+    }
+}
+
 /**
  * Decode a encoded array into a binary array
  * @memberof TMXUtils
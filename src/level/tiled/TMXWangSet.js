@@ -0,0 +1,134 @@
+/**
+ * indices of the edges and corners in a wang id, used by each wang set type
+ * (a wang id lists the colors of the top, top-right, right, bottom-right, bottom, bottom-left, left and top-left sides of a tile)
+ * @ignore
+ */
+const WANG_INDICES = {
+    "corner" : [1, 3, 5, 7],
+    "edge" : [0, 2, 4, 6],
+    "mixed" : [0, 1, 2, 3, 4, 5, 6, 7]
+};
+
+/**
+ * @classdesc
+ * a Tiled Wang Set, defining terrain colors for the edges and/or corners of a tileset tiles,
+ * and used to automatically pick the tile variants matching a terrain layout.
+ * @see TMXLayer#paintTerrain
+ * @see {@link https://doc.mapeditor.org/en/stable/manual/terrain/}
+ */
+export default class TMXWangSet {
+    /**
+     * @param {TMXTileset} tileset - the tileset this wang set belongs to
+     * @param {object} wangset - wang set data in JSON format ({@link https://doc.mapeditor.org/en/stable/reference/json-map-format/#wang-set})
+     */
+    constructor(tileset, wangset) {
+        /**
+         * the tileset this wang set belongs to
+         * @type {TMXTileset}
+         */
+        this.tileset = tileset;
+
+        /**
+         * the wang set name
+         * @type {string}
+         */
+        this.name = wangset.name;
+
+        /**
+         * the wang set class
+         * @type {string}
+         */
+        this.class = wangset.class;
+
+        /**
+         * the wang set type, either "corner", "edge" or "mixed"
+         * @type {string}
+         * @default "corner"
+         */
+        this.type = WANG_INDICES.hasOwnProperty(wangset.type) ? wangset.type : "corner";
+
+        /**
+         * the terrain colors defined in this wang set (terrain ids start at 1, 0 meaning no terrain)
+         * @type {object[]}
+         */
+        this.colors = (wangset.colors || []).map((color) => ({
+            name : color.name,
+            color : color.color,
+            tile : +color.tile,
+            probability : typeof color.probability !== "undefined" ? +color.probability : 1
+        }));
+
+        /**
+         * the wang ids of the tiles in this wang set, indexed by local tile id
+         * @type {Map<number, number[]>}
+         */
+        this.wangTiles = new Map();
+
+        (wangset.wangtiles || []).forEach((wangtile) => {
+            let wangid = typeof wangtile.wangid === "string" ? wangtile.wangid.split(",") : wangtile.wangid;
+            this.wangTiles.set(+wangtile.tileid, wangid.map(Number));
+        });
+    }
+
+    /**
+     * the indices of the wang id edges and corners used by this wang set type
+     * @type {number[]}
+     */
+    get indices() {
+        return WANG_INDICES[this.type];
+    }
+
+    /**
+     * return the id of the terrain color with the given name
+     * @param {string} name - the terrain color name
+     * @returns {number} the terrain id, or -1 if not found
+     */
+    getTerrainId(name) {
+        let index = this.colors.findIndex((color) => color.name === name);
+        return index !== -1 ? index + 1 : -1;
+    }
+
+    /**
+     * return the wang id of the given tile
+     * @param {Tile} tile - a tile object
+     * @returns {number[]|undefined} the tile wang id, or undefined if the tile is not part of this wang set
+     */
+    getWangId(tile) {
+        if (tile === null || typeof tile === "undefined" || tile.tileset !== this.tileset) {
+            return undefined;
+        }
+        return this.wangTiles.get(tile.tileId - this.tileset.firstgid);
+    }
+
+    /**
+     * find the tile that best matches the given wang id
+     * @param {number[]} wangid - the wang id to match
+     * @param {number[]} [required=[]] - the wang id indices that must match exactly
+     * @param {boolean} [exact=false] - if true only return a tile matching all the wang id indices used by this wang set
+     * @returns {number} the matching tile gid, or -1 if none
+     */
+    findTile(wangid, required = [], exact = false) {
+        let indices = this.indices;
+        let bestId = -1, bestScore = Infinity;
+
+        this.wangTiles.forEach((candidate, tileId) => {
+            let score = 0;
+            for (let i = 0; i < indices.length; i++) {
+                let index = indices[i];
+                if (candidate[index] !== wangid[index]) {
+                    if (exact || required.includes(index)) {
+                        return;
+                    }
+                    score++;
+                }
+            }
+            // keep the lowest tile id on ties, to always pick the same variant
+            if (score < bestScore || (score === bestScore && tileId < bestId)) {
+                bestScore = score;
+                bestId = tileId;
+            }
+        });
+
+        return bestId !== -1 ? bestId + this.tileset.firstgid : -1;
+    }
+}
@@ -0,0 +1,329 @@
+import * as event from "./../../system/event.js";
+import * as fileUtil from "./../../utils/file.js";
+import { resetGUID } from "./../../utils/utils.js";
+import { game } from "../../index.js";
+import { getTMX } from "./../../loader/loader.js";
+import { tmxList } from "./../../loader/cache.js";
+import Bounds from "./../../physics/bounds.js";
+import Container from "../../renderable/container.js";
+import TMXTileMap from "./TMXTileMap.js";
+
+/**
+ * file extensions tested against the world patterns regular expressions
+ * @ignore
+ */
+const PATTERN_EXTENSIONS = ["tmx", "tmj", "json"];
+
+/**
+ * return true if the given map is within the given distance of the given area
+ * @ignore
+ */
+function isNear(map, x, y, width, height, distance) {
+    return map.x < x + width + distance &&
+           map.x + map.width > x - distance &&
+           map.y < y + height + distance &&
+           map.y + map.height > y - distance;
+}
+
+/**
+ * @classdesc
+ * a Tiled World, made of several TMX maps placed at their world offsets.<br>
+ * Once added to a container, maps are automatically loaded and unloaded based on their distance to the camera,
+ * allowing large worlds to be scrolled seamlessly. All maps used by the world must be part of the preloaded resources.
+ * @see {@link https://doc.mapeditor.org/en/stable/manual/worlds/}
+ * @example
+ * // the game assets to be be preloaded
+ * let resources = [
+ *     {name: "overworld",  type: "world", src: "data/map/overworld.world"},
+ *     {name: "forest",     type: "tmx",   src: "data/map/forest.tmx"},
+ *     {name: "village",    type: "tmx",   src: "data/map/village.tmx"},
+ *     // ...
+ * ];
+ *
+ * // ...
+ *
+ * // load the world into the game world container
+ * me.level.load("overworld");
+ */
+export default class TMXWorld {
+    /**
+     * @param {string} worldId - name of the world
+     * @param {object} data - world definition in JSON format ({@link https://doc.mapeditor.org/en/stable/manual/worlds/#defining-a-world})
+     */
+    constructor(worldId, data) {
+        /**
+         * the world definition (JSON)
+         * @ignore
+         */
+        this.data = data;
+
+        /**
+         * name of the world
+         * @type {string}
+         */
+        this.name = worldId;
+
+        /**
+         * the maps composing this world
+         * @type {object[]}
+         * @property {string} name - the map name
+         * @property {number} x - the map horizontal position in the world
+         * @property {number} y - the map vertical position in the world
+         * @property {number} width - the map width in pixels
+         * @property {number} height - the map height in pixels
+         * @property {boolean} loaded - true if the map is currently loaded
+         */
+        this.maps = [];
+
+        /**
+         * maps within this distance (in pixels) of the camera are loaded
+         * @type {number}
+         * @default 256
+         */
+        this.loadDistance = 256;
+
+        /**
+         * maps further than this distance (in pixels) from the camera are unloaded
+         * (should be greater than loadDistance to avoid maps being repeatedly loaded and unloaded at the border)
+         * @type {number}
+         * @default 512
+         */
+        this.unloadDistance = 512;
+
+        /**
+         * the container in which maps are loaded
+         * @type {Container}
+         */
+        this.container = undefined;
+
+        /**
+         * if true, flatten all map objects into their map container
+         * @ignore
+         */
+        this.flatten = true;
+
+        // whether maps matching the world patterns have been added
+        this.patternsResolved = false;
+
+        (data.maps || []).forEach((map) => {
+            this.addMap(fileUtil.getBasename(map.fileName), +map.x || 0, +map.y || 0, +map.width, +map.height);
+        });
+    }
+
+    /**
+     * add a map to this world
+     * @param {string} name - the map name (as defined in the preloaded resources)
+     * @param {number} x - the map horizontal position in the world
+     * @param {number} y - the map vertical position in the world
+     * @param {number} [width] - the map width in pixels (defaults to the map size)
+     * @param {number} [height] - the map height in pixels (defaults to the map size)
+     * @returns {object} the added map definition
+     */
+    addMap(name, x, y, width, height) {
+        let map = {
+            name : name,
+            x : x,
+            y : y,
+            width : width,
+            height : height,
+            loaded : false,
+            level : undefined,
+            container : undefined
+        };
+        if (isNaN(width) || isNaN(height)) {
+            let level = this.getLevel(map);
+            map.width = level.width;
+            map.height = level.height;
+        }
+        this.maps.push(map);
+        return map;
+    }
+
+    /**
+     * add the preloaded maps matching the world patterns
+     * @ignore
+     */
+    resolvePatterns() {
+        if (this.patternsResolved === true) {
+            return;
+        }
+        (this.data.patterns || []).forEach((pattern) => {
+            let regexp = new RegExp(pattern.regexp);
+            Object.keys(tmxList).forEach((name) => {
+                if (this.maps.some((map) => map.name === name)) {
+                    return;
+                }
+                for (let i = 0; i < PATTERN_EXTENSIONS.length; i++) {
+                    let match = regexp.exec(name + "." + PATTERN_EXTENSIONS[i]);
+                    if (match !== null) {
+                        this.addMap(
+                            name,
+                            +match[1] * (+pattern.multiplierX || 0) + (+pattern.offsetX || 0),
+                            +match[2] * (+pattern.multiplierY || 0) + (+pattern.offsetY || 0),
+                            +pattern.mapWidth,
+                            +pattern.mapHeight
+                        );
+                        break;
+                    }
+                }
+            });
+        });
+        this.patternsResolved = true;
+    }
+
+    /**
+     * return the map level object for the given map definition
+     * @ignore
+     */
+    getLevel(map) {
+        if (typeof map.level === "undefined") {
+            let data = getTMX(map.name);
+            if (data === null) {
+                throw new Error("map " + map.name + " used by world " + this.name + " not found");
+            }
+            map.level = new TMXTileMap(map.name, data);
+        }
+        return map.level;
+    }
+
+    /**
+     * return the world bounding rect, enclosing all its maps
+     * @returns {Bounds}
+     */
+    getBounds() {
+        if (typeof this.bounds === "undefined") {
+            this.bounds = new Bounds();
+        }
+        this.bounds.clear();
+        this.maps.forEach((map) => {
+            this.bounds.addFrame(map.x, map.y, map.x + map.width, map.y + map.height);
+        });
+        return this.bounds;
+    }
+
+    /**
+     * return the definition of the map at the given world position
+     * @param {number} x - x world coordinate
+     * @param {number} y - y world coordinate
+     * @returns {object|undefined} the map definition, or undefined if none
+     */
+    getMapAt(x, y) {
+        return this.maps.find((map) => x >= map.x && x < map.x + map.width && y >= map.y && y < map.y + map.height);
+    }
+
+    /**
+     * add the world to the given container, loading the maps close to the current camera position.
+     * maps are then automatically loaded and unloaded as the camera moves.
+     * @param {Container} container - target container
+     * @param {boolean} [flatten=true] - if true, flatten all objects into their map container, else a `me.Container` object will be created for each corresponding groups
+     * @param {boolean} [setViewportBounds=false] - if true, set the viewport bounds to the world size
+     */
+    addTo(container, flatten, setViewportBounds) {
+        this.container = container;
+        this.flatten = flatten;
+
+        this.resolvePatterns();
+
+        if (setViewportBounds === true) {
+            let bounds = this.getBounds();
+            game.viewport.setBounds(
+                bounds.left, bounds.top,
+                Math.max(bounds.width, game.viewport.width),
+                Math.max(bounds.height, game.viewport.height)
+            );
+        }
+
+        event.off(event.VIEWPORT_ONCHANGE, this.onViewportChange);
+        event.on(event.VIEWPORT_ONCHANGE, this.onViewportChange, this);
+
+        if (typeof game.viewport !== "undefined") {
+            this.update(game.viewport);
+        }
+    }
+
+    /**
+     * viewport change event handler
+     * @ignore
+     */
+    onViewportChange() {
+        this.update(game.viewport);
+    }
+
+    /**
+     * load the maps within `loadDistance` of the given area, and unload the ones further than `unloadDistance`
+     * (automatically called when the camera moves)
+     * @param {Rect|Camera2d} rect - the area to be made visible, in world coordinates
+     */
+    update(rect) {
+        let x = rect.pos.x, y = rect.pos.y;
+        this.maps.forEach((map) => {
+            if (map.loaded === false && isNear(map, x, y, rect.width, rect.height, this.loadDistance)) {
+                this.loadMap(map);
+            } else if (map.loaded === true && !isNear(map, x, y, rect.width, rect.height, this.unloadDistance)) {
+                this.unloadMap(map);
+            }
+        });
+    }
+
+    /**
+     * load the given map into the world container, at its world position
+     * @ignore
+     */
+    loadMap(map) {
+        let level = this.getLevel(map);
+        let container = new Container(map.x, map.y, map.width, map.height);
+
+        // Tiled use 0,0 anchor coordinates
+        container.anchorPoint.set(0, 0);
+        container.name = map.name;
+
+        // attach the map container first, so that the bodies of nested object groups are added to the world
+        map.container = this.container.addChild(container);
+
+        resetGUID(map.name, level.nextobjectid);
+        level.addTo(container, this.flatten, false);
+        // don't clear the area covered by the other maps
+        container.backgroundColor.setColor(0, 0, 0, 0);
+
+        map.loaded = true;
+    }
+
+    /**
+     * remove the given map from the world container.
+     * persistent objects (`isPersistent`) are moved to the world container instead of being destroyed.
+     * @ignore
+     */
+    unloadMap(map) {
+        let container = map.container;
+
+        if (typeof container.ancestor !== "undefined") {
+            container.getChildren().slice().forEach((child) => {
+                if (child.isPersistent === true) {
+                    container.removeChildNow(child, true);
+                    // keep the child world position
+                    child.pos.x += container.pos.x;
+                    child.pos.y += container.pos.y;
+                    container.ancestor.addChild(child);
+                }
+            });
+            container.ancestor.removeChildNow(container);
+        }
+
+        map.level.destroy();
+        map.container = undefined;
+        map.loaded = false;
+    }
+
+    /**
+     * destroy function, unload all maps
+     */
+    destroy() {
+        event.off(event.VIEWPORT_ONCHANGE, this.onViewportChange);
+        this.maps.forEach((map) => {
+            if (map.loaded === true) {
+                this.unloadMap(map);
+            }
+        });
+        this.container = undefined;
+    }
+}
@@ -0,0 +1,437 @@
+/**
+ * the attributes written for each TMX element, in the Tiled order
+ * @ignore
+ */
+const ATTRIBUTES = {
+    map : [
+        "version", "tiledversion", "class", "orientation", "renderorder", "width", "height", "tilewidth", "tileheight",
+        "infinite", "hexsidelength", "staggeraxis", "staggerindex", "backgroundcolor", "nextlayerid", "nextobjectid"
+    ],
+    tileset : ["firstgid", "source", "name", "class", "tilewidth", "tileheight", "spacing", "margin", "tilecount", "columns"],
+    tile : ["id", "type", "class"],
+    layer : ["id", "name", "class", "x", "y", "width", "height", "opacity", "visible", "tintcolor", "offsetx", "offsety", "parallaxx", "parallaxy"],
+    objectgroup : ["id", "name", "class", "color", "opacity", "visible", "tintcolor", "offsetx", "offsety", "parallaxx", "parallaxy", "draworder"],
+    imagelayer : ["id", "name", "class", "offsetx", "offsety", "parallaxx", "parallaxy", "opacity", "visible", "tintcolor", "repeatx", "repeaty"],
+    group : ["id", "name", "class", "offsetx", "offsety", "parallaxx", "parallaxy", "opacity", "visible", "tintcolor"],
+    object : ["id", "name", "type", "class", "x", "y", "width", "height", "rotation", "gid", "visible", "template"],
+    text : ["fontfamily", "pixelsize", "wrap", "color", "bold", "italic", "underline", "strikeout", "kerning", "halign", "valign"],
+    wangset : ["name", "class", "type", "tile"],
+    wangcolor : ["name", "class", "color", "tile", "probability"]
+};
+
+/**
+ * the numeric attributes of the Tiled JSON format (converted from the XML string values)
+ * @ignore
+ */
+const NUMERIC = [
+    "id", "x", "y", "width", "height", "rotation", "gid", "opacity", "offsetx", "offsety", "parallaxx", "parallaxy",
+    "firstgid", "tilewidth", "tileheight", "spacing", "margin", "tilecount", "columns", "imagewidth", "imageheight",
+    "pixelsize", "tile", "probability", "hexsidelength", "nextlayerid", "nextobjectid", "infinite"
+];
+
+/**
+ * the boolean attributes of the Tiled JSON format (converted from the XML 0/1 values)
+ * @ignore
+ */
+const BOOLEAN = ["visible", "wrap", "bold", "italic", "underline", "strikeout", "kerning", "repeatx", "repeaty"];
+
+/**
+ * return a copy of the given attributes of the given definition, converted to their Tiled JSON type
+ * @ignore
+ */
+function pick(definition, names) {
+    let result = {};
+    names.forEach((name) => {
+        let value = definition[name];
+        if (typeof value === "undefined" || value === null || value === "") {
+            return;
+        }
+        if (NUMERIC.includes(name)) {
+            value = +value;
+        } else if (BOOLEAN.includes(name)) {
+            value = value === true || value === "true" || +value === 1;
+        }
+        result[name] = value;
+    });
+    return result;
+}
+
+/**
+ * return the Tiled property type matching the given value
+ * @ignore
+ */
+function propertyType(value) {
+    if (typeof value === "boolean") {
+        return "bool";
+    } else if (typeof value === "number") {
+        return Number.isInteger(value) ? "int" : "float";
+    }
+    return "string";
+}
+
+/**
+ * convert the given properties (in any of the XML or JSON parsed formats) to the Tiled JSON format
+ * @ignore
+ * @param {object|object[]} properties - properties definition
+ * @returns {object[]|undefined} an array of properties in the Tiled JSON format
+ */
+export function toJSONProperties(properties) {
+    if (typeof properties === "undefined" || properties === null) {
+        return undefined;
+    }
+    if (Array.isArray(properties)) {
+        return properties.map((property) => ({
+            name : property.name,
+            type : property.type || propertyType(property.value),
+            value : property.value
+        }));
+    }
+    let result = Object.keys(properties).map((name) => {
+        let value = properties[name];
+        if (typeof value === "object" && value !== null) {
+            // objects are stored as JSON strings
+            value = "json:" + JSON.stringify(value);
+        }
+        return { name : name, type : propertyType(value), value : value };
+    });
+    return result.length > 0 ? result : undefined;
+}
+
+/**
+ * convert the given object definition to the Tiled JSON format
+ * @ignore
+ * @param {object} object - an object definition, as parsed by the loader
+ * @returns {object} the object in the Tiled JSON format
+ */
+export function toJSONObject(object) {
+    let json = pick(object, ATTRIBUTES.object);
+
+    if (typeof object.ellipse !== "undefined" && object.ellipse !== false) {
+        json.ellipse = true;
+    } else if (typeof object.point !== "undefined" && object.point !== false) {
+        json.point = true;
+    } else if (Array.isArray(object.polygon)) {
+        json.polygon = object.polygon.map((p) => ({ x : +p.x, y : +p.y }));
+    } else if (Array.isArray(object.polyline)) {
+        json.polyline = object.polyline.map((p) => ({ x : +p.x, y : +p.y }));
+    }
+
+    if (typeof object.text === "object") {
+        // only keep the Tiled text attributes (the definition is completed when instantiating the object)
+        json.text = Object.assign(pick(object.text, ATTRIBUTES.text), { text : object.text.text || "" });
+    }
+
+    let properties = toJSONProperties(object.properties);
+    if (typeof properties !== "undefined") {
+        json.properties = properties;
+    }
+    return json;
+}
+
+/**
+ * convert the given tileset definition to the Tiled JSON format, external tilesets being only referenced
+ * @ignore
+ * @param {object} tileset - a tileset definition, as parsed by the loader
+ * @returns {object} the tileset in the Tiled JSON format
+ */
+export function toJSONTileset(tileset) {
+    if (typeof tileset.source !== "undefined") {
+        return { firstgid : +tileset.firstgid, source : tileset.source };
+    }
+
+    let json = Object.assign(
+        pick(tileset, ATTRIBUTES.tileset),
+        pick(tileset, ["image", "imagewidth", "imageheight"])
+    );
+
+    if (typeof tileset.tileoffset === "object") {
+        json.tileoffset = { x : +tileset.tileoffset.x, y : +tileset.tileoffset.y };
+    }
+
+    let properties = toJSONProperties(tileset.properties);
+    if (typeof properties !== "undefined") {
+        json.properties = properties;
+    }
+
+    if (typeof tileset.tiles === "object") {
+        // the XML format uses an object indexed by tile id
+        json.tiles = Object.keys(tileset.tiles).map((key) => {
+            let tile = tileset.tiles[key];
+            let result = Object.assign(
+                pick(tile, ATTRIBUTES.tile),
+                pick(tile, ["image", "imagewidth", "imageheight"])
+            );
+            result.id = typeof tile.id !== "undefined" ? +tile.id : +key;
+            let tileProperties = toJSONProperties(tile.properties);
+            if (typeof tileProperties !== "undefined") {
+                result.properties = tileProperties;
+            }
+            if (Array.isArray(tile.animation)) {
+                result.animation = tile.animation.map((frame) => ({ tileid : +frame.tileid, duration : +frame.duration }));
+            }
+            let objectgroup = tile.objectgroup || (tile.layers || []).find((layer) => layer.type === "objectgroup");
+            if (typeof objectgroup !== "undefined") {
+                result.objectgroup = {
+                    type : "objectgroup",
+                    draworder : "index",
+                    objects : (objectgroup.objects || []).map(toJSONObject)
+                };
+            }
+            return result;
+        });
+    }
+
+    if (Array.isArray(tileset.wangsets)) {
+        json.wangsets = tileset.wangsets.map((wangset) => Object.assign(pick(wangset, ATTRIBUTES.wangset), {
+            colors : (wangset.colors || []).map((color) => pick(color, ATTRIBUTES.wangcolor)),
+            wangtiles : (wangset.wangtiles || []).map((wangtile) => ({
+                tileid : +wangtile.tileid,
+                wangid : (typeof wangtile.wangid === "string" ? wangtile.wangid.split(",") : wangtile.wangid).map(Number)
+            }))
+        }));
+    }
+
+    return json;
+}
+
+/**
+ * convert the given layer definition to the Tiled JSON format
+ * (objects are written from their definition, not from the renderables instantiated from them)
+ * @ignore
+ * @param {object} layer - a layer definition, as parsed by the loader
+ * @param {Function} getTileLayer - function returning the JSON definition of the given tile layer definition
+ * @returns {object} the layer in the Tiled JSON format
+ */
+export function toJSONLayer(layer, getTileLayer) {
+    let json;
+
+    switch (layer.type) {
+        case "tilelayer":
+            return getTileLayer(layer);
+
+        case "objectgroup":
+            json = pick(layer, ATTRIBUTES.objectgroup);
+            json.objects = (layer.objects || []).map(toJSONObject);
+            break;
+
+        case "imagelayer":
+            json = pick(layer, ATTRIBUTES.imagelayer);
+            json.image = layer.image;
+            break;
+
+        case "group":
+            json = pick(layer, ATTRIBUTES.group);
+            json.layers = (layer.layers || []).map((child) => toJSONLayer(child, getTileLayer));
+            break;
+
+        default:
+            json = Object.assign({}, layer);
+            break;
+    }
+
+    json.type = layer.type;
+
+    let properties = toJSONProperties(layer.properties);
+    if (typeof properties !== "undefined") {
+        json.properties = properties;
+    }
+    return json;
+}
+
+/**
+ * escape the given value for use in a XML document
+ * @ignore
+ */
+function escapeXML(value, attribute = true) {
+    let text = String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+    return attribute === true ? text.replace(/"/g, "&quot;").replace(/\n/g, "&#10;") : text;
+}
+
+/**
+ * return the given element as a XML string
+ * @ignore
+ * @param {string} name - element name
+ * @param {object} json - object holding the attribute values
+ * @param {string[]} names - the attributes to be written
+ * @param {string[]} [children] - the element children, as XML strings
+ * @param {string} [text] - the element text content
+ * @param {string} [indent=""] - the element indentation
+ */
+function element(name, json, names, children = [], text, indent = "") {
+    let xml = indent + "<" + name;
+    names.forEach((attribute) => {
+        let value = json[attribute];
+        if (typeof value === "undefined" || value === null) {
+            return;
+        }
+        if (typeof value === "boolean") {
+            value = value ? 1 : 0;
+        }
+        xml += " " + attribute + "=\"" + escapeXML(value) + "\"";
+    });
+    if (children.length === 0 && typeof text === "undefined") {
+        return xml + "/>\n";
+    }
+    if (typeof text !== "undefined") {
+        return xml + ">" + escapeXML(text, false) + "</" + name + ">\n";
+    }
+    return xml + ">\n" + children.join("") + indent + "</" + name + ">\n";
+}
+
+/**
+ * return the given properties as a XML string (or an empty array if none)
+ * @ignore
+ */
+function propertiesXML(properties, indent) {
+    if (!Array.isArray(properties) || properties.length === 0) {
+        return [];
+    }
+    return [element("properties", {}, [], properties.map((property) => element(
+        "property",
+        // "string" is the default property type
+        { name : property.name, type : property.type !== "string" ? property.type : undefined, value : String(property.value) },
+        ["name", "type", "value"], [], undefined, indent + " "
+    )), undefined, indent)];
+}
+
+/**
+ * return the given tile data as a XML string
+ * @ignore
+ */
+function dataText(data, width) {
+    if (!Array.isArray(data)) {
+        return data;
+    }
+    // csv data, one row per line
+    let rows = [];
+    for (let i = 0; i < data.length; i += width) {
+        rows.push(data.slice(i, i + width).join(","));
+    }
+    return "\n" + rows.join(",\n") + "\n";
+}
+
+/**
+ * return the given object as a XML string
+ * @ignore
+ */
+function objectXML(object, indent) {
+    let children = propertiesXML(object.properties, indent + " ");
+    let points = (list) => ({ points : list.map((p) => p.x + "," + p.y).join(" ") });
+    if (object.ellipse === true) {
+        children.push(element("ellipse", {}, [], [], undefined, indent + " "));
+    } else if (object.point === true) {
+        children.push(element("point", {}, [], [], undefined, indent + " "));
+    } else if (Array.isArray(object.polygon)) {
+        children.push(element("polygon", points(object.polygon), ["points"], [], undefined, indent + " "));
+    } else if (Array.isArray(object.polyline)) {
+        children.push(element("polyline", points(object.polyline), ["points"], [], undefined, indent + " "));
+    }
+    if (typeof object.text === "object") {
+        children.push(element("text", object.text, ATTRIBUTES.text, [], object.text.text, indent + " "));
+    }
+    return element("object", object, ATTRIBUTES.object, children, undefined, indent);
+}
+
+/**
+ * return the given tileset as a XML string
+ * @ignore
+ */
+function tilesetXML(tileset, indent) {
+    let children = [];
+    if (typeof tileset.tileoffset === "object") {
+        children.push(element("tileoffset", tileset.tileoffset, ["x", "y"], [], undefined, indent + " "));
+    }
+    children.push(...propertiesXML(tileset.properties, indent + " "));
+    if (typeof tileset.image !== "undefined") {
+        children.push(element("image", {
+            source : tileset.image, width : tileset.imagewidth, height : tileset.imageheight
+        }, ["source", "width", "height"], [], undefined, indent + " "));
+    }
+    (tileset.tiles || []).forEach((tile) => {
+        let tileChildren = propertiesXML(tile.properties, indent + "  ");
+        if (typeof tile.image !== "undefined") {
+            tileChildren.push(element("image", {
+                source : tile.image, width : tile.imagewidth, height : tile.imageheight
+            }, ["source", "width", "height"], [], undefined, indent + "  "));
+        }
+        if (typeof tile.objectgroup === "object") {
+            tileChildren.push(element("objectgroup", tile.objectgroup, ["draworder"],
+                tile.objectgroup.objects.map((object) => objectXML(object, indent + "   ")), undefined, indent + "  "));
+        }
+        if (Array.isArray(tile.animation)) {
+            tileChildren.push(element("animation", {}, [], tile.animation.map((frame) => element(
+                "frame", frame, ["tileid", "duration"], [], undefined, indent + "   "
+            )), undefined, indent + "  "));
+        }
+        children.push(element("tile", tile, ATTRIBUTES.tile, tileChildren, undefined, indent + " "));
+    });
+    if (Array.isArray(tileset.wangsets) && tileset.wangsets.length > 0) {
+        children.push(element("wangsets", {}, [], tileset.wangsets.map((wangset) => element(
+            "wangset", wangset, ATTRIBUTES.wangset, [].concat(
+                wangset.colors.map((color) => element("wangcolor", color, ATTRIBUTES.wangcolor, [], undefined, indent + "   ")),
+                wangset.wangtiles.map((wangtile) => element("wangtile", {
+                    tileid : wangtile.tileid, wangid : wangtile.wangid.join(",")
+                }, ["tileid", "wangid"], [], undefined, indent + "   "))
+            ), undefined, indent + "  "
+        )), undefined, indent + " "));
+    }
+    return element("tileset", tileset, ATTRIBUTES.tileset, children, undefined, indent);
+}
+
+/**
+ * return the given layer as a XML string
+ * @ignore
+ */
+function layerXML(layer, indent) {
+    let children = propertiesXML(layer.properties, indent + " ");
+    switch (layer.type) {
+        case "tilelayer": {
+            // csv is the default encoding for JSON maps
+            let encoding = { encoding : layer.encoding || "csv", compression : layer.compression };
+            if (Array.isArray(layer.chunks)) {
+                children.push(element("data", encoding, ["encoding", "compression"], layer.chunks.map((chunk) => element(
+                    "chunk", chunk, ["x", "y", "width", "height"], [], dataText(chunk.data, chunk.width), indent + "  "
+                )), undefined, indent + " "));
+            } else {
+                children.push(element("data", encoding, ["encoding", "compression"], [], dataText(layer.data, layer.width), indent + " "));
+            }
+            return element("layer", layer, ATTRIBUTES.layer, children, undefined, indent);
+        }
+        case "objectgroup":
+            children.push(...(layer.objects || []).map((object) => objectXML(object, indent + " ")));
+            return element("objectgroup", layer, ATTRIBUTES.objectgroup, children, undefined, indent);
+
+        case "imagelayer":
+            if (typeof layer.image !== "undefined") {
+                children.push(element("image", { source : layer.image }, ["source"], [], undefined, indent + " "));
+            }
+            return element("imagelayer", layer, ATTRIBUTES.imagelayer, children, undefined, indent);
+
+        case "group":
+            children.push(...(layer.layers || []).map((child) => layerXML(child, indent + " ")));
+            return element("group", layer, ATTRIBUTES.group, children, undefined, indent);
+
+        default:
+            return "";
+    }
+}
+
+/**
+ * convert the given map in the Tiled JSON format into a TMX (XML) document
+ * @ignore
+ * @param {object} map - a map in the Tiled JSON format
+ * @returns {string} the TMX document
+ */
+export function toTMX(map) {
+    let children = propertiesXML(map.properties, " ");
+    (map.tilesets || []).forEach((tileset) => {
+        children.push(tilesetXML(tileset, " "));
+    });
+    (map.layers || []).forEach((layer) => {
+        children.push(layerXML(layer, " "));
+    });
+    return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" + element("map", map, ATTRIBUTES.map, children);
+}
@@ -121,6 +121,27 @@ export default class TMXHexagonalRenderer extends TMXRenderer {
         return !this.staggerX && (y & 1) ^ this.staggerEven;
     }
 
+    /**
+     * return the tile coordinates of the tiles sharing an edge with the specified tile
+     * @ignore
+     */
+    getNeighbours(col, row) {
+        let neighbours = [];
+        let v = pool.pull("Vector2d");
+        [this.topLeft, this.topRight, this.bottomLeft, this.bottomRight].forEach((fn) => {
+            fn.call(this, col, row, v);
+            neighbours.push([v.x, v.y]);
+        });
+        pool.push(v);
+        // hexagons also share an edge with the tiles in the same column (flat top) or row (pointy top)
+        if (this.staggerX) {
+            neighbours.push([col, row - 1], [col, row + 1]);
+        } else {
+            neighbours.push([col - 1, row], [col + 1, row]);
+        }
+        return neighbours;
+    }
+
     /**
      * @ignore
      */
@@ -423,6 +444,10 @@ export default class TMXHexagonalRenderer extends TMXRenderer {
 
             // main drawing loop
             for (; startPos.y < rect.bottom && startTile.y < endY; ) {
+                // draw the depth sorted objects standing behind this row
+                if (layer.isDepthSorting === true) {
+                    layer.drawDepthObjects(renderer, startPos.y + this.tileheight);
+                }
                 rowTile.setV(startTile);
                 rowPos.setV(startPos);
 
@@ -469,6 +494,10 @@ export default class TMXHexagonalRenderer extends TMXRenderer {
 
             // main drawing loop
             for (; startPos.y < rect.bottom && startTile.y < endY; startTile.y++) {
+                // draw the depth sorted objects standing behind this row
+                if (layer.isDepthSorting === true) {
+                    layer.drawDepthObjects(renderer, startPos.y + this.tileheight);
+                }
                 rowTile.setV(startTile);
                 rowPos.setV(startPos);
 
@@ -163,6 +163,10 @@ export default class TMXIsometricRenderer extends TMXRenderer {
 
         // main drawing loop
         for (let y = startPos.y * 2; y - this.tileheight * 2 < rectEnd.y * 2; y += this.tileheight) {
+            // draw the depth sorted objects standing behind this row
+            if (layer.isDepthSorting === true) {
+                layer.drawDepthObjects(renderer, y / 2);
+            }
             columnItr.setV(rowItr);
             for (let x = startPos.x; x < rectEnd.x; x += this.tilewidth) {
                 let tmxTile = layer.cellAt(columnItr.x, columnItr.y);
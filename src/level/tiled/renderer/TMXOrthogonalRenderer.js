@@ -94,8 +94,8 @@ export default class TMXOrthogonalRenderer extends TMXRenderer {
 
         // get top-left and bottom-right tile position
         let start = this.pixelToTileCoords(
-            Math.max(rect.pos.x - (layer.maxTileSize.width - layer.tilewidth), 0),
-            Math.max(rect.pos.y - (layer.maxTileSize.height - layer.tileheight), 0),
+            rect.pos.x - (layer.maxTileSize.width - layer.tilewidth),
+            rect.pos.y - (layer.maxTileSize.height - layer.tileheight),
             pool.pull("Vector2d")
         ).floorSelf();
 
@@ -106,8 +106,26 @@ export default class TMXOrthogonalRenderer extends TMXRenderer {
         ).ceilSelf();
 
         //ensure we are in the valid tile range
-        end.x = end.x > this.cols ? this.cols : end.x;
-        end.y = end.y > this.rows ? this.rows : end.y;
+        if (layer.infinite === true) {
+            // infinite maps tiles can be anywhere within the layer chunks
+            let area = layer.chunkBounds;
+            start.x = Math.max(start.x, area.left);
+            start.y = Math.max(start.y, area.top);
+            end.x = Math.min(end.x, area.right);
+            end.y = Math.min(end.y, area.bottom);
+        } else {
+            start.x = Math.max(start.x, 0);
+            start.y = Math.max(start.y, 0);
+            end.x = end.x > this.cols ? this.cols : end.x;
+            end.y = end.y > this.rows ? this.rows : end.y;
+        }
+
+        // nothing to draw
+        if (start.x >= end.x || start.y >= end.y) {
+            pool.push(start);
+            pool.push(end);
+            return;
+        }
 
         switch (layer.renderorder) {
             case "right-up" :
@@ -78,6 +78,16 @@ export default class TMXRenderer {
         return v;
     }
 
+    /**
+     * return the tile coordinates of the tiles sharing an edge with the specified tile
+     * @param {number} col - tile horizontal position
+     * @param {number} row - tile vertical position
+     * @returns {number[][]} an array of [col, row] coordinates
+     */
+    getNeighbours(col, row) {
+        return [[col, row - 1], [col + 1, row], [col, row + 1], [col - 1, row]];
+    }
+
     /**
      * draw the given tile at the specified layer
      * @param {CanvasRenderer|WebGLRenderer} renderer - a renderer object
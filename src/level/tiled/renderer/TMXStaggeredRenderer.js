@@ -22,6 +22,15 @@ export default class TMXStaggeredRenderer extends TMXHexagonalRenderer {
         );
     }
 
+    /**
+     * return the tile coordinates of the tiles sharing an edge with the specified tile
+     * @ignore
+     */
+    getNeighbours(col, row) {
+        // staggered (diamond) tiles only share an edge with their diagonal neighbours
+        return super.getNeighbours(col, row).slice(0, 4);
+    }
+
     /**
      * return the tile position corresponding to the specified pixel
      * @ignore
@@ -72,6 +72,8 @@ function initParsers() {
     setParser("js", preloadJavascript);
     setParser("tmx", preloadTMX);
     setParser("tsx", preloadTMX);
+    setParser("tx", preloadTMX);
+    setParser("world", preloadTMX);
     setParser("audio", audio.load);
     setParser("fontface", preloadFontFace);
     parserInitialized = true;
@@ -137,7 +139,7 @@ function onLoadingError(res) {
  * an asset definition to be used with the loader
  * @typedef {object} loader.Asset
  * @property {string} name - name of the asset
- * @property {string} type  - the type of the asset ("audio"|"binary"|"image"|"json"|"js"|"tmx"|"tmj"|"tsx"|"tsj"|"fontface")
+ * @property {string} type  - the type of the asset ("audio"|"binary"|"image"|"json"|"js"|"tmx"|"tmj"|"tsx"|"tsj"|"tx"|"tj"|"world"|"fontface")
  * @property {string} [src]  - path and/or file name of the resource (for audio assets only the path is required)
  * @property {string} [data]  - TMX data if not provided through a src url
  * @property {boolean} [stream=false] - Set to true to force HTML5 Audio, which allows not to wait for large file to be downloaded before playing.
@@ -152,6 +154,10 @@ function onLoadingError(res) {
  *   {name: "texture", type:"image", src: "data:image/png;base64,iVBORw0KAAAQAAAAEACA..."}
  *   // TSX file
  *   {name: "meta_tiles", type: "tsx", src: "data/map/meta_tiles.tsx"}
+ *   // TX object template (XML & JSON)
+ *   {name: "enemy", type: "tx", src: "data/map/enemy.tx"}
+ *   // Tiled world
+ *   {name: "overworld", type: "world", src: "data/map/overworld.world"}
  *   // TMX level (XML & JSON)
  *   {name: "map1", type: "tmx", src: "data/map/map1.json"}
  *   {name: "map2", type: "tmx", src: "data/map/map2.tmx"}
@@ -221,6 +227,7 @@ function setParser(type, parserFn) {
  *   {name: "texture", type:"image", src: "data:image/png;base64,iVBORw0KAAAQAAAAEACA..."}
  *   // TSX file
  *   {name: "meta_tiles", type: "tsx", src: "data/map/meta_tiles.tsx"},
+ *   {name: "enemy", type: "tx", src: "data/map/enemy.tx"},
  *   // TMX level (XML & JSON)
  *   {name: "map1", type: "tmx", src: "data/map/map1.json"},
  *   {name: "map2", type: "tmx", src: "data/map/map2.tmx"},
@@ -352,6 +359,8 @@ export function unload(asset) {
 
         case "tmx":
         case "tsx":
+        case "tx":
+        case "world":
             if (!(asset.name in tmxList)) {
                 return false;
             }
@@ -422,7 +431,7 @@ export function unloadAll() {
 /**
  * return the specified TMX/TSX object
  * @memberof loader
- * @param {string} elt - name of the tmx/tsx element ("map1");
+ * @param {string} elt - name of the tmx/tsx/tx/world element ("map1");
  * @returns {object} requested element or null if not found
  */
 export function getTMX(elt) {
@@ -22,8 +22,8 @@ export function preloadTMX(tmxData, onload, onerror) {
         // set the TMX content
         tmxList[tmxData.name] = data;
 
-        // add the tmx to the level manager
-        if (tmxData.type === "tmx") {
+        // add the tmx (or world) to the level manager
+        if (tmxData.type === "tmx" || tmxData.type === "world") {
             level.add(tmxData.type, tmxData.name);
         }
     }
@@ -39,11 +39,11 @@ export function preloadTMX(tmxData, onload, onerror) {
     }
 
     let xmlhttp = new XMLHttpRequest();
-    // check the data format ('tmx', 'json')
+    // check the data format ('tmx', 'tsx', 'tx', 'json', 'world')
     let format = fileUtil.getExtension(tmxData.src);
 
     if (xmlhttp.overrideMimeType) {
-        if (format === "json") {
+        if (format === "json" || format === "world") {
             xmlhttp.overrideMimeType("application/json");
         }
         else {
@@ -66,7 +66,8 @@ export function preloadTMX(tmxData, onload, onerror) {
                 switch (format) {
                     case "xml":
                     case "tmx":
-                    case "tsx": {
+                    case "tsx":
+                    case "tx": {
                         // ie9 does not fully implement the responseXML
                         if (ua.match(/msie/i) || !xmlhttp.responseXML) {
                             if (globalThis.DOMParser) {
@@ -89,12 +90,23 @@ export function preloadTMX(tmxData, onload, onerror) {
                             case "tsx":
                                 result = data.tilesets[0];
                                 break;
+
+                            case "tx":
+                                // normalize to the JSON template format
+                                result = {
+                                    type : "template",
+                                    tileset : (data.template.tilesets || [])[0],
+                                    object : (data.template.objects || [])[0]
+                                };
+                                break;
                         }
                         break;
                     }
                     case "json":
                     case "tmj":
                     case "tsj":
+                    case "tj":
+                    case "world":
                         result = JSON.parse(xmlhttp.responseText);
                         break;
 
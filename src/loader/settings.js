@@ -57,7 +57,7 @@ export function setNocache(enable = false) {
  * @name setBaseURL
  * @memberof loader
  * @public
- * @param {string} type  - "*", "audio", binary", "image", "json", "js", "tmx", "tsx"
+ * @param {string} type  - "*", "audio", binary", "image", "json", "js", "tmx", "tsx", "tx", "world"
  * @param {string} [url="./"] - default base URL
  * @example
  * // change the base URL relative address for audio assets
@@ -77,6 +77,8 @@ export function setBaseURL(type, url) {
         baseURL["js"] = url;
         baseURL["tmx"] = url;
         baseURL["tsx"] = url;
+        baseURL["tx"] = url;
+        baseURL["world"] = url;
         // XXX ?
         //baseURL["fontface"] = url;
     }
@@ -8,6 +8,34 @@ import * as arrayUtil from "./../utils/array.js";
 import timer from "./../system/timer.js";
 import { clamp } from "./../math/math.js";
 import Point from "../geometries/point.js";
+import * as event from "./../system/event.js";
+import Vector2d from "./../math/vector2.js";
+
+/**
+ * convert the given one-way direction into the normal of the solid face
+ * @ignore
+ * @param {boolean|string|Vector2d} value - true or "up", "down", "left", "right", or a normal vector
+ * @returns {Vector2d|undefined}
+ */
+function parseOneWay(value) {
+    switch (value) {
+        case true:
+        case "true":
+        case "up":
+            return new Vector2d(0, -1);
+        case "down":
+            return new Vector2d(0, 1);
+        case "left":
+            return new Vector2d(-1, 0);
+        case "right":
+            return new Vector2d(1, 0);
+        default:
+            if (typeof value === "object" && value !== null && typeof value.x === "number") {
+                return new Vector2d(value.x, value.y).normalize();
+            }
+            return undefined;
+    }
+}
 
 /**
  * @classdesc
@@ -49,6 +77,16 @@ export default class Body {
             this.shapes = [];
         }
 
+        if (typeof this.shapeSettings === "undefined") {
+            /**
+             * per-shape collision settings, indexed by shape
+             * @ignore
+             * @type {Map<Polygon|Line|Ellipse|Point, object>}
+             */
+            this.shapeSettings = new Map();
+        }
+        this.shapeSettings.clear();
+
         /**
          * The body collision mask, that defines what should collide with what.<br>
          * (by default will collide with all entities)
@@ -84,6 +122,16 @@ export default class Body {
         }
         this.vel.set(0, 0);
 
+        if (typeof this.prevPos === "undefined") {
+            /**
+             * the position of the body ancestor before the last physic step
+             * @public
+             * @type {Vector2d}
+             */
+            this.prevPos = pool.pull("Vector2d");
+        }
+        this.prevPos.setV(this.ancestor.pos);
+
         if (typeof this.force === "undefined") {
             /**
              * body force to apply to this the body in the current step.
@@ -162,6 +210,60 @@ export default class Body {
          */
         this.isStatic = false;
 
+        /**
+         * Enable continuous collision detection for this body. <br>
+         * A bullet body is swept between its previous and new position on each step, and moved back
+         * to the earliest time of impact, preventing small and fast moving bodies from passing through thin obstacles.
+         * @public
+         * @type {boolean}
+         * @default false
+         * @example
+         * // a fast projectile
+         * this.body.bullet = true;
+         */
+        this.bullet = false;
+
+        /**
+         * if false this body will never fall asleep, even when sleeping is enabled in the physic world
+         * @public
+         * @type {boolean}
+         * @default true
+         * @see World.allowSleep
+         */
+        this.allowSleep = true;
+
+        /**
+         * true if this body is currently sleeping and skipped by the physic simulation
+         * @readonly
+         * @public
+         * @type {boolean}
+         * @default false
+         * @see Body.wakeUp
+         */
+        this.isSleeping = false;
+
+        /**
+         * the time (in ms) this body has been at rest
+         * @ignore
+         * @type {number}
+         */
+        this.sleepTime = 0;
+
+        /**
+         * the fraction of a fixed physic step elapsed since this body was last simulated,
+         * used to draw its ancestor at its position interpolated between the last two steps
+         * @ignore
+         * @see World#fixedStep
+         */
+        this.stepAlpha = 1;
+
+        /**
+         * the scale applied to the velocity when moving this body ancestor,
+         * set by the world to the ratio between the fixed physic step and the nominal frame duration
+         * @ignore
+         * @see World#fixedStep
+         */
+        this.stepScale = 1;
 
         /**
          * The degree to which this body is affected by the world gravity
@@ -233,18 +335,47 @@ export default class Body {
         this.isStatic = isStatic === true;
     }
 
+    /**
+     * put this body to sleep, removing it from the physic simulation until it is woken up
+     * @see World.allowSleep
+     */
+    sleep() {
+        if (this.isSleeping === false) {
+            this.isSleeping = true;
+            this.vel.set(0, 0);
+            this.force.set(0, 0);
+            this.prevPos.setV(this.ancestor.pos);
+            event.emit(event.BODY_SLEEP, this);
+        }
+    }
+
+    /**
+     * wake up this body if sleeping. <br>
+     * Sleeping bodies are automatically woken up when touched by another body, when a force or a velocity is applied, or when moved.
+     */
+    wakeUp() {
+        this.sleepTime = 0;
+        if (this.isSleeping === true) {
+            this.isSleeping = false;
+            event.emit(event.BODY_WAKE, this);
+        }
+    }
+
     /**
      * add a collision shape to this body <br>
      * (note: me.Rect objects will be converted to me.Polygon before being added)
      * @param {Rect|Polygon|Line|Ellipse|Point|Point[]|Bounds|object} shape - a shape or JSON object
+     * @param {object} [settings] - optional collision settings for this shape (see {@link Body#setShapeSettings})
      * @returns {number} the shape array length
      * @example
      * // add a rectangle shape
      * this.body.addShape(new me.Rect(0, 0, image.width, image.height));
      * // add a shape from a JSON object
      * this.body.addShape(me.loader.getJSON("shapesdef").banana);
+     * // add a jump-through platform shape
+     * this.body.addShape(new me.Rect(0, 0, 96, 8), { oneWay : "up" });
      */
-    addShape(shape) {
+    addShape(shape, settings) {
         if (shape instanceof Rect || shape instanceof Bounds) {
             let poly = shape.toPolygon();
             this.shapes.push(poly);
@@ -282,6 +413,10 @@ export default class Body {
             this.fromJSON(shape);
         }
 
+        if (typeof settings === "object") {
+            this.setShapeSettings(this.shapes.length - 1, settings);
+        }
+
         if (typeof this.onBodyUpdate === "function") {
             this.onBodyUpdate(this);
         }
@@ -290,6 +425,53 @@ export default class Body {
         return this.shapes.length;
     }
 
+    /**
+     * define collision settings for the shape at the given index, refining the body settings for this shape only. <br>
+     * Note: a shape collision type and mask are applied in addition to the body collision type and mask.
+     * @param {number} index - the shape index
+     * @param {object} settings - the shape collision settings
+     * @param {number} [settings.collisionType] - the collision type of this shape (default to the body collision type)
+     * @param {number} [settings.collisionMask] - the collision mask of this shape (default to the body collision mask)
+     * @param {boolean} [settings.isSensor=false] - if true, collisions with this shape are reported to `onCollision` but never physically resolved
+     * @param {boolean|string|Vector2d} [settings.oneWay] - make this shape only solid from one side, either "up" (or true), "down", "left", "right" or the normal vector of the solid face
+     * @see collision.types
+     * @example
+     * // a jump-through platform, only solid for bodies landing on it from above
+     * this.body.setShapeSettings(0, { oneWay : "up" });
+     * // a sensor shape detecting the player, without blocking it
+     * this.body.setShapeSettings(1, { isSensor : true, collisionMask : me.collision.types.PLAYER_OBJECT });
+     */
+    setShapeSettings(index, settings) {
+        let shape = this.getShape(index);
+        if (typeof shape === "undefined") {
+            throw new Error("no shape defined at index " + index);
+        }
+        let current = this.shapeSettings.get(shape) || {};
+        if (typeof settings.collisionType === "number") {
+            current.collisionType = settings.collisionType;
+        }
+        if (typeof settings.collisionMask === "number") {
+            current.collisionMask = settings.collisionMask;
+        }
+        if (typeof settings.isSensor !== "undefined") {
+            current.isSensor = settings.isSensor === true || settings.isSensor === "true";
+        }
+        if (typeof settings.oneWay !== "undefined") {
+            current.oneWay = parseOneWay(settings.oneWay);
+        }
+        this.shapeSettings.set(shape, current);
+    }
+
+    /**
+     * return the collision settings defined for the shape at the given index
+     * @param {number} [index=0] - the shape index
+     * @returns {object|undefined} the shape collision settings, or undefined if none are defined
+     * @see Body#setShapeSettings
+     */
+    getShapeSettings(index) {
+        return this.shapeSettings.get(this.getShape(index));
+    }
+
     /**
      * set the body vertices to the given one
      * @param {Vector2d[]} vertices - an array of me.Vector2d points defining a convex hull
@@ -357,6 +539,15 @@ export default class Body {
             this.mass = data[0].density || 0;
             this.friction.set(data[0].friction || 0, data[0].friction || 0);
             this.bounce = data[0].bounce || 0;
+            // apply per-shape sensor, one-way and collision filter properties
+            for (let i = 0; i < data.length; i++) {
+                this.setShapeSettings(i, {
+                    collisionType : data[i].collisionType,
+                    collisionMask : data[i].collisionMask,
+                    isSensor : data[i].isSensor,
+                    oneWay : data[i].oneWay
+                });
+            }
         }
 
         // return the amount of shapes added to the body
@@ -390,6 +581,7 @@ export default class Body {
         this.bounds.clear();
         // remove the shape from shape list
         arrayUtil.remove(this.shapes, shape);
+        this.shapeSettings.delete(shape);
         // add everything left back
         for (let s = 0; s < this.shapes.length; s++) {
             this.addShape(this.shapes[s]);
@@ -607,7 +799,7 @@ export default class Body {
      * me.timer.tick value (which can be used to scale velocities).  The approach to moving the
      * parent renderable is to compute new values of the Body.vel property then add them to
      * the parent.pos value thus changing the postion the amount of Body.vel each time the
-     * update call is made. <br>
+     * update call is made (scaled by the step size when using fixed physic steps). <br>
      * Updates to Body.vel are bounded by maxVel (which defaults to viewport size if not set) <br>
      * At this time a call to Body.Update does not call the onBodyUpdate callback that is listed in the constructor arguments.
      * @protected
@@ -662,7 +854,13 @@ export default class Body {
         this.jumping = (this.falling ? false : this.jumping);
 
         // update the body ancestor position
-        this.ancestor.pos.add(this.vel);
+        if (this.stepScale === 1) {
+            this.ancestor.pos.add(this.vel);
+        } else {
+            // fixed physic steps, so that the distance moved over time does not depend on the step size
+            this.ancestor.pos.x += this.vel.x * this.stepScale;
+            this.ancestor.pos.y += this.vel.y * this.stepScale;
+        }
 
         // returns true if vel is different from 0
         return (this.vel.x !== 0 || this.vel.y !== 0);
@@ -676,6 +874,7 @@ export default class Body {
         // push back instance into object pool
         pool.push(this.bounds);
         pool.push(this.vel);
+        pool.push(this.prevPos);
         pool.push(this.force);
         pool.push(this.friction);
         pool.push(this.maxVel);
@@ -688,13 +887,19 @@ export default class Body {
         this.ancestor = undefined;
         this.bounds = undefined;
         this.vel = undefined;
+        this.prevPos = undefined;
         this.force = undefined;
         this.friction = undefined;
         this.maxVel = undefined;
         this.shapes.length = 0;
+        this.shapeSettings.clear();
 
         // reset some variable to default
         this.setStatic(false);
+        this.bullet = false;
+        this.isSleeping = false;
+        this.sleepTime = 0;
+        this.stepAlpha = 1;
     }
 }
 
@@ -367,6 +367,15 @@ export default class Bounds {
         this.max.y = _y + deltaY;
     }
 
+    /**
+     * return this bounds (allowing to use a bounds object to query the game world broadphase)
+     * @returns {Bounds} this bounds
+     * @see QuadTree.retrieve
+     */
+    getBounds() {
+        return this;
+    }
+
     /**
      * clone this bounds
      * @returns {Bounds}
@@ -0,0 +1,424 @@
+import Body from "./body.js";
+import Line from "./../geometries/line.js";
+import Ellipse from "./../geometries/ellipse.js";
+import Vector2d from "./../math/vector2.js";
+import * as event from "./../system/event.js";
+
+/**
+ * distance (in pixels) below which small overlaps (e.g. seams between adjacent tiles) are considered as ground
+ * @ignore
+ */
+const GROUND_TOLERANCE = 1;
+
+/**
+ * return the y coordinate and upward normal of the given shape surface at the given x coordinate, below the given y coordinate
+ * @ignore
+ * @param {Polygon|Line|Ellipse} shape - the shape to test
+ * @param {number} offsetX - the shape owner absolute x position
+ * @param {number} offsetY - the shape owner absolute y position
+ * @param {number} x - the x coordinate to test
+ * @param {number} fromY - the y coordinate from which to look down
+ * @param {Vector2d} normal - a vector to store the surface normal into
+ * @returns {number} the surface y coordinate, or Infinity if none
+ */
+function surfaceBelow(shape, offsetX, offsetY, x, fromY, normal) {
+    let hitY = Infinity;
+    if (shape instanceof Ellipse) {
+        let cx = offsetX + shape.pos.x,
+            cy = offsetY + shape.pos.y,
+            rx = shape.radiusV.x,
+            ry = shape.radiusV.y,
+            dx = (x - cx) / rx;
+        if (dx * dx <= 1) {
+            let y = cy - ry * Math.sqrt(1 - dx * dx);
+            if (y >= fromY) {
+                hitY = y;
+                normal.set((x - cx) / (rx * rx), (y - cy) / (ry * ry)).normalize();
+            }
+        }
+    } else if (typeof shape.points !== "undefined") {
+        let points = shape.points,
+            len = points.length,
+            baseX = offsetX + shape.pos.x,
+            baseY = offsetY + shape.pos.y;
+        // a line is a single edge, other polygons are closed
+        let edges = shape instanceof Line ? len - 1 : len;
+        for (let i = 0; i < edges; i++) {
+            let p1 = points[i],
+                p2 = points[(i + 1) % len],
+                x1 = baseX + p1.x,
+                x2 = baseX + p2.x;
+            // skip vertical edges and edges not crossing x
+            if (x1 === x2 || x < Math.min(x1, x2) || x > Math.max(x1, x2)) {
+                continue;
+            }
+            let y1 = baseY + p1.y,
+                y2 = baseY + p2.y,
+                y = y1 + (y2 - y1) * (x - x1) / (x2 - x1);
+            if (y >= fromY && y < hitY) {
+                hitY = y;
+                // keep the normal pointing up
+                normal.set(y2 - y1, x1 - x2).normalize();
+                if (normal.y > 0) {
+                    normal.negateSelf();
+                }
+            }
+        }
+    }
+    return hitY;
+}
+
+/**
+ * @classdesc
+ * A kinematic character controller physic body, to be used in place of a regular Body for platformer characters. <br>
+ * On top of the regular body behavior, a character body :
+ * - tracks whether it is standing on the ground (see {@link CharacterBody#isGrounded})
+ * - walks up and down slopes up to {@link CharacterBody#maxSlope} without bouncing or slowing down
+ * - snaps to the ground when walking down slopes or small steps (see {@link CharacterBody#snapDistance})
+ * - automatically steps up obstacles up to {@link CharacterBody#stepHeight}
+ * - can still jump for a short time after walking off a ledge (see {@link CharacterBody#coyoteTime})
+ * - is carried along by the moving platform it stands on
+ * @augments Body
+ * @see event.BODY_GROUNDED
+ * @see event.BODY_AIRBORNE
+ * @example
+ * class PlayerEntity extends me.Sprite {
+ *     constructor(x, y, settings) {
+ *         super(x, y, settings);
+ *         this.body = new me.CharacterBody(this, new me.Rect(0, 0, this.width, this.height), {
+ *             maxSlope : Math.PI / 4,
+ *             stepHeight : 8,
+ *             coyoteTime : 100
+ *         });
+ *         this.body.setMaxVelocity(3, 15);
+ *         this.body.setFriction(0.4, 0);
+ *     }
+ *
+ *     update(dt) {
+ *         if (me.input.isKeyPressed("right")) {
+ *             this.body.force.x = this.body.maxVel.x;
+ *         }
+ *         if (me.input.isKeyPressed("jump")) {
+ *             this.body.jump();
+ *         }
+ *         return super.update(dt);
+ *     }
+ * }
+ */
+export default class CharacterBody extends Body {
+    /**
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} ancestor - the parent object this body is attached to
+     * @param {Rect|Rect[]|Polygon|Polygon[]|Line|Line[]|Ellipse|Ellipse[]|Point|Point[]|Bounds|Bounds[]|object} [shapes] - a initial shape, list of shapes, or JSON object defining the body
+     * @param {object} [settings] - the character controller settings
+     * @param {number} [settings.maxSlope=Math.PI/4] - the steepest slope angle (in radians) the character can stand and walk on
+     * @param {number} [settings.snapDistance=8] - maximum distance (in pixels) the character snaps down to the ground
+     * @param {number} [settings.stepHeight=0] - maximum height (in pixels) of the obstacles the character automatically steps up
+     * @param {number} [settings.coyoteTime=100] - time (in milliseconds) during which the character can still jump after leaving the ground
+     * @param {Function} [onBodyUpdate] - callback for when the body is updated (e.g. add/remove shapes)
+     */
+    constructor(ancestor, shapes, settings = {}, onBodyUpdate) {
+        super(ancestor, shapes, onBodyUpdate);
+
+        /**
+         * the steepest slope angle (in radians) the character can stand and walk on. <br>
+         * Steeper surfaces are treated as walls.
+         * @public
+         * @type {number}
+         * @default Math.PI/4
+         */
+        this.maxSlope = typeof settings.maxSlope === "number" ? settings.maxSlope : Math.PI / 4;
+
+        /**
+         * maximum distance (in pixels) the character snaps down to the ground below it,
+         * keeping it grounded when walking down slopes or small steps. Set to 0 to disable.
+         * @public
+         * @type {number}
+         * @default 8
+         */
+        this.snapDistance = typeof settings.snapDistance === "number" ? settings.snapDistance : 8;
+
+        /**
+         * maximum height (in pixels) of the obstacles a grounded character automatically steps up. Set to 0 to disable.
+         * @public
+         * @type {number}
+         * @default 0
+         */
+        this.stepHeight = typeof settings.stepHeight === "number" ? settings.stepHeight : 0;
+
+        /**
+         * time (in milliseconds) during which the character can still jump after walking off the ground
+         * @public
+         * @type {number}
+         * @default 100
+         * @see CharacterBody#canJump
+         */
+        this.coyoteTime = typeof settings.coyoteTime === "number" ? settings.coyoteTime : 100;
+
+        /**
+         * true if the character is standing on the ground
+         * @public
+         * @type {boolean}
+         * @default false
+         * @see event.BODY_GROUNDED
+         * @see event.BODY_AIRBORNE
+         */
+        this.isGrounded = false;
+
+        /**
+         * the normal of the ground surface the character is standing on
+         * @public
+         * @type {Vector2d}
+         */
+        this.groundNormal = new Vector2d(0, -1);
+
+        /**
+         * the object the character is standing on, or undefined if airborne
+         * @public
+         * @type {Renderable|undefined}
+         */
+        this.ground = undefined;
+
+        /**
+         * time (in milliseconds) since the character left the ground
+         * @public
+         * @type {number}
+         * @default 0
+         */
+        this.airTime = 0;
+
+        // characters are driven by inputs and should not fall asleep
+        this.allowSleep = false;
+
+        // true if the character jumped since it last left the ground
+        this.hasJumped = false;
+
+        // true if a ground contact was found during the last physic step
+        this.groundContact = false;
+
+        // last known absolute position of the ground object (to follow moving platforms)
+        this.groundPos = new Vector2d();
+
+        // reusable ray used to probe the ground
+        this.probePoints = [new Vector2d(), new Vector2d()];
+        this.probe = new Line(0, 0, this.probePoints);
+        this.probeNormal = new Vector2d();
+    }
+
+    /**
+     * returns true if the character can currently jump, either because it is grounded,
+     * or because it left the ground less than {@link CharacterBody#coyoteTime} ago without jumping.
+     * @returns {boolean}
+     */
+    canJump() {
+        return this.hasJumped === false && (this.isGrounded === true || this.airTime <= this.coyoteTime);
+    }
+
+    /**
+     * make the character jump if possible
+     * @param {number} [speed=this.maxVel.y] - the initial jump velocity
+     * @returns {boolean} true if the character jumped
+     * @see CharacterBody#canJump
+     */
+    jump(speed = this.maxVel.y) {
+        if (this.canJump() === false) {
+            return false;
+        }
+        this.vel.y = -speed;
+        this.hasJumped = true;
+        this.jumping = true;
+        this.falling = false;
+        // leave the ground on the next physic step
+        this.groundContact = false;
+        return true;
+    }
+
+    /**
+     * update the grounded state, emitting the corresponding events on change
+     * @ignore
+     * @param {boolean} grounded
+     */
+    setGrounded(grounded) {
+        if (this.isGrounded !== grounded) {
+            this.isGrounded = grounded;
+            if (grounded === true) {
+                this.hasJumped = false;
+                event.emit(event.BODY_GROUNDED, this);
+            } else {
+                this.ground = undefined;
+                event.emit(event.BODY_AIRBORNE, this);
+            }
+        }
+    }
+
+    /**
+     * cast a ray down from the bottom of the body and return the distance to the ground below
+     * @ignore
+     * @param {number} maxDistance - maximum distance to look for the ground below the body
+     * @returns {number} the distance to the ground, or Infinity if none was found
+     */
+    probeGround(maxDistance) {
+        let container = this.ancestor.ancestor;
+        if (typeof container === "undefined" || typeof container.getRootAncestor !== "function") {
+            return Infinity;
+        }
+        let world = container.getRootAncestor();
+        if (typeof world === "undefined" || typeof world.detector === "undefined") {
+            return Infinity;
+        }
+
+        let bounds = this.getBounds();
+        let absPos = this.ancestor.getAbsolutePosition();
+        let fromY = absPos.y + bounds.centerY;
+        let feetY = absPos.y + bounds.bottom;
+        let length = feetY - fromY + maxDistance;
+        let normal = this.probeNormal;
+        let distance = Infinity;
+
+        // probe below the left, center and right of the body
+        for (let i = 0; i < 3; i++) {
+            let x = absPos.x + bounds.left + GROUND_TOLERANCE + i * (bounds.width - GROUND_TOLERANCE * 2) / 2;
+            this.probePoints[1].set(0, length);
+            this.probe.setShape(x, fromY, this.probePoints);
+
+            let candidates = world.detector.rayCast(this.probe);
+            for (let c = 0; c < candidates.length; c++) {
+                let obj = candidates[c];
+                if (!world.detector.shouldCollide(this.ancestor, obj)) {
+                    continue;
+                }
+                let objPos = obj.getAbsolutePosition();
+                obj.body.forEach((shape) => {
+                    let settings = obj.body.shapeSettings.get(shape);
+                    // ignore sensors and shapes not solid from above
+                    if (typeof settings !== "undefined" && (settings.isSensor === true || (settings.oneWay && settings.oneWay.y >= 0))) {
+                        return;
+                    }
+                    let y = surfaceBelow(shape, objPos.x, objPos.y, x, fromY, normal);
+                    if (y - feetY < distance && y - feetY <= maxDistance && -normal.y >= Math.cos(this.maxSlope)) {
+                        distance = y - feetY;
+                        this.groundNormal.setV(normal);
+                        if (this.ground !== obj) {
+                            this.ground = obj;
+                            this.groundPos.set(objPos.x, objPos.y);
+                        }
+                    }
+                });
+            }
+        }
+        return distance;
+    }
+
+    /**
+     * the character body collision response, separating walkable slopes vertically,
+     * stepping up small obstacles and carrying the character along with moving platforms
+     * @protected
+     * @param {ResponseObject} response - the collision response object
+     */
+    respondToCollision(response) {
+        let pos = this.ancestor.pos;
+        let isA = response.a === this.ancestor;
+        let other = isA ? response.b : response.a;
+        // the response vectors are given for object A
+        let dir = isA ? -1 : 1;
+        let nx = response.overlapN.x * dir,
+            ny = response.overlapN.y * dir;
+
+        if (-ny >= Math.cos(this.maxSlope)) {
+            // walkable ground : only move up, to neither slide nor slow down on slopes
+            pos.y -= response.overlap / -ny;
+            if (this.vel.y < 0) {
+                // still leaving the ground after a jump
+                return;
+            }
+            this.vel.y = 0;
+            this.falling = false;
+            this.jumping = false;
+            this.groundNormal.set(nx, ny);
+            this.groundContact = true;
+
+            // follow moving platforms
+            let otherPos = other.getAbsolutePosition();
+            if (this.ground === other) {
+                let dx = otherPos.x - this.groundPos.x,
+                    dy = otherPos.y - this.groundPos.y;
+                pos.x += dx;
+                if (dy > 0) {
+                    pos.y += dy;
+                }
+            } else {
+                this.ground = other;
+            }
+            this.groundPos.set(otherPos.x, otherPos.y);
+            return;
+        }
+
+        if (Math.abs(nx) > Math.abs(ny) && this.isGrounded === true && typeof other.body !== "undefined") {
+            // step up small obstacles (and seams between adjacent tiles)
+            let rise = (this.ancestor.getAbsolutePosition().y + this.getBounds().bottom) -
+                (other.getAbsolutePosition().y + other.body.getBounds().top);
+            if (rise > 0 && rise <= Math.max(this.stepHeight, GROUND_TOLERANCE)) {
+                pos.y -= rise;
+                this.groundContact = true;
+                return;
+            }
+        }
+
+        // walls and ceilings
+        pos.x += nx * response.overlap;
+        pos.y += ny * response.overlap;
+        if (this.vel.x * nx < 0) {
+            this.vel.x = 0;
+        }
+        if (this.vel.y * ny < 0) {
+            this.vel.y = 0;
+        }
+    }
+
+    /**
+     * update the character position, following the ground slope and snapping to it when grounded
+     * @protected
+     * @param {number} dt - time since the last update in milliseconds.
+     * @returns {boolean} true if resulting velocity is different than 0
+     */
+    update(dt) {
+        // update the grounded state from the contacts found in the previous step
+        let grounded = this.groundContact;
+        this.groundContact = false;
+        this.airTime = grounded === true ? 0 : this.airTime + dt;
+        this.setGrounded(grounded);
+
+        let pos = this.ancestor.pos;
+        let prevY = pos.y;
+        let moving = super.update(dt);
+
+        if (this.isGrounded === true && this.vel.y >= 0) {
+            let normal = this.groundNormal;
+            // follow the slope instead of walking into or off it
+            if (this.vel.x !== 0 && normal.y < 0) {
+                pos.y += -normal.x * this.vel.x * this.stepScale / normal.y;
+            }
+            // snap down to the ground
+            if (this.snapDistance > 0) {
+                let distance = this.probeGround(this.snapDistance + Math.abs(this.vel.x * this.stepScale) * Math.tan(this.maxSlope));
+                if (distance > 0 && distance !== Infinity) {
+                    pos.y += distance;
+                    this.groundContact = true;
+                }
+            }
+            this.falling = false;
+        }
+
+        return moving || pos.y !== prevY;
+    }
+
+    /**
+     * Destroy function<br>
+     * @ignore
+     */
+    destroy() {
+        super.destroy();
+        this.ground = undefined;
+        this.isGrounded = false;
+        this.groundContact = false;
+    }
+}
@@ -2,6 +2,9 @@ import * as SAT from "./sat.js";
 import ResponseObject from "./response.js";
 import Vector2d from "./../math/vector2.js";
 import Bounds from "./bounds.js";
+import Polygon from "./../geometries/poly.js";
+import pool from "./../system/pooling.js";
+import * as event from "./../system/event.js";
 
 // a dummy object when using Line for raycasting
 let dummyObj = {
@@ -17,6 +20,190 @@ let dummyObj = {
 // some cache bounds object used for collision detection
 let boundsA = new Bounds();
 let boundsB = new Bounds();
+let sweptBounds = new Bounds();
+
+// a cache response object used when sweeping bodies
+let sweepResponse = new ResponseObject();
+
+// a dummy object and cache objects used for spatial queries
+let queryObj = {
+    pos : new Vector2d(0, 0),
+    ancestor : dummyObj.ancestor
+};
+let queryBounds = new Bounds();
+let queryResponse = new ResponseObject();
+
+// amount of bisection steps used to refine the time of impact
+const SWEEP_ITERATIONS = 6;
+
+// penetration tolerance (in pixels) when landing on a one-way shape
+const ONE_WAY_TOLERANCE = 1;
+
+/**
+ * return true if the two given shapes should collide, based on their respective collision type and mask
+ * (shapes without specific settings use their body collision type and mask)
+ * @ignore
+ */
+function shapesShouldCollide(bodyA, settingsA, bodyB, settingsB) {
+    if (typeof settingsA === "undefined" && typeof settingsB === "undefined") {
+        // already checked at the body level
+        return true;
+    }
+    let typeA = (settingsA && typeof settingsA.collisionType === "number") ? settingsA.collisionType : bodyA.collisionType;
+    let maskA = (settingsA && typeof settingsA.collisionMask === "number") ? settingsA.collisionMask : bodyA.collisionMask;
+    let typeB = (settingsB && typeof settingsB.collisionType === "number") ? settingsB.collisionType : bodyB.collisionType;
+    let maskB = (settingsB && typeof settingsB.collisionMask === "number") ? settingsB.collisionMask : bodyB.collisionMask;
+    return (maskA & typeB) !== 0 && (typeA & maskB) !== 0;
+}
+
+/**
+ * return true if the given one-way shape blocks the other body
+ * @ignore
+ * @param {Vector2d} normal - the normal of the one-way shape solid face
+ * @param {number} direction - 1 if the one-way shape belongs to the object b of the response, -1 if it belongs to the object a
+ * @param {Body} oneWayBody - the body owning the one-way shape
+ * @param {Body} otherBody - the other body
+ * @param {ResponseObject} response - the collision response
+ */
+function isOneWayBlocking(normal, direction, oneWayBody, otherBody, response) {
+    // the other body must be on the solid side of the shape
+    if ((response.overlapN.x * normal.x + response.overlapN.y * normal.y) * direction >= 0) {
+        return false;
+    }
+    // and be moving toward it
+    let relativeVel = (otherBody.vel.x - oneWayBody.vel.x) * normal.x + (otherBody.vel.y - oneWayBody.vel.y) * normal.y;
+    if (relativeVel > 0) {
+        return false;
+    }
+    // without having already passed through the solid face
+    return response.overlap <= -relativeVel + ONE_WAY_TOLERANCE;
+}
+
+/**
+ * return true if the given body shape collision type matches the given mask
+ * @ignore
+ */
+function shapeMatchesMask(body, shape, mask) {
+    let settings = body.shapeSettings.get(shape);
+    let type = (settings && typeof settings.collisionType === "number") ? settings.collisionType : body.collisionType;
+    return (type & mask) !== 0;
+}
+
+/**
+ * return true if the given object body bounds overlaps with the given bounds
+ * @ignore
+ */
+function bodyOverlaps(obj, bounds) {
+    boundsB.addBounds(obj.body.getBounds(), true);
+    boundsB.translate(obj.getAbsolutePosition());
+    return bounds.overlaps(boundsB);
+}
+
+/**
+ * test the given query shape (positioned through the query object) against the given object shape
+ * @ignore
+ */
+function testQueryShape(shape, objB, shapeB, response) {
+    return SAT["test" + shape.shapeType + shapeB.shapeType](queryObj, shape, objB, shapeB, response.clear());
+}
+
+// number of segments used to approximate ellipses and the visibility area boundary
+const VISIBILITY_CURVE_SEGMENTS = 32;
+
+// angle offset (in radians) of the rays cast on both sides of each occluder vertex
+const VISIBILITY_EPSILON = 0.0001;
+
+// cache arrays used when computing visibility polygons
+let occluderSegments = [];
+let visibilityAngles = [];
+
+/**
+ * collect the edges (as flat [x1, y1, x2, y2, ...] values, in world coordinates) of all the shapes
+ * matching the given mask and overlapping the given bounds, ignoring sensors
+ * @ignore
+ */
+function collectOccluderSegments(candidates, bounds, mask, segments) {
+    segments.length = 0;
+    for (let i = candidates.length, objB; i--, (objB = candidates[i]);) {
+        if (objB.body && bodyOverlaps(objB, bounds)) {
+            let absPos = objB.getAbsolutePosition();
+            objB.body.forEach((shape) => {
+                let settings = objB.body.shapeSettings.get(shape);
+                if (!shapeMatchesMask(objB.body, shape, mask) || (settings && settings.isSensor === true)) {
+                    return;
+                }
+                let x = absPos.x + shape.pos.x, y = absPos.y + shape.pos.y;
+                if (shape.shapeType === "Ellipse") {
+                    // ellipses position is their center
+                    let step = Math.PI * 2 / VISIBILITY_CURVE_SEGMENTS;
+                    for (let s = 0; s < VISIBILITY_CURVE_SEGMENTS; s++) {
+                        segments.push(
+                            x + Math.cos(s * step) * shape.radiusV.x, y + Math.sin(s * step) * shape.radiusV.y,
+                            x + Math.cos((s + 1) * step) * shape.radiusV.x, y + Math.sin((s + 1) * step) * shape.radiusV.y
+                        );
+                    }
+                } else if (Array.isArray(shape.points)) {
+                    let points = shape.points;
+                    let len = points.length;
+                    // lines are not closed
+                    let count = shape.shapeType === "Line" ? len - 1 : len;
+                    for (let s = 0; s < count; s++) {
+                        let a = points[s], b = points[(s + 1) % len];
+                        segments.push(x + a.x, y + a.y, x + b.x, y + b.y);
+                    }
+                }
+            });
+        }
+    }
+    return segments;
+}
+
+/**
+ * return the distance (in multiples of the given direction vector) to the closest segment hit by the given ray,
+ * or the given maximum distance if no segment is hit before
+ * @ignore
+ */
+function castVisibilityRay(x, y, dx, dy, maxDistance, segments) {
+    let closest = maxDistance;
+    for (let i = 0; i < segments.length; i += 4) {
+        let ex = segments[i + 2] - segments[i], ey = segments[i + 3] - segments[i + 1];
+        let denom = dx * ey - dy * ex;
+        if (denom === 0) {
+            // parallel
+            continue;
+        }
+        let wx = segments[i] - x, wy = segments[i + 1] - y;
+        let t = (wx * ey - wy * ex) / denom;
+        let u = (wx * dy - wy * dx) / denom;
+        if (t >= 0 && t < closest && u >= 0 && u <= 1) {
+            closest = t;
+        }
+    }
+    return closest;
+}
+
+/**
+ * add the angles (relative to the given center) at which the given segment crosses the given ellipse
+ * @ignore
+ */
+function addEllipseCrossings(x, y, radiusX, radiusY, x1, y1, x2, y2, angles) {
+    // solve in a space where the ellipse is a unit circle
+    let px = (x1 - x) / radiusX, py = (y1 - y) / radiusY;
+    let ex = (x2 - x1) / radiusX, ey = (y2 - y1) / radiusY;
+    let a = ex * ex + ey * ey;
+    let b = 2 * (px * ex + py * ey);
+    let c = px * px + py * py - 1;
+    let disc = b * b - 4 * a * c;
+    if (a === 0 || disc < 0) {
+        return;
+    }
+    disc = Math.sqrt(disc);
+    [(-b - disc) / (2 * a), (-b + disc) / (2 * a)].forEach((u) => {
+        if (u >= 0 && u <= 1) {
+            angles.push(Math.atan2(y1 - y + u * (y2 - y1), x1 - x + u * (x2 - x1)));
+        }
+    });
+}
 
 /**
  * the Detector class contains methods for detecting collisions between bodies using a broadphase algorithm.
@@ -35,6 +222,134 @@ export default class Detector {
          * @type {ResponseObject}
          */
         this.response = new ResponseObject();
+
+        /**
+         * the contacts between pairs of bodies, indexed by both bodies
+         * @ignore
+         * @type {Map<Body, Map<Body, object>>}
+         */
+        this.contacts = new Map();
+
+        /**
+         * the current physic step, used to timestamp contacts
+         * @ignore
+         */
+        this.stamp = 0;
+    }
+
+    /**
+     * return the contact between the two given bodies, if any
+     * @ignore
+     * @param {Body} bodyA
+     * @param {Body} bodyB
+     * @returns {object|undefined}
+     */
+    getContact(bodyA, bodyB) {
+        let contacts = this.contacts.get(bodyA);
+        return typeof contacts !== "undefined" ? contacts.get(bodyB) : undefined;
+    }
+
+    /**
+     * keep track of a contact between the two given objects,
+     * triggering the collision start or active callbacks and events
+     * @ignore
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} objA
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} objB
+     * @param {ResponseObject} response - the collision response
+     */
+    trackContact(objA, objB, response) {
+        let bodyA = objA.body, bodyB = objB.body;
+        let contact = this.getContact(bodyA, bodyB);
+
+        if (typeof contact === "undefined") {
+            contact = { a : objA, b : objB, bodyA : bodyA, bodyB : bodyB, stamp : this.stamp };
+            [[bodyA, bodyB], [bodyB, bodyA]].forEach(([body, other]) => {
+                if (!this.contacts.has(body)) {
+                    this.contacts.set(body, new Map());
+                }
+                this.contacts.get(body).set(other, contact);
+            });
+            if (typeof objA.onCollisionStart === "function") {
+                objA.onCollisionStart(response, objB);
+            }
+            if (typeof objB.onCollisionStart === "function") {
+                objB.onCollisionStart(response, objA);
+            }
+            event.emit(event.COLLISION_START, objA, objB, response);
+        } else if (contact.stamp !== this.stamp) {
+            // not yet reported during this step (pairs of moving bodies are detected twice)
+            contact.stamp = this.stamp;
+            if (typeof objA.onCollisionActive === "function") {
+                objA.onCollisionActive(response, objB);
+            }
+            if (typeof objB.onCollisionActive === "function") {
+                objB.onCollisionActive(response, objA);
+            }
+            event.emit(event.COLLISION_ACTIVE, objA, objB, response);
+        }
+    }
+
+    /**
+     * end the given contact, triggering the collision end callbacks and events
+     * @ignore
+     * @param {object} contact
+     */
+    endContact(contact) {
+        [[contact.bodyA, contact.bodyB], [contact.bodyB, contact.bodyA]].forEach(([body, other]) => {
+            let contacts = this.contacts.get(body);
+            if (typeof contacts !== "undefined") {
+                contacts.delete(other);
+                if (contacts.size === 0) {
+                    this.contacts.delete(body);
+                }
+            }
+        });
+        let a = contact.a, b = contact.b;
+        if (typeof a.onCollisionEnd === "function") {
+            a.onCollisionEnd(b);
+        }
+        if (typeof b.onCollisionEnd === "function") {
+            b.onCollisionEnd(a);
+        }
+        event.emit(event.COLLISION_END, a, b);
+    }
+
+    /**
+     * end all the contacts that were not found during the current physic step, and start a new one. <br>
+     * Contacts between bodies that were not simulated during this step (e.g. sleeping bodies) are kept.
+     * @ignore
+     * @param {Body[]} activeBodies - the bodies simulated during this step
+     */
+    updateContacts(activeBodies) {
+        let ended = [];
+        let active;
+        this.contacts.forEach((contacts, body) => {
+            contacts.forEach((contact) => {
+                // only check each contact once
+                if (contact.bodyA === body && contact.stamp !== this.stamp) {
+                    if (typeof active === "undefined") {
+                        active = new Set(activeBodies);
+                    }
+                    if (active.has(contact.bodyA) || active.has(contact.bodyB)) {
+                        ended.push(contact);
+                    }
+                }
+            });
+        });
+        ended.forEach((contact) => this.endContact(contact));
+        this.stamp++;
+    }
+
+    /**
+     * end all the contacts involving the given body (e.g. when removed from the world)
+     * @ignore
+     * @param {Body} body
+     */
+    removeContacts(body) {
+        let contacts = this.contacts.get(body);
+        if (typeof contacts !== "undefined") {
+            Array.from(contacts.values()).forEach((contact) => this.endContact(contact));
+        }
     }
 
     /**
@@ -54,7 +369,8 @@ export default class Detector {
             bodyA.shapes.length > 0 && bodyB.shapes.length > 0 &&
             !(bodyA.isStatic === true && bodyB.isStatic === true) &&
             (bodyA.collisionMask & bodyB.collisionType) !== 0 &&
-            (bodyA.collisionType & bodyB.collisionMask) !== 0
+            (bodyA.collisionType & bodyB.collisionMask) !== 0 &&
+            !(this.world.joints.size > 0 && this.world.isJointConnected(bodyA, bodyB))
         );
     }
 
@@ -67,8 +383,16 @@ export default class Detector {
     collides(bodyA, bodyB, response = this.response) {
         // for each shape in body A
         for (let indexA = bodyA.shapes.length, shapeA; indexA--, (shapeA = bodyA.shapes[indexA]);) {
+            let settingsA = bodyA.shapeSettings.get(shapeA);
             // for each shape in body B
             for (let indexB = bodyB.shapes.length, shapeB; indexB--, (shapeB = bodyB.shapes[indexB]);) {
+                let settingsB = bodyB.shapeSettings.get(shapeB);
+
+                // per-shape collision filtering
+                if (!shapesShouldCollide(bodyA, settingsA, bodyB, settingsB)) {
+                    continue;
+                }
+
                 // full SAT collision check
                 if (SAT["test" + shapeA.shapeType + shapeB.shapeType].call(
                     this,
@@ -80,9 +404,18 @@ export default class Detector {
                     response.clear()) === true
                 ) {
 
+                    // one-way shapes only collide from their solid side
+                    if (settingsB && settingsB.oneWay && !isOneWayBlocking(settingsB.oneWay, 1, bodyB, bodyA, response)) {
+                        continue;
+                    }
+                    if (settingsA && settingsA.oneWay && !isOneWayBlocking(settingsA.oneWay, -1, bodyA, bodyB, response)) {
+                        continue;
+                    }
+
                     // set the shape index
                     response.indexShapeA = indexA;
                     response.indexShapeB = indexB;
+                    response.isSensor = (settingsA && settingsA.isSensor === true) || (settingsB && settingsB.isSensor === true) || false;
 
                     return true;
                 }
@@ -119,11 +452,27 @@ export default class Detector {
                         // we touched something !
                         collisionCounter++;
 
+                        // wake up sleeping bodies when touched
+                        if (objB.body.isSleeping === true) {
+                            this.world.wakeBody(objB.body);
+                        }
+
+                        // keep track of bodies in contact, as they can only sleep together
+                        if (this.world.allowSleep === true && objB.body.isStatic === false) {
+                            this.world.contactPairs.push(objA.body, objB.body);
+                        }
+
+                        // sensor shapes are never physically resolved
+                        let isSensor = this.response.isSensor;
+
+                        // keep track of the contact start, activity and end
+                        this.trackContact(objA, objB, this.response);
+
                         // execute the onCollision callback
-                        if (objA.onCollision && objA.onCollision(this.response, objB) !== false && objA.body.isStatic === false) {
+                        if (objA.onCollision && objA.onCollision(this.response, objB) !== false && objA.body.isStatic === false && !isSensor) {
                             objA.body.respondToCollision.call(objA.body, this.response);
                         }
-                        if (objB.onCollision && objB.onCollision(this.response, objA) !== false && objB.body.isStatic === false) {
+                        if (objB.onCollision && objB.onCollision(this.response, objA) !== false && objB.body.isStatic === false && !isSensor) {
                             objB.body.respondToCollision.call(objB.body, this.response);
                         }
                     }
@@ -134,6 +483,78 @@ export default class Detector {
         return collisionCounter > 0;
     }
 
+    /**
+     * Sweep the body of the given object from the given position to its current position,
+     * and move it back to the earliest time of impact with any other object it should collide with. <br>
+     * The motion is sampled in steps of half the body smallest dimension, and the time of impact is then refined through bisection,
+     * leaving the object slightly overlapping the obstacle so that the collision is resolved as usual.
+     * @ignore
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} objA - the object to be swept
+     * @param {Vector2d} from - the position of the object before it moved
+     * @returns {boolean} true if the object was moved back to a time of impact
+     * @see Body.bullet
+     */
+    sweep(objA, from) {
+        let pos = objA.pos;
+        let toX = pos.x, toY = pos.y;
+        let dx = toX - from.x, dy = toY - from.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        let bodyBounds = objA.body.getBounds();
+        let stepSize = Math.max(1, Math.min(bodyBounds.width, bodyBounds.height) / 2);
+
+        // discrete collision detection is enough for small motions
+        if (distance <= stepSize) {
+            return false;
+        }
+
+        // area covered by the object during its motion
+        let bounds = objA.getBounds();
+        sweptBounds.setMinMax(
+            Math.min(bounds.left, bounds.left - dx),
+            Math.min(bounds.top, bounds.top - dy),
+            Math.max(bounds.right, bounds.right - dx),
+            Math.max(bounds.bottom, bounds.bottom - dy)
+        );
+
+        let candidates = this.world.broadphase.retrieve(sweptBounds).filter((objB) => (
+            this.shouldCollide(objA, objB) && sweptBounds.overlaps(objB.getBounds())
+        ));
+
+        if (candidates.length === 0) {
+            return false;
+        }
+
+        let hitAt = (t) => {
+            pos.set(from.x + dx * t, from.y + dy * t, pos.z);
+            return candidates.some((objB) => this.collides(objA.body, objB.body, sweepResponse) && !sweepResponse.isSensor);
+        };
+
+        let steps = Math.ceil(distance / stepSize);
+        let previous = 0;
+        for (let i = 1; i <= steps; i++) {
+            let t = i / steps;
+            if (hitAt(t)) {
+                // refine the earliest time of impact between the last free and the first colliding position
+                let low = previous, high = t;
+                for (let j = 0; j < SWEEP_ITERATIONS; j++) {
+                    let mid = (low + high) / 2;
+                    if (hitAt(mid)) {
+                        high = mid;
+                    } else {
+                        low = mid;
+                    }
+                }
+                pos.set(from.x + dx * high, from.y + dy * high, pos.z);
+                return true;
+            }
+            previous = t;
+        }
+
+        // no impact, restore the final position
+        pos.set(toX, toY, pos.z);
+        return false;
+    }
+
     /**
      * Checks for object colliding with the given line
      * @ignore
@@ -206,4 +627,247 @@ export default class Detector {
         // return the list of colliding objects
         return result;
     }
+
+    /**
+     * Returns all the objects whose body contains the given point
+     * @ignore
+     * @param {number} x - x coordinate of the point
+     * @param {number} y - y coordinate of the point
+     * @param {number} mask - only objects whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @see World.queryPoint
+     */
+    queryPoint(x, y, mask, result = []) {
+        let hitCounter = 0;
+
+        queryBounds.setMinMax(x, y, x, y);
+        let candidates = this.world.broadphase.retrieve(queryBounds);
+
+        for (let i = candidates.length, objB; i--, (objB = candidates[i]);) {
+            if (objB.body && bodyOverlaps(objB, queryBounds)) {
+                let absPos = objB.getAbsolutePosition();
+                // shapes are defined relatively to the object position
+                let localX = x - absPos.x, localY = y - absPos.y;
+                objB.body.forEach((shapeB) => {
+                    if (shapeMatchesMask(objB.body, shapeB, mask) && shapeB.contains(localX, localY)) {
+                        result[hitCounter++] = {
+                            body : objB.body,
+                            shape : shapeB,
+                            normal : new Vector2d(0, 0),
+                            depth : 0
+                        };
+                    }
+                });
+            }
+        }
+
+        result.length = hitCounter;
+        return result;
+    }
+
+    /**
+     * Returns all the objects whose body overlaps the given shape
+     * @ignore
+     * @param {Rect|Polygon|Line|Ellipse} shape - the shape to test, in world coordinates
+     * @param {number} mask - only objects whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @see World.queryShape
+     */
+    queryShape(shape, mask, result = []) {
+        let hitCounter = 0;
+        let polygon = shape.shapeType === "Rectangle" ? shape.toPolygon() : shape;
+
+        queryObj.pos.set(0, 0);
+        queryBounds.addBounds(polygon.getBounds(), true);
+        let candidates = this.world.broadphase.retrieve(queryBounds);
+
+        for (let i = candidates.length, objB; i--, (objB = candidates[i]);) {
+            if (objB.body && bodyOverlaps(objB, queryBounds)) {
+                objB.body.forEach((shapeB) => {
+                    if (shapeMatchesMask(objB.body, shapeB, mask) && testQueryShape(polygon, objB, shapeB, queryResponse)) {
+                        result[hitCounter++] = {
+                            body : objB.body,
+                            shape : shapeB,
+                            // pointing from the body toward the query shape
+                            normal : queryResponse.overlapN.clone().negateSelf(),
+                            depth : queryResponse.overlap
+                        };
+                    }
+                });
+            }
+        }
+
+        if (polygon !== shape) {
+            pool.push(polygon);
+        }
+
+        result.length = hitCounter;
+        return result;
+    }
+
+    /**
+     * Moves the given shape from one position to another, and returns all the objects it would hit on the way, ordered by time of impact.
+     * @ignore
+     * @param {Rect|Polygon|Line|Ellipse} shape - the shape to move
+     * @param {Vector2d} from - the position the shape starts from
+     * @param {Vector2d} to - the position the shape is moved to
+     * @param {number} mask - only objects whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @see World.sweep
+     */
+    sweepShape(shape, from, to, mask, result = []) {
+        let hitCounter = 0;
+        let polygon = shape.shapeType === "Rectangle" ? shape.toPolygon() : shape;
+        let dx = to.x - from.x, dy = to.y - from.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        let bounds = polygon.getBounds();
+        let stepSize = Math.max(1, Math.min(bounds.width, bounds.height) / 2);
+        let steps = Math.max(1, Math.ceil(distance / stepSize));
+        // offset between the shape current position and the starting position
+        let offsetX = from.x - polygon.pos.x, offsetY = from.y - polygon.pos.y;
+
+        // area covered by the shape during its motion
+        queryBounds.setMinMax(
+            Math.min(bounds.left, bounds.left + dx) + offsetX,
+            Math.min(bounds.top, bounds.top + dy) + offsetY,
+            Math.max(bounds.right, bounds.right + dx) + offsetX,
+            Math.max(bounds.bottom, bounds.bottom + dy) + offsetY
+        );
+        let candidates = this.world.broadphase.retrieve(queryBounds);
+
+        let hitAt = (t, objB, shapeB) => {
+            queryObj.pos.set(offsetX + dx * t, offsetY + dy * t);
+            return testQueryShape(polygon, objB, shapeB, queryResponse);
+        };
+
+        for (let i = candidates.length, objB; i--, (objB = candidates[i]);) {
+            if (objB.body && bodyOverlaps(objB, queryBounds)) {
+                objB.body.forEach((shapeB) => {
+                    if (!shapeMatchesMask(objB.body, shapeB, mask)) {
+                        return;
+                    }
+                    let previous = 0;
+                    for (let s = 0; s <= steps; s++) {
+                        let t = s / steps;
+                        if (hitAt(t, objB, shapeB)) {
+                            // refine the earliest time of impact between the last free and the first colliding position
+                            // (unless already overlapping at the start position)
+                            let low = previous, high = t;
+                            let iterations = s > 0 ? SWEEP_ITERATIONS : 0;
+                            for (let j = 0; j < iterations; j++) {
+                                let mid = (low + high) / 2;
+                                if (hitAt(mid, objB, shapeB)) {
+                                    high = mid;
+                                } else {
+                                    low = mid;
+                                }
+                            }
+                            hitAt(high, objB, shapeB);
+                            result[hitCounter++] = {
+                                body : objB.body,
+                                shape : shapeB,
+                                // pointing from the body toward the query shape
+                                normal : queryResponse.overlapN.clone().negateSelf(),
+                                depth : queryResponse.overlap,
+                                fraction : high,
+                                position : new Vector2d(from.x + dx * high, from.y + dy * high)
+                            };
+                            return;
+                        }
+                        previous = t;
+                    }
+                });
+            }
+        }
+
+        queryObj.pos.set(0, 0);
+        if (polygon !== shape) {
+            pool.push(polygon);
+        }
+
+        result.length = hitCounter;
+        return result.sort((a, b) => a.fraction - b.fraction);
+    }
+
+    /**
+     * Computes the area visible from the given point within the given radius, the shapes matching the given mask blocking the view
+     * @ignore
+     * @param {number} x - x coordinate of the point of view, in world coordinates
+     * @param {number} y - y coordinate of the point of view, in world coordinates
+     * @param {number} radiusX - the horizontal radius of the visible area
+     * @param {number} radiusY - the vertical radius of the visible area
+     * @param {number} mask - the collision types of the shapes blocking the view
+     * @param {Polygon} [result] - a polygon to be reused to store the visible area
+     * @returns {Polygon} the visible area, positioned at the point of view
+     * @see World.getVisibilityPolygon
+     */
+    visibilityPolygon(x, y, radiusX, radiusY, mask, result) {
+        let angles = visibilityAngles;
+        let segments = occluderSegments;
+
+        queryBounds.setMinMax(x - radiusX, y - radiusY, x + radiusX, y + radiusY);
+        collectOccluderSegments(this.world.broadphase.retrieve(queryBounds), queryBounds, mask, segments);
+
+        // the visible area boundary
+        angles.length = 0;
+        for (let i = 0; i < VISIBILITY_CURVE_SEGMENTS; i++) {
+            angles.push(Math.PI * 2 * i / VISIBILITY_CURVE_SEGMENTS - Math.PI);
+        }
+
+        // cast rays toward (and right next to) each occluder vertex, and where occluders leave the visible area
+        for (let i = 0; i < segments.length; i += 4) {
+            for (let j = 0; j < 4; j += 2) {
+                let angle = Math.atan2(segments[i + j + 1] - y, segments[i + j] - x);
+                angles.push(angle - VISIBILITY_EPSILON, angle, angle + VISIBILITY_EPSILON);
+            }
+            addEllipseCrossings(x, y, radiusX, radiusY, segments[i], segments[i + 1], segments[i + 2], segments[i + 3], angles);
+        }
+        angles.sort((a, b) => a - b);
+
+        let points = typeof result !== "undefined" ? result.points : [];
+        let count = 0;
+        for (let i = 0; i < angles.length; i++) {
+            let angle = angles[i];
+            if (i > 0 && angle === angles[i - 1]) {
+                continue;
+            }
+            let dx = Math.cos(angle), dy = Math.sin(angle);
+            // distance to the area boundary in that direction
+            let maxDistance = radiusX * radiusY / Math.sqrt(radiusY * radiusY * dx * dx + radiusX * radiusX * dy * dy);
+            let distance = castVisibilityRay(x, y, dx, dy, maxDistance, segments);
+            if (count < points.length) {
+                points[count].set(dx * distance, dy * distance);
+            } else {
+                points.push(new Vector2d(dx * distance, dy * distance));
+            }
+            count++;
+        }
+        points.length = count;
+
+        if (typeof result === "undefined") {
+            return new Polygon(x, y, points);
+        }
+        return result.setShape(x, y, points);
+    }
+
+    /**
+     * Returns true if no shape matching the given mask lies between the two given points
+     * @ignore
+     * @param {Vector2d} from - the point of view, in world coordinates
+     * @param {Vector2d} to - the point to be seen, in world coordinates
+     * @param {number} mask - the collision types of the shapes blocking the view
+     * @returns {boolean} true if the line of sight is clear
+     * @see World.hasLineOfSight
+     */
+    hasLineOfSight(from, to, mask) {
+        queryBounds.setMinMax(
+            Math.min(from.x, to.x), Math.min(from.y, to.y),
+            Math.max(from.x, to.x), Math.max(from.y, to.y)
+        );
+        collectOccluderSegments(this.world.broadphase.retrieve(queryBounds), queryBounds, mask, occluderSegments);
+        return castVisibilityRay(from.x, from.y, to.x - from.x, to.y - from.y, 1, occluderSegments) >= 1;
+    }
 }
@@ -0,0 +1,86 @@
+import Vector2d from "./../../math/vector2.js";
+import Joint from "./joint.js";
+
+// temporary vectors to be reused
+let anchorA = new Vector2d();
+let anchorB = new Vector2d();
+
+/**
+ * @classdesc
+ * a joint keeping the anchor points of two bodies at a fixed distance from each other. <br>
+ * Connecting a body to a world anchor allows to create pendulums and swinging platforms,
+ * and connecting several bodies one after the other allows to create chains.
+ * @augments Joint
+ * @example
+ * // hang a platform 100 pixels below a fixed point
+ * let joint = new me.DistanceJoint(platform.body, undefined, {
+ *     anchorA : new me.Vector2d(platform.width / 2, 0),
+ *     anchorB : new me.Vector2d(400, 50),
+ *     length : 100
+ * });
+ * me.game.world.addJoint(joint);
+ */
+export default class DistanceJoint extends Joint {
+    /**
+     * @param {Body} bodyA - the first body connected by this joint
+     * @param {Body} [bodyB] - the second body connected by this joint, or undefined to connect bodyA to a fixed point in the world
+     * @param {object} [settings] - joint settings (see {@link Joint})
+     * @param {number} [settings.length] - the distance to maintain between both anchors (default to the distance when the joint is created)
+     */
+    constructor(bodyA, bodyB, settings = {}) {
+        super(bodyA, bodyB, settings);
+
+        /**
+         * the distance to maintain between both anchors
+         * @type {number}
+         */
+        this.length = typeof settings.length === "number" ? settings.length : this.getCurrentLength();
+    }
+
+    /**
+     * return the current distance between both anchors
+     * @returns {number}
+     */
+    getCurrentLength() {
+        return this.getWorldAnchorB(anchorB).distance(this.getWorldAnchorA(anchorA));
+    }
+
+    /**
+     * return the distance error to be corrected, given the current distance
+     * @ignore
+     */
+    getError(distance) {
+        return distance - this.length;
+    }
+
+    /**
+     * @ignore
+     */
+    solve() {
+        let a = this.getWorldAnchorA(anchorA);
+        let b = this.getWorldAnchorB(anchorB);
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance === 0) {
+            return;
+        }
+
+        let error = this.getError(distance);
+        if (error === 0) {
+            return;
+        }
+
+        let nx = dx / distance;
+        let ny = dy / distance;
+
+        this.correctPosition(nx, ny, error);
+
+        // cancel the relative velocity along the constraint axis, if moving away from the target length
+        let vn = this.relativeVelocity(nx, ny);
+        if (vn * error > 0) {
+            this.applyImpulse(nx, ny, vn);
+        }
+    }
+}
@@ -0,0 +1,200 @@
+/* eslint-disable no-unused-vars */
+
+import Vector2d from "./../../math/vector2.js";
+
+/**
+ * a temporary vector object to be reused
+ * @ignore
+ */
+let T_VECTOR = new Vector2d();
+
+/**
+ * @classdesc
+ * The joint base class, used to connect two physic bodies together (or a body to a fixed point in the world). <br>
+ * Joints are solved by the builtin physic world after all bodies have been moved, and before collisions are resolved.
+ * @see World.addJoint
+ */
+export default class Joint {
+    /**
+     * @param {Body} bodyA - the first body connected by this joint
+     * @param {Body} [bodyB] - the second body connected by this joint, or undefined to connect bodyA to a fixed point in the world
+     * @param {object} [settings] - joint settings
+     * @param {Vector2d} [settings.anchorA=<0,0>] - the anchor point on bodyA, relative to its ancestor position
+     * @param {Vector2d} [settings.anchorB=<0,0>] - the anchor point on bodyB relative to its ancestor position, or the world position of the anchor if bodyB is undefined
+     * @param {boolean} [settings.collideConnected=false] - whether the two connected bodies can still collide with each other
+     */
+    constructor(bodyA, bodyB, settings = {}) {
+        /**
+         * the first body connected by this joint
+         * @type {Body}
+         */
+        this.bodyA = bodyA;
+
+        /**
+         * the second body connected by this joint (undefined if bodyA is connected to the world)
+         * @type {Body|undefined}
+         */
+        this.bodyB = bodyB;
+
+        /**
+         * the anchor point on bodyA, relative to its ancestor position
+         * @type {Vector2d}
+         */
+        this.anchorA = new Vector2d();
+        if (typeof settings.anchorA !== "undefined") {
+            this.anchorA.setV(settings.anchorA);
+        }
+
+        /**
+         * the anchor point on bodyB relative to its ancestor position,
+         * or the world position of the anchor if bodyB is undefined
+         * @type {Vector2d}
+         */
+        this.anchorB = new Vector2d();
+        if (typeof settings.anchorB !== "undefined") {
+            this.anchorB.setV(settings.anchorB);
+        }
+
+        /**
+         * whether the two connected bodies can still collide with each other
+         * @type {boolean}
+         * @default false
+         */
+        this.collideConnected = settings.collideConnected === true;
+
+        /**
+         * if false this joint is ignored by the physic world
+         * @type {boolean}
+         * @default true
+         */
+        this.enabled = true;
+    }
+
+    /**
+     * return true if this joint connects the two given bodies
+     * @param {Body} bodyA
+     * @param {Body} bodyB
+     * @returns {boolean}
+     */
+    connects(bodyA, bodyB) {
+        return (this.bodyA === bodyA && this.bodyB === bodyB) || (this.bodyA === bodyB && this.bodyB === bodyA);
+    }
+
+    /**
+     * return the world position of the anchor point on bodyA
+     * @param {Vector2d} [out] - an optional vector object where to put the return values
+     * @returns {Vector2d}
+     */
+    getWorldAnchorA(out = new Vector2d()) {
+        return out.copy(this.bodyA.ancestor.getAbsolutePosition()).add(this.anchorA);
+    }
+
+    /**
+     * return the world position of the anchor point on bodyB (or the fixed world anchor)
+     * @param {Vector2d} [out] - an optional vector object where to put the return values
+     * @returns {Vector2d}
+     */
+    getWorldAnchorB(out = new Vector2d()) {
+        if (typeof this.bodyB === "undefined") {
+            return out.copy(this.anchorB);
+        }
+        return out.copy(this.bodyB.ancestor.getAbsolutePosition()).add(this.anchorB);
+    }
+
+    /**
+     * return the inverse mass of the given body (0 for static or undefined bodies)
+     * @ignore
+     */
+    inverseMass(body) {
+        if (typeof body === "undefined" || body.isStatic === true || !(body.mass > 0)) {
+            return 0;
+        }
+        return 1 / body.mass;
+    }
+
+    /**
+     * move both bodies along the given unit axis so that the distance between
+     * the two anchors, projected on this axis, is reduced by the given amount
+     * @ignore
+     * @param {number} nx - x component of the unit axis (from anchor A to anchor B)
+     * @param {number} ny - y component of the unit axis (from anchor A to anchor B)
+     * @param {number} error - the distance to be corrected
+     */
+    correctPosition(nx, ny, error) {
+        let wA = this.inverseMass(this.bodyA);
+        let wB = this.inverseMass(this.bodyB);
+        let w = wA + wB;
+
+        if (w === 0 || error === 0) {
+            return;
+        }
+
+        let lambda = error / w;
+        if (wA > 0) {
+            let posA = this.bodyA.ancestor.pos;
+            posA.set(posA.x + nx * lambda * wA, posA.y + ny * lambda * wA, posA.z);
+            this.bodyA.ancestor.isDirty = true;
+        }
+        if (wB > 0) {
+            let posB = this.bodyB.ancestor.pos;
+            posB.set(posB.x - nx * lambda * wB, posB.y - ny * lambda * wB, posB.z);
+            this.bodyB.ancestor.isDirty = true;
+        }
+    }
+
+    /**
+     * return the relative velocity of bodyB compared to bodyA along the given axis
+     * @ignore
+     */
+    relativeVelocity(nx, ny) {
+        let vel = T_VECTOR.set(0, 0);
+        if (typeof this.bodyB !== "undefined") {
+            vel.add(this.bodyB.vel);
+        }
+        vel.sub(this.bodyA.vel);
+        return vel.x * nx + vel.y * ny;
+    }
+
+    /**
+     * apply the given velocity change along the given unit axis, split between both bodies based on their mass
+     * @ignore
+     * @param {number} nx - x component of the unit axis (from anchor A to anchor B)
+     * @param {number} ny - y component of the unit axis (from anchor A to anchor B)
+     * @param {number} impulse - the relative velocity change to apply
+     */
+    applyImpulse(nx, ny, impulse) {
+        let wA = this.inverseMass(this.bodyA);
+        let wB = this.inverseMass(this.bodyB);
+        let w = wA + wB;
+
+        if (w === 0 || impulse === 0) {
+            return;
+        }
+
+        let lambda = impulse / w;
+        if (wA > 0) {
+            this.bodyA.vel.x += nx * lambda * wA;
+            this.bodyA.vel.y += ny * lambda * wA;
+        }
+        if (wB > 0) {
+            this.bodyB.vel.x -= nx * lambda * wB;
+            this.bodyB.vel.y -= ny * lambda * wB;
+        }
+    }
+
+    /**
+     * called once per world step, before the constraint is solved (e.g. to apply spring forces)
+     * @param {number} dt - the time passed since the last frame update
+     */
+    step(dt) {
+    }
+
+    /**
+     * solve the joint constraint (called several times per world step)
+     * @see World.jointIterations
+     */
+    solve() {
+    }
+}
+
+/* eslint-enable no-unused-vars */
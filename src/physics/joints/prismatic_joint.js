@@ -0,0 +1,101 @@
+import Vector2d from "./../../math/vector2.js";
+import Joint from "./joint.js";
+import { clamp } from "./../../math/math.js";
+
+// temporary vectors to be reused
+let anchorA = new Vector2d();
+let anchorB = new Vector2d();
+
+/**
+ * @classdesc
+ * a joint only allowing the anchor of bodyA to slide along a given axis relative to the anchor of bodyB (or of a world point),
+ * optionally within lower and upper translation limits.
+ * @augments Joint
+ * @example
+ * // an elevator moving vertically between two floors
+ * me.game.world.addJoint(new me.PrismaticJoint(elevator.body, undefined, {
+ *     anchorB : new me.Vector2d(elevator.pos.x, elevator.pos.y),
+ *     axis : new me.Vector2d(0, 1),
+ *     lowerLimit : -200,
+ *     upperLimit : 0
+ * }));
+ */
+export default class PrismaticJoint extends Joint {
+    /**
+     * @param {Body} bodyA - the first body connected by this joint
+     * @param {Body} [bodyB] - the second body connected by this joint, or undefined to connect bodyA to a fixed point in the world
+     * @param {object} [settings] - joint settings (see {@link Joint})
+     * @param {Vector2d} [settings.axis=<1,0>] - the axis along which bodyA can slide
+     * @param {number} [settings.lowerLimit=-Infinity] - the minimum translation along the axis
+     * @param {number} [settings.upperLimit=Infinity] - the maximum translation along the axis
+     */
+    constructor(bodyA, bodyB, settings = {}) {
+        super(bodyA, bodyB, settings);
+
+        /**
+         * the (normalized) axis along which bodyA can slide
+         * @type {Vector2d}
+         */
+        this.axis = new Vector2d(1, 0);
+        if (typeof settings.axis !== "undefined") {
+            this.axis.setV(settings.axis).normalize();
+        }
+
+        /**
+         * the minimum translation along the axis
+         * @type {number}
+         * @default -Infinity
+         */
+        this.lowerLimit = typeof settings.lowerLimit === "number" ? settings.lowerLimit : -Infinity;
+
+        /**
+         * the maximum translation along the axis
+         * @type {number}
+         * @default Infinity
+         */
+        this.upperLimit = typeof settings.upperLimit === "number" ? settings.upperLimit : Infinity;
+    }
+
+    /**
+     * return the current translation of bodyA along the axis
+     * @returns {number}
+     */
+    getTranslation() {
+        let a = this.getWorldAnchorA(anchorA);
+        let b = this.getWorldAnchorB(anchorB);
+        return (a.x - b.x) * this.axis.x + (a.y - b.y) * this.axis.y;
+    }
+
+    /**
+     * @ignore
+     */
+    solve() {
+        let a = this.getWorldAnchorA(anchorA);
+        let b = this.getWorldAnchorB(anchorB);
+        let ax = this.axis.x;
+        let ay = this.axis.y;
+        // perpendicular axis
+        let px = -ay;
+        let py = ax;
+        // vector from anchor A to anchor B
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+
+        // remove any offset perpendicular to the axis
+        let perpendicular = dx * px + dy * py;
+        this.correctPosition(px, py, perpendicular);
+        this.applyImpulse(px, py, this.relativeVelocity(px, py));
+
+        // keep the translation within limits (translation of A relative to B is -d.axis)
+        let translation = -(dx * ax + dy * ay);
+        let limited = clamp(translation, this.lowerLimit, this.upperLimit);
+        if (limited !== translation) {
+            this.correctPosition(ax, ay, limited - translation);
+            // cancel the relative velocity pushing beyond the limit
+            let vn = this.relativeVelocity(ax, ay);
+            if (vn * (limited - translation) > 0) {
+                this.applyImpulse(ax, ay, vn);
+            }
+        }
+    }
+}
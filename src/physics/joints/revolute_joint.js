@@ -0,0 +1,44 @@
+import Vector2d from "./../../math/vector2.js";
+import Joint from "./joint.js";
+
+// temporary vectors to be reused
+let anchorA = new Vector2d();
+let anchorB = new Vector2d();
+
+/**
+ * @classdesc
+ * a joint pinning the anchor points of two bodies (or of a body and a world point) together. <br>
+ * Note: builtin physic bodies do not rotate, so a revolute joint behaves as a pin keeping both anchors at the same position.
+ * @augments Joint
+ * @example
+ * // pin the arm of a ragdoll to its torso
+ * me.game.world.addJoint(new me.RevoluteJoint(torso.body, arm.body, {
+ *     anchorA : new me.Vector2d(28, 4),
+ *     anchorB : new me.Vector2d(4, 4)
+ * }));
+ */
+export default class RevoluteJoint extends Joint {
+    /**
+     * @ignore
+     */
+    solve() {
+        let a = this.getWorldAnchorA(anchorA);
+        let b = this.getWorldAnchorB(anchorB);
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance === 0) {
+            return;
+        }
+
+        let nx = dx / distance;
+        let ny = dy / distance;
+
+        this.correctPosition(nx, ny, distance);
+
+        // cancel the relative velocity on both axis
+        this.applyImpulse(1, 0, this.relativeVelocity(1, 0));
+        this.applyImpulse(0, 1, this.relativeVelocity(0, 1));
+    }
+}
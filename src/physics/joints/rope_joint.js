@@ -0,0 +1,23 @@
+import DistanceJoint from "./distance_joint.js";
+
+/**
+ * @classdesc
+ * a joint limiting the maximum distance between the anchor points of two bodies,
+ * while letting them move freely when closer than that.
+ * @augments DistanceJoint
+ * @example
+ * // attach a lamp to the ceiling with a 64 pixels rope
+ * me.game.world.addJoint(new me.RopeJoint(lamp.body, undefined, {
+ *     anchorB : new me.Vector2d(320, 0),
+ *     length : 64
+ * }));
+ */
+export default class RopeJoint extends DistanceJoint {
+    /**
+     * @ignore
+     */
+    getError(distance) {
+        // only pull bodies back when the rope is taut
+        return Math.max(0, distance - this.length);
+    }
+}
@@ -0,0 +1,76 @@
+import Vector2d from "./../../math/vector2.js";
+import DistanceJoint from "./distance_joint.js";
+
+// temporary vectors to be reused
+let anchorA = new Vector2d();
+let anchorB = new Vector2d();
+
+/**
+ * @classdesc
+ * an elastic joint pulling (or pushing) the anchor points of two bodies toward a rest length.
+ * @augments DistanceJoint
+ * @example
+ * // a bouncy spring between a vehicle body and its wheel
+ * me.game.world.addJoint(new me.SpringJoint(car.body, wheel.body, {
+ *     anchorA : new me.Vector2d(16, 32),
+ *     length : 24,
+ *     stiffness : 0.2,
+ *     damping : 0.1
+ * }));
+ */
+export default class SpringJoint extends DistanceJoint {
+    /**
+     * @param {Body} bodyA - the first body connected by this joint
+     * @param {Body} [bodyB] - the second body connected by this joint, or undefined to connect bodyA to a fixed point in the world
+     * @param {object} [settings] - joint settings (see {@link DistanceJoint})
+     * @param {number} [settings.stiffness=0.1] - the spring stiffness
+     * @param {number} [settings.damping=0.05] - the spring damping, reducing oscillations
+     */
+    constructor(bodyA, bodyB, settings = {}) {
+        super(bodyA, bodyB, settings);
+
+        /**
+         * the spring stiffness
+         * @type {number}
+         * @default 0.1
+         */
+        this.stiffness = typeof settings.stiffness === "number" ? settings.stiffness : 0.1;
+
+        /**
+         * the spring damping, reducing oscillations
+         * @type {number}
+         * @default 0.05
+         */
+        this.damping = typeof settings.damping === "number" ? settings.damping : 0.05;
+    }
+
+    /**
+     * @ignore
+     */
+    step() {
+        let a = this.getWorldAnchorA(anchorA);
+        let b = this.getWorldAnchorB(anchorB);
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance === 0) {
+            return;
+        }
+
+        let nx = dx / distance;
+        let ny = dy / distance;
+
+        // Hooke's law, with damping proportional to the relative velocity
+        let impulse = this.stiffness * (distance - this.length) + this.damping * this.relativeVelocity(nx, ny);
+
+        this.applyImpulse(nx, ny, impulse);
+    }
+
+    /**
+     * @ignore
+     */
+    solve() {
+        // springs only apply a velocity change once per step
+    }
+}
@@ -12,6 +12,7 @@ import Vector2d from "./../math/vector2.js";
  * @property {boolean} bInA Whether the second object is entirely inside the first
  * @property {number} indexShapeA The index of the colliding shape for the object a body
  * @property {number} indexShapeB The index of the colliding shape for the object b body
+ * @property {boolean} isSensor Whether one of the colliding shapes is a sensor (in which case no collision response is applied)
  * @name ResponseObject
  * @public
  */
@@ -25,6 +26,7 @@ export default class ResponseObject {
         this.bInA = true;
         this.indexShapeA = -1;
         this.indexShapeB = -1;
+        this.isSensor = false;
         this.overlap = Number.MAX_VALUE;
     }
 
@@ -43,6 +45,7 @@ export default class ResponseObject {
         this.overlap = Number.MAX_VALUE;
         this.indexShapeA = -1;
         this.indexShapeB = -1;
+        this.isSensor = false;
         return this;
     }
 }
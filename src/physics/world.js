@@ -1,10 +1,12 @@
 import Vector2d from "./../math/vector2.js";
+import pool from "./../system/pooling.js";
 import * as event from "./../system/event.js";
 import QuadTree from "./quadtree.js";
 import Container from "../renderable/container.js";
 import collision from "./collision.js";
 import Detector from "./detector.js";
 import state from "./../state/state.js";
+import timer from "./../system/timer.js";
 import { hasRegisteredEvents } from "../input/pointerevent.js";
 
 /**
@@ -54,6 +56,47 @@ export default class World extends Container {
          */
         this.fps = 60;
 
+        /**
+         * the duration (in seconds) of a fixed physic step, or 0 to step the physic simulation once per update with the given frame delta. <br>
+         * When enabled, the builtin physic simulation is advanced by as many fixed steps as the elapsed time allows (up to {@link World#maxSubSteps} per update),
+         * making simulation results independent of the frame rate, and bodies are drawn at their position interpolated between the last two steps.
+         * @type {number}
+         * @default 0
+         * @see Application.Settings.fixedStep
+         * @example
+         * // run the physic simulation at a fixed 60 steps per second
+         * me.game.world.fixedStep = 1 / 60;
+         */
+        this.fixedStep = 0;
+
+        /**
+         * the maximum amount of fixed physic steps run per update, any remaining time is discarded to let slow devices catch up
+         * @type {number}
+         * @default 10
+         * @see World#fixedStep
+         */
+        this.maxSubSteps = 10;
+
+        /**
+         * the time (in milliseconds) not yet simulated when using fixed physic steps
+         * @ignore
+         */
+        this.stepAccumulator = 0;
+
+        /**
+         * the fraction (between 0 and 1) of a fixed physic step elapsed since the last step
+         * @type {number}
+         * @default 1
+         * @see World#fixedStep
+         */
+        this.stepAlpha = 1;
+
+        /**
+         * the scale applied to the bodies velocity when moving them, when using fixed physic steps
+         * @ignore
+         */
+        this.stepScale = 1;
+
         /**
          * world gravity
          * @type {Vector2d}
@@ -77,6 +120,65 @@ export default class World extends Container {
          */
         this.bodies = new Set();
 
+        /**
+         * the bodies updated during the current step
+         * @ignore
+         */
+        this.activeBodies = [];
+
+        /**
+         * the joints connecting bodies in this simulation
+         * @type {Set<Joint>}
+         * @see World.addJoint
+         */
+        this.joints = new Set();
+
+        /**
+         * the amount of times joint constraints are solved on each step,
+         * higher values make joints stiffer at the expense of performance
+         * @type {number}
+         * @default 4
+         */
+        this.jointIterations = 4;
+
+        /**
+         * Enable bodies to automatically fall asleep when at rest. <br>
+         * A body (and all bodies connected to it through joints or contacts) goes to sleep once its velocity
+         * stayed below `sleepThreshold` for `timeToSleep` ms, and is then skipped by the simulation until woken up.
+         * @type {boolean}
+         * @default false
+         * @see Body.allowSleep
+         * @see event.BODY_SLEEP
+         * @see event.BODY_WAKE
+         * @example
+         * // let resting crates sleep after one second
+         * me.game.world.allowSleep = true;
+         * me.game.world.timeToSleep = 1000;
+         */
+        this.allowSleep = false;
+
+        /**
+         * the velocity under which a body is considered at rest
+         * @type {number}
+         * @default 0.1
+         * @see World.allowSleep
+         */
+        this.sleepThreshold = 0.1;
+
+        /**
+         * the time (in ms) a body must stay at rest before falling asleep
+         * @type {number}
+         * @default 500
+         * @see World.allowSleep
+         */
+        this.timeToSleep = 500;
+
+        /**
+         * pairs of bodies in contact during the current step (used to build sleeping islands)
+         * @ignore
+         */
+        this.contactPairs = [];
+
         /**
          * the instance of the game world quadtree used for broadphase (used by the builtin physic and pointer event implementation)
          * @type {QuadTree}
@@ -115,6 +217,11 @@ export default class World extends Container {
         // empty the list of active physic bodies
         // Note: this should be empty already when calling the parent method
         this.bodies.clear();
+
+        // remove all joints
+        this.joints.clear();
+        this.contactPairs.length = 0;
+        this.detector.contacts.clear();
     }
 
     /**
@@ -141,10 +248,308 @@ export default class World extends Container {
         //remove from the list of active body if builtin physic is enabled
         if (this.physic === "builtin") {
             this.bodies.delete(body);
+            // end any contact involving this body
+            this.detector.removeContacts(body);
+            // remove any joint connected to this body
+            this.joints.forEach((joint) => {
+                if (joint.bodyA === body || joint.bodyB === body) {
+                    this.joints.delete(joint);
+                }
+            });
         }
         return this;
     }
 
+    /**
+     * the amount of bodies currently sleeping in this simulation
+     * @type {number}
+     * @readonly
+     * @see World.allowSleep
+     */
+    get sleepingBodies() {
+        let count = 0;
+        this.bodies.forEach((body) => {
+            if (body.isSleeping === true) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * wake up the given body, and all sleeping bodies connected to it through joints
+     * @param {Body} body
+     * @see World.allowSleep
+     */
+    wakeBody(body) {
+        if (body.isSleeping === false) {
+            body.sleepTime = 0;
+            return;
+        }
+        body.wakeUp();
+        this.joints.forEach((joint) => {
+            if (joint.bodyA === body && typeof joint.bodyB !== "undefined") {
+                this.wakeBody(joint.bodyB);
+            } else if (joint.bodyB === body) {
+                this.wakeBody(joint.bodyA);
+            }
+        });
+    }
+
+    /**
+     * return true if the given sleeping body was moved, or had a force or velocity applied since it fell asleep
+     * @private
+     * @param {Body} body
+     * @returns {boolean}
+     */
+    isBodyDisturbed(body) {
+        let pos = body.ancestor.pos;
+        return (
+            body.force.x !== 0 || body.force.y !== 0 ||
+            body.vel.x !== 0 || body.vel.y !== 0 ||
+            body.prevPos.x !== pos.x || body.prevPos.y !== pos.y
+        );
+    }
+
+    /**
+     * update the sleeping state of all bodies updated during the current step
+     * @private
+     * @param {number} dt - the time passed since the last frame update
+     * @param {Body[]} activeBodies - bodies updated during this step
+     */
+    updateSleeping(dt, activeBodies) {
+        let threshold = this.sleepThreshold * this.sleepThreshold;
+        let islands = new Map();
+
+        // find the root body of the island the given body belongs to
+        let find = (body) => {
+            let root = body;
+            while (islands.has(root) && islands.get(root) !== root) {
+                root = islands.get(root);
+            }
+            return root;
+        };
+        let union = (bodyA, bodyB) => {
+            let rootA = find(bodyA), rootB = find(bodyB);
+            if (rootA !== rootB) {
+                islands.set(rootA, rootB);
+            }
+        };
+
+        activeBodies.forEach((body) => {
+            if (body.allowSleep === true && body.vel.length2() < threshold) {
+                body.sleepTime += dt;
+            } else {
+                body.sleepTime = 0;
+            }
+            islands.set(body, body);
+        });
+
+        // bodies connected through joints or contacts sleep and wake together
+        this.joints.forEach((joint) => {
+            if (joint.enabled && typeof joint.bodyB !== "undefined" && !joint.bodyA.isStatic && !joint.bodyB.isStatic) {
+                union(joint.bodyA, joint.bodyB);
+            }
+        });
+        for (let i = 0; i < this.contactPairs.length; i += 2) {
+            union(this.contactPairs[i], this.contactPairs[i + 1]);
+        }
+        this.contactPairs.length = 0;
+
+        // an island can only sleep once all of its bodies have been at rest long enough
+        let islandSleepTime = new Map();
+        activeBodies.forEach((body) => {
+            let root = find(body);
+            let time = islandSleepTime.has(root) ? islandSleepTime.get(root) : Infinity;
+            islandSleepTime.set(root, Math.min(time, body.sleepTime));
+        });
+
+        activeBodies.forEach((body) => {
+            if (islandSleepTime.get(find(body)) >= this.timeToSleep) {
+                body.sleep();
+            }
+        });
+    }
+
+    /**
+     * Add a joint connecting bodies to the game world
+     * @param {Joint} joint
+     * @returns {World} this game world
+     * @example
+     * // connect two links of a chain
+     * me.game.world.addJoint(new me.DistanceJoint(linkA.body, linkB.body, { length : 16 }));
+     */
+    addJoint(joint) {
+        this.joints.add(joint);
+        return this;
+    }
+
+    /**
+     * Remove a joint from the game world
+     * @param {Joint} joint
+     * @returns {World} this game world
+     */
+    removeJoint(joint) {
+        this.joints.delete(joint);
+        return this;
+    }
+
+    /**
+     * return true if the two given bodies are connected by a joint preventing them from colliding
+     * @param {Body} bodyA
+     * @param {Body} bodyB
+     * @returns {boolean}
+     */
+    isJointConnected(bodyA, bodyB) {
+        for (const joint of this.joints) {
+            if (joint.enabled && !joint.collideConnected && joint.connects(bodyA, bodyB)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * solve all joint constraints
+     * @private
+     * @param {number} dt - the time passed since the last frame update
+     */
+    solveJoints(dt) {
+        this.joints.forEach((joint) => {
+            if (joint.enabled) {
+                joint.step(dt);
+            }
+        });
+        for (let i = 0; i < this.jointIterations; i++) {
+            this.joints.forEach((joint) => {
+                if (joint.enabled) {
+                    joint.solve();
+                }
+            });
+        }
+    }
+
+    /**
+     * Returns all the bodies containing the given point. <br>
+     * Each query result is an object with the following properties :
+     * - `body` : the {@link Body} that was hit
+     * - `shape` : the body shape that was hit
+     * - `normal` : a {@link Vector2d} contact normal, pointing from the body toward the query shape (zero for point queries)
+     * - `depth` : the penetration depth of the query shape into the body (zero for point queries)
+     * - `fraction` : (sweep only) the fraction of the motion, between 0 and 1, at which the body was hit
+     * - `position` : (sweep only) a {@link Vector2d} position of the moved shape when hitting the body
+     * @param {number} x - x coordinate of the point, in world coordinates
+     * @param {number} y - y coordinate of the point, in world coordinates
+     * @param {number} [mask=collision.types.ALL_OBJECT] - only bodies whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @example
+     * // find what is under the mouse cursor
+     * let hits = me.game.world.queryPoint(pointer.gameWorldX, pointer.gameWorldY);
+     * if (hits.length > 0) {
+     *     hits[0].body.ancestor.select();
+     * }
+     */
+    queryPoint(x, y, mask = collision.types.ALL_OBJECT, result) {
+        return this.detector.queryPoint(x, y, mask, result);
+    }
+
+    /**
+     * Returns all the bodies overlapping the given shape, along with the contact normal and penetration depth.
+     * @see World#queryPoint for a description of the query results
+     * @param {Rect|Polygon|Line|Ellipse} shape - the shape to test, in world coordinates
+     * @param {number} [mask=collision.types.ALL_OBJECT] - only bodies whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @example
+     * // damage all enemies within the blast radius of an explosion
+     * let blast = new me.Ellipse(x, y, 128, 128);
+     * me.game.world.queryShape(blast, me.collision.types.ENEMY_OBJECT).forEach((hit) => {
+     *     hit.body.ancestor.hurt(hit.depth);
+     * });
+     */
+    queryShape(shape, mask = collision.types.ALL_OBJECT, result) {
+        return this.detector.queryShape(shape, mask, result);
+    }
+
+    /**
+     * Returns all the bodies overlapping the given rectangle area.
+     * @see World#queryPoint for a description of the query results
+     * @param {number} x - x position of the rectangle, in world coordinates
+     * @param {number} y - y position of the rectangle, in world coordinates
+     * @param {number} width - width of the rectangle
+     * @param {number} height - height of the rectangle
+     * @param {number} [mask=collision.types.ALL_OBJECT] - only bodies whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @example
+     * // melee attack hitbox in front of the player
+     * let hits = me.game.world.queryRect(this.pos.x + this.width, this.pos.y, 32, this.height, me.collision.types.ENEMY_OBJECT);
+     */
+    queryRect(x, y, width, height, mask = collision.types.ALL_OBJECT, result) {
+        let rect = pool.pull("Rect", x, y, width, height);
+        result = this.detector.queryShape(rect, mask, result);
+        pool.push(rect);
+        return result;
+    }
+
+    /**
+     * Moves the given shape from one position to another and returns all the bodies it would hit on the way,
+     * ordered by time of impact (the first result being the first body hit).
+     * @see World#queryPoint for a description of the query results
+     * @param {Rect|Polygon|Line|Ellipse} shape - the shape to move, in world coordinates
+     * @param {Vector2d} from - the position the shape starts from
+     * @param {Vector2d} to - the position the shape is moved to
+     * @param {number} [mask=collision.types.ALL_OBJECT] - only bodies whose collision type matches this mask are returned
+     * @param {object[]} [result] - a user defined array that will be populated with the query results
+     * @returns {object[]} an array of query results
+     * @example
+     * // check if an enemy can see the player, ignoring other enemies
+     * let eye = new me.Rect(0, 0, 4, 4);
+     * let hits = me.game.world.sweep(eye, enemy.pos, player.pos, ~me.collision.types.ENEMY_OBJECT);
+     * let canSee = hits.length > 0 && hits[0].body === player.body;
+     */
+    sweep(shape, from, to, mask = collision.types.ALL_OBJECT, result) {
+        return this.detector.sweepShape(shape, from, to, mask, result);
+    }
+
+    /**
+     * Computes the area visible from the given point within the given radius, the body shapes matching the given mask
+     * (sensors excepted) blocking the view. The resulting polygon can be used as a field of view, or as a rendering mask.
+     * @param {number} x - x coordinate of the point of view, in world coordinates
+     * @param {number} y - y coordinate of the point of view, in world coordinates
+     * @param {number} radiusX - the horizontal radius of the visible area
+     * @param {number} [radiusY=radiusX] - the vertical radius of the visible area
+     * @param {number} [mask=collision.types.WORLD_SHAPE] - the collision types of the shapes blocking the view
+     * @param {Polygon} [result] - a polygon to be reused to store the visible area
+     * @returns {Polygon} the visible area, positioned at the point of view
+     * @see Light2d#castShadows
+     * @example
+     * // check if the player is within the guard field of view
+     * let fov = me.game.world.getVisibilityPolygon(guard.pos.x, guard.pos.y, 200);
+     * if (fov.contains(player.pos.x, player.pos.y)) {
+     *     guard.alert();
+     * }
+     */
+    getVisibilityPolygon(x, y, radiusX, radiusY = radiusX, mask = collision.types.WORLD_SHAPE, result) {
+        return this.detector.visibilityPolygon(x, y, radiusX, radiusY, mask, result);
+    }
+
+    /**
+     * Returns true if no body shape matching the given mask (sensors excepted) lies between the two given points
+     * @param {Vector2d} from - the point of view, in world coordinates
+     * @param {Vector2d} to - the point to be seen, in world coordinates
+     * @param {number} [mask=collision.types.WORLD_SHAPE] - the collision types of the shapes blocking the view
+     * @returns {boolean} true if the line of sight is clear
+     * @example
+     * if (me.game.world.hasLineOfSight(enemy.pos, player.pos)) {
+     *     enemy.shoot(player);
+     * }
+     */
+    hasLineOfSight(from, to, mask = collision.types.WORLD_SHAPE) {
+        return this.detector.hasLineOfSight(from, to, mask);
+    }
+
     /**
      * Apply gravity to the given body
      * @private
@@ -167,21 +572,104 @@ export default class World extends Container {
      * @returns {boolean} true if the world is dirty
      */
     update(dt) {
-        // only update the quadtree if necessary
-        if (this.physic === "builtin" || hasRegisteredEvents() === true) {
-            // clear the quadtree
-            this.broadphase.clear();
-            // insert the world container (children) into the quadtree
-            this.broadphase.insertContainer(this);
-        }
+        if (this.physic === "builtin" && this.fixedStep > 0) {
+            // update the builtin physic simulation by fixed steps
+            this.fixedUpdate(dt);
+        } else {
+            // only update the quadtree if necessary
+            if (this.physic === "builtin" || hasRegisteredEvents() === true) {
+                this.updateBroadphase();
+            }
 
-        // update the builtin physic simulation
-        this.step(dt);
+            // update the builtin physic simulation
+            this.step(dt);
+
+            // fixed steps were disabled
+            if (this.stepAlpha !== 1) {
+                this.setStepAlpha(1);
+            }
+            if (this.stepScale !== 1) {
+                this.setStepScale(1);
+            }
+        }
 
         // call the super constructor
         return super.update(dt);
     }
 
+    /**
+     * rebuild the quadtree used for broadphase
+     * @ignore
+     */
+    updateBroadphase() {
+        // clear the quadtree
+        this.broadphase.clear();
+        // insert the world container (children) into the quadtree
+        this.broadphase.insertContainer(this);
+    }
+
+    /**
+     * advance the builtin physic simulation by as many fixed steps as the given time allows (called by the game world update method when using fixed steps)
+     * @protected
+     * @param {number} dt - the time passed since the last frame update
+     */
+    fixedUpdate(dt) {
+        let stepSize = this.fixedStep * 1000;
+        let steps = 0;
+        let tick = timer.tick;
+
+        this.stepAccumulator += dt;
+
+        // keep the quadtree up to date for pointer events, even if no step is run
+        this.updateBroadphase();
+
+        // the velocity scale is constant for a fixed step (1 for a step matching the nominal frame duration)
+        timer.tick = stepSize * timer.maxfps / 1000;
+        this.setStepScale(timer.tick);
+
+        while (this.stepAccumulator >= stepSize && steps < this.maxSubSteps) {
+            if (steps > 0) {
+                this.updateBroadphase();
+            }
+            this.step(stepSize);
+            this.stepAccumulator -= stepSize;
+            steps++;
+        }
+
+        timer.tick = tick;
+
+        // too much time to catch up, discard it
+        if (this.stepAccumulator >= stepSize) {
+            this.stepAccumulator %= stepSize;
+        }
+
+        this.setStepAlpha(this.stepAccumulator / stepSize);
+    }
+
+    /**
+     * set the interpolation factor used to draw all non static bodies
+     * @ignore
+     * @param {number} alpha - fraction of a fixed physic step elapsed since the last step
+     */
+    setStepAlpha(alpha) {
+        this.stepAlpha = alpha;
+        this.bodies.forEach((body) => {
+            body.stepAlpha = body.isStatic ? 1 : alpha;
+        });
+    }
+
+    /**
+     * set the scale applied to the velocity of all bodies when moving them
+     * @ignore
+     * @param {number} scale - ratio between the fixed physic step and the nominal frame duration
+     */
+    setStepScale(scale) {
+        this.stepScale = scale;
+        this.bodies.forEach((body) => {
+            body.stepScale = scale;
+        });
+    }
+
     /**
      * update the builtin physic simulation by one step (called by the game world update method)
      * @param {number} dt - the time passed since the last frame update
@@ -189,12 +677,23 @@ export default class World extends Container {
     step(dt) {
         if (this.physic === "builtin") {
             let isPaused = state.isPaused();
+            let activeBodies = this.activeBodies;
             // iterate through all bodies
             this.bodies.forEach((body) => {
                 if (!body.isStatic) {
                     let ancestor = body.ancestor;
                     // if the game is not paused, and ancestor can be updated
                     if (!(isPaused && (!ancestor.updateWhenPaused)) && (ancestor.inViewport || ancestor.alwaysUpdate)) {
+                        if (body.isSleeping === true) {
+                            if (this.isBodyDisturbed(body)) {
+                                this.wakeBody(body);
+                            } else {
+                                // skip sleeping bodies
+                                return;
+                            }
+                        }
+                        // keep track of the position before moving
+                        body.prevPos.setV(ancestor.pos);
                         // apply gravity to this body
                         this.bodyApplyGravity(body);
                         // body update function (this moves it)
@@ -202,15 +701,42 @@ export default class World extends Container {
                             // mark ancestor as dirty
                             ancestor.isDirty = true;
                         }
-                        // handle collisions against other objects
-                        this.detector.collisions(ancestor);
-                        // clear body force
-                        body.force.set(0, 0);
+                        activeBodies.push(body);
+                    } else {
+                        // not moving during this step
+                        body.prevPos.setV(ancestor.pos);
+                    }
+                }
+            });
+
+            // solve joint constraints once all bodies have moved
+            if (this.joints.size > 0) {
+                this.solveJoints(dt);
+            }
+
+            activeBodies.forEach((body) => {
+                // skip bodies removed by a previous collision callback
+                if (this.bodies.has(body)) {
+                    // move fast bodies back to their earliest time of impact
+                    if (body.bullet === true) {
+                        this.detector.sweep(body.ancestor, body.prevPos);
                     }
+                    // handle collisions against other objects
+                    this.detector.collisions(body.ancestor);
+                    // clear body force
+                    body.force.set(0, 0);
                 }
             });
+
+            // end contacts that were not found during this step
+            this.detector.updateContacts(activeBodies);
+
+            if (this.allowSleep === true) {
+                this.updateSleeping(dt, activeBodies.filter((body) => this.bodies.has(body)));
+            }
+
+            activeBodies.length = 0;
         }
         event.emit(event.WORLD_STEP, dt);
     }
 }
-
@@ -113,6 +113,18 @@ export default class Container extends Renderable {
          */
         this.backgroundColor = pool.pull("Color", 0, 0, 0, 0.0);
 
+        /**
+         * a list of post effect shaders applied to the rendered content of this container,
+         * each pass reading the texture produced by the previous one (WebGL only)
+         * @type {GLShader[]}
+         * @default []
+         * @see WebGLRenderer#endPostEffects
+         * @example
+         * // apply a CRT effect to the HUD
+         * hud.postEffects.push(crtShader);
+         */
+        this.postEffects = [];
+
         /**
          * Used by the debug panel plugin
          * @ignore
@@ -928,9 +940,15 @@ export default class Container extends Renderable {
     draw(renderer, viewport) {
         let isFloating = false;
         let bounds = this.getBounds();
+        let postEffects = typeof renderer.beginPostEffects === "function" ? this.postEffects : [];
 
         this.drawCount = 0;
 
+        // draw the children into an offscreen render target
+        if (postEffects.length > 0) {
+            renderer.beginPostEffects(postEffects);
+        }
+
         // clip the containter children to the container bounds
         if (this.root === false && this.clipping === true && bounds.isFinite() === true) {
             renderer.clipRect(
@@ -951,7 +969,8 @@ export default class Container extends Renderable {
 
         let children = this.getChildren();
         for (let i = children.length, obj; i--, (obj = children[i]);) {
-            if (obj.isRenderable) {
+            // objects attached to a tile layer are drawn by the layer itself, unless the layer is not drawn
+            if (obj.isRenderable && (typeof obj.depthLayer === "undefined" || obj.depthLayer.isDrawingDepthObject(obj) === false)) {
 
                 isFloating = obj.floating === true;
 
@@ -981,5 +1000,10 @@ export default class Container extends Renderable {
                 }
             }
         }
+
+        // apply the post effects and draw the result
+        if (postEffects.length > 0) {
+            renderer.endPostEffects(postEffects);
+        }
     }
 }
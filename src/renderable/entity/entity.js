@@ -182,6 +182,13 @@ export default class Entity extends Renderable {
     preDraw(renderer) {
         renderer.save();
 
+        // draw the entity at its position interpolated between the last two fixed steps
+        let body = this.body;
+        if (body.stepAlpha < 1 && typeof body.prevPos !== "undefined") {
+            let t = 1 - body.stepAlpha;
+            renderer.translate((body.prevPos.x - this.pos.x) * t, (body.prevPos.y - this.pos.y) * t);
+        }
+
         // translate to the entity position
         renderer.translate(
             this.pos.x + this.body.getBounds().x,
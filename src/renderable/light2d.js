@@ -1,5 +1,8 @@
 import pool from "./../system/pooling.js";
 import Renderable from "./renderable.js";
+import collision from "./../physics/collision.js";
+import timer from "./../system/timer.js";
+import { game } from "../index.js";
 
 /** @ignore */
 function createGradient(light) {
@@ -97,9 +100,54 @@ export default class Light2d extends Renderable {
          */
         this.blendMode = "lighter";
 
+        /**
+         * the elevation of the light above the scene (in pixels), used by the normal-mapped lighting pass
+         * (lower values giving more pronounced reliefs)
+         * @type {number}
+         * @default half the smallest radius
+         * @see Stage#dynamicLighting
+         */
+        this.elevation = Math.min(radiusX, radiusY) / 2;
+
+        /**
+         * the light attenuation exponent from its center to its radius, used by the normal-mapped lighting pass
+         * (1 for a linear falloff)
+         * @type {number}
+         * @default 2
+         * @see Stage#dynamicLighting
+         */
+        this.falloff = 2;
+
+        /**
+         * if true, the light is blocked by the body shapes matching {@link Light2d#shadowMask},
+         * its visible area being then the area visible from its center (more expensive to compute)
+         * @type {boolean}
+         * @default false
+         * @see World#getVisibilityPolygon
+         * @example
+         * // walls and dedicated occluders cast shadows
+         * torch.castShadows = true;
+         * torch.shadowMask = me.collision.types.WORLD_SHAPE | game.collisionTypes.OCCLUDER;
+         */
+        this.castShadows = false;
+
+        /**
+         * the collision types of the body shapes blocking this light when casting shadows
+         * @type {number}
+         * @default collision.types.WORLD_SHAPE
+         * @see Light2d#castShadows
+         */
+        this.shadowMask = collision.types.WORLD_SHAPE;
+
         /** @ignore */
         this.visibleArea = pool.pull("Ellipse", this.centerX, this.centerY, this.width, this.height);
 
+        /** @ignore */
+        this.shadowArea = undefined;
+
+        // the frame time at which the visibility polygon was last computed
+        this.shadowAreaTime = -1;
+
         /** @ignore */
         this.texture = pool.pull("CanvasTexture", this.width, this.height, { offscreenCanvas: false });
 
@@ -110,12 +158,25 @@ export default class Light2d extends Renderable {
 
     /**
      * returns a geometry representing the visible area of this light
+     * (its visibility polygon against the game world shapes when casting shadows, computed once per frame unless the light moves)
      * @name getVisibleArea
      * @memberof Light2d
-     * @returns {Ellipse} the light visible mask
+     * @returns {Ellipse|Polygon} the light visible mask
      */
     getVisibleArea() {
-        return this.visibleArea.setShape(this.getBounds().centerX, this.getBounds().centerY, this.width, this.height);
+        let bounds = this.getBounds();
+        if (this.castShadows === true) {
+            let now = timer.getTime();
+            if (typeof this.shadowArea === "undefined" || this.shadowAreaTime !== now ||
+                this.shadowArea.pos.x !== bounds.centerX || this.shadowArea.pos.y !== bounds.centerY) {
+                this.shadowArea = game.world.getVisibilityPolygon(
+                    bounds.centerX, bounds.centerY, this.radiusX, this.radiusY, this.shadowMask, this.shadowArea
+                );
+                this.shadowAreaTime = now;
+            }
+            return this.shadowArea;
+        }
+        return this.visibleArea.setShape(bounds.centerX, bounds.centerY, this.width, this.height);
     }
 
     /**
@@ -127,7 +188,13 @@ export default class Light2d extends Renderable {
      * @param {Camera2d} [viewport] - the viewport to (re)draw
      */
     draw(renderer, viewport) {   // eslint-disable-line no-unused-vars
+        if (this.castShadows === true) {
+            renderer.setMask(this.getVisibleArea());
+        }
         renderer.drawImage(this.texture.canvas, this.getBounds().x, this.getBounds().y);
+        if (this.castShadows === true) {
+            renderer.clearMask();
+        }
     }
 
     /**
@@ -141,6 +208,7 @@ export default class Light2d extends Renderable {
         this.texture = undefined;
         pool.push(this.visibleArea);
         this.visibleArea = undefined;
+        this.shadowArea = undefined;
         super.destroy();
     }
 }
@@ -641,6 +641,13 @@ export default class Renderable extends Rect {
         // save renderer context
         renderer.save();
 
+        // draw the physic body at its position interpolated between the last two fixed steps
+        let body = this.body;
+        if (typeof body !== "undefined" && body.stepAlpha < 1 && typeof body.prevPos !== "undefined") {
+            let t = 1 - body.stepAlpha;
+            renderer.translate((body.prevPos.x - this.pos.x) * t, (body.prevPos.y - this.pos.y) * t);
+        }
+
         // apply the defined alpha value
         renderer.setGlobalAlpha(renderer.globalAlpha() * this.getOpacity());
 
@@ -754,6 +761,47 @@ export default class Renderable extends Rect {
         return false;
     }
 
+    /**
+     * onCollisionStart callback, triggered once when this renderable body starts colliding with another one
+     * (before the corresponding onCollision call)
+     * @param {ResponseObject} response - the collision response object
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} other - the other renderable touching this one (a reference to response.a or response.b)
+     * @example
+     * // a pickup
+     * onCollisionStart(response, other) {
+     *     if (other.body.collisionType === me.collision.types.PLAYER_OBJECT) {
+     *         me.audio.play("cling");
+     *     }
+     * }
+     */
+    onCollisionStart(response, other) { // eslint-disable-line no-unused-vars
+        // to be extended
+    }
+
+    /**
+     * onCollisionActive callback, triggered on every physic step while this renderable body keeps colliding with another one,
+     * starting from the step following onCollisionStart
+     * @param {ResponseObject} response - the collision response object
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} other - the other renderable touching this one (a reference to response.a or response.b)
+     */
+    onCollisionActive(response, other) { // eslint-disable-line no-unused-vars
+        // to be extended
+    }
+
+    /**
+     * onCollisionEnd callback, triggered once when this renderable body stops colliding with another one,
+     * or when one of the two bodies is removed from the world
+     * @param {Renderable|Container|Entity|Sprite|NineSliceSprite} other - the other renderable that was touching this one
+     * @example
+     * // a pressure plate
+     * onCollisionEnd(other) {
+     *     this.isPressed = false;
+     * }
+     */
+    onCollisionEnd(other) { // eslint-disable-line no-unused-vars
+        // to be extended
+    }
+
     /**
      * Destroy function<br>
      * @ignore
@@ -24,6 +24,7 @@ export default class Sprite extends Renderable {
      * @param {number} [settings.flipX] - flip the sprite on the horizontal axis
      * @param {number} [settings.flipY] - flip the sprite on the vertical axis
      * @param {Vector2d} [settings.anchorPoint={x:0.5, y:0.5}] - Anchor point to draw the frame at (defaults to the center of the frame).
+     * @param {HTMLImageElement|HTMLCanvasElement|string} [settings.normalMap] - a normal map matching the sprite image layout, used by the WebGL lighting pass (see {@link Stage#dynamicLighting})
      * @example
      * // create a single sprite from a standalone image, with anchor in the center
      * let sprite = new me.Sprite(0, 0, {
@@ -185,6 +186,15 @@ export default class Sprite extends Renderable {
             }
         }
 
+        // associate the normal map to the sprite image
+        if (typeof settings.normalMap !== "undefined" && typeof renderer.setNormalMap === "function") {
+            let normalMap = (typeof settings.normalMap === "object") ? settings.normalMap : getImage(settings.normalMap);
+            if (!normalMap) {
+                throw new Error("me.Sprite: '" + settings.normalMap + "' normal map not found!");
+            }
+            renderer.setNormalMap(this.image, normalMap);
+        }
+
         // set the sprite name if specified
         if (typeof (settings.name) === "string") {
             this.name = settings.name;
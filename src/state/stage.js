@@ -72,6 +72,26 @@ export default class Stage {
          */
         this.ambientLight = new Color(0, 0, 0, 0);
 
+        /**
+         * if true, lights are rendered using a normal-mapped lighting pass (WebGL only) :
+         * the scene is lit by all stage lights, using the normal maps associated to the drawn images,
+         * the alpha component of the ambient light defining how much unlit areas are darkened.
+         * The Canvas renderer falls back to the default lights rendering.
+         * @public
+         * @type {boolean}
+         * @name dynamicLighting
+         * @memberof Stage
+         * @default false
+         * @see WebGLRenderer#setNormalMap
+         * @see Light2d
+         * @example
+         * // a dark dungeon lit by torches
+         * this.dynamicLighting = true;
+         * this.ambientLight.parseCSS("#000C");
+         * this.lights.set("torch", new me.Light2d(100, 100, 120, 120, "#FA6", 1.0));
+         */
+        this.dynamicLighting = false;
+
         /**
          * The given constructor options
          * @public
@@ -151,6 +171,16 @@ export default class Stage {
 
         // iterate through all cameras
         this.cameras.forEach((camera) => {
+            // normal-mapped lighting pass
+            if (this.dynamicLighting === true && typeof renderer.beginLighting === "function") {
+                renderer.beginLighting();
+                camera.draw(renderer, world);
+                renderer.beginNormalPass();
+                camera.draw(renderer, world);
+                renderer.endLighting(this.lights, this.ambientLight);
+                return;
+            }
+
             // render the root container
             camera.draw(renderer, world);
 
@@ -243,6 +243,97 @@ export const GAME_AFTER_DRAW = "me.game.afterDraw";
  */
 export const WORLD_STEP = "me.world.step";
 
+/**
+ * Event for when two physic bodies start colliding <br>
+ * Data passed : {Renderable} the first object, {Renderable} the second object, {ResponseObject} the collision response
+ * @public
+ * @constant
+ * @type {string}
+ * @name COLLISION_START
+ * @memberof event
+ * @see event.on
+ * @see Renderable#onCollisionStart
+ */
+export const COLLISION_START = "me.collision.onStart";
+
+/**
+ * Event for when two physic bodies keep colliding, emitted on every physic step after the collision started <br>
+ * Data passed : {Renderable} the first object, {Renderable} the second object, {ResponseObject} the collision response
+ * @public
+ * @constant
+ * @type {string}
+ * @name COLLISION_ACTIVE
+ * @memberof event
+ * @see event.on
+ * @see Renderable#onCollisionActive
+ */
+export const COLLISION_ACTIVE = "me.collision.onActive";
+
+/**
+ * Event for when two physic bodies stop colliding <br>
+ * Data passed : {Renderable} the first object, {Renderable} the second object
+ * @public
+ * @constant
+ * @type {string}
+ * @name COLLISION_END
+ * @memberof event
+ * @see event.on
+ * @see Renderable#onCollisionEnd
+ */
+export const COLLISION_END = "me.collision.onEnd";
+
+/**
+ * Event for when a physic body falls asleep <br>
+ * Data passed : {Body} the body going to sleep
+ * @public
+ * @constant
+ * @type {string}
+ * @name BODY_SLEEP
+ * @memberof event
+ * @see event.on
+ * @see World.allowSleep
+ */
+export const BODY_SLEEP = "me.body.onSleep";
+
+/**
+ * Event for when a sleeping physic body wakes up <br>
+ * Data passed : {Body} the body waking up
+ * @public
+ * @constant
+ * @type {string}
+ * @name BODY_WAKE
+ * @memberof event
+ * @see event.on
+ * @see World.allowSleep
+ */
+export const BODY_WAKE = "me.body.onWake";
+
+/**
+ * Event for when a character body lands on the ground <br>
+ * Data passed : {CharacterBody} the body landing
+ * @public
+ * @constant
+ * @type {string}
+ * @name BODY_GROUNDED
+ * @memberof event
+ * @see event.on
+ * @see CharacterBody#isGrounded
+ */
+export const BODY_GROUNDED = "me.body.onGrounded";
+
+/**
+ * Event for when a character body leaves the ground <br>
+ * Data passed : {CharacterBody} the body leaving the ground
+ * @public
+ * @constant
+ * @type {string}
+ * @name BODY_AIRBORNE
+ * @memberof event
+ * @see event.on
+ * @see CharacterBody#isGrounded
+ */
+export const BODY_AIRBORNE = "me.body.onAirborne";
+
 /**
  * Event for when a level is loaded <br>
  * Data passed : {string} Level Name
@@ -255,6 +346,21 @@ export const WORLD_STEP = "me.world.step";
  */
 export const LEVEL_LOADED = "me.game.onLevelLoaded";
 
+/**
+ * Event for when a tile of a tile layer is changed or cleared <br>
+ * Data passed : {TMXLayer} the layer, {number} the tile column, {number} the tile row,
+ * {Tile|null} the new tile (null if cleared), {Tile|null} the previous tile
+ * @public
+ * @constant
+ * @type {string}
+ * @name TILE_CHANGED
+ * @memberof event
+ * @see event.on
+ * @see TMXLayer#setTile
+ * @see TMXLayer#clearTile
+ */
+export const TILE_CHANGED = "me.tile.onChange";
+
 /**
  * Event for when everything has loaded <br>
  * Data passed : none <br>
@@ -279,6 +385,21 @@ export const LOADER_COMPLETE = "me.loader.onload";
  */
 export const LOADER_PROGRESS = "me.loader.onProgress";
 
+/**
+ * event for when data could not be written by the save module (e.g. storage quota exceeded) <br>
+ * Data passed : {Error} the error raised by the storage <br>
+ * Data passed : {string} the storage key being written <br>
+ * Data passed : {StorageAdapter} the storage adapter in use
+ * @public
+ * @constant
+ * @type {string}
+ * @name SAVE_ERROR
+ * @memberof event
+ * @see event.on
+ * @see save
+ */
+export const SAVE_ERROR = "me.save.onError";
+
 /**
  * Event for pressing a binded key <br>
  * Data passed : {string} user-defined action, {number} keyCode,
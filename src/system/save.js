@@ -1,7 +1,10 @@
 import * as event from "./event.js";
+import LocalStorageAdapter from "./storage/local_storage.js";
+import IndexedDBStorageAdapter from "./storage/indexeddb_storage.js";
+import MemoryStorageAdapter from "./storage/memory_storage.js";
 
 /**
- * allow to access and manage the device localStorage
+ * allow to access and manage the device storage (localStorage by default)
  * @example
  * // Initialize "score" and "lives" with default values
  * // This loads the properties from localStorage if they exist, else it sets the given defaults
@@ -20,52 +23,350 @@ import * as event from "./event.js";
  * me.save.add({ complexObject : {} })
  * me.save.complexObject = { a : "b", c : [ 1, 2, 3, "d" ], e : { f : [{}] } };
  *
- * // WARNING: Do not set any child properties of complex objects directly!
- * // Changes made that way will not save. Always set the entire object value at once.
- * // If you cannot live with this limitation, there's a workaround:
- * me.save.complexObject.c.push("foo"); // Modify a child property
- * me.save.complexObject = me.save.complexObject; // Save the entire object!
+ * // changes made to child properties of complex objects are tracked and saved as well
+ * me.save.complexObject.c.push("foo");
  *
  * // Remove "lives" from localStorage
  * me.save.remove("lives");
+ *
+ * // use a separate save slot per player profile
+ * me.save.useSlot("player2");
+ *
+ * // upgrade data saved by previous releases of the game
+ * me.save.addMigration(2, (data) => {
+ *     data.health = data.lives * 100;
+ *     delete data.lives;
+ * });
+ * me.save.setVersion(2);
+ *
+ * // use IndexedDB instead of localStorage for larger saves
+ * me.save.setStorage("indexeddb").then(() => {
+ *     me.save.add({ level : 1 });
+ * });
+ *
+ * // get notified when data cannot be written
+ * me.event.on(me.event.SAVE_ERROR, (error, key) => {
+ *     console.warn("could not save " + key, error);
+ * });
  * @namespace save
  */
 
+// name of the slot used when none is specified
+const DEFAULT_SLOT = "default";
+
+// storage key holding the list of known slots
+const SLOTS_KEY = "me.save#slots";
+
 // Variable to hold the object data
 let data = {};
 
-let hasLocalStorage = false;
+// name of the currently active slot
+let currentSlot = DEFAULT_SLOT;
 
-try {
-    // true if localStorage is supported
-    hasLocalStorage = typeof globalThis !== "undefined" && typeof globalThis.localStorage !== "undefined";
-} catch (e) {
-    // the above generates an exception when cookies are blocked
-    hasLocalStorage = false;
-}
+// in-memory copy of every slot accessed so far (data and schema version)
+let slots = new Map();
+
+// default values given through save.add()
+let defaults = {};
+
+// schema version expected by the application
+let targetVersion = 0;
+
+// registered migration functions, indexed by the version they upgrade to
+let migrations = new Map();
+
+// cached proxies used for deep change tracking, per top-level key
+let trackers = new Map();
+
+// reverse lookup from a tracking proxy to the object it wraps
+let proxyTargets = new WeakMap();
+
+// registered storage adapters, indexed by name
+let adapters = new Map();
+
+[
+    new LocalStorageAdapter(),
+    new IndexedDBStorageAdapter(),
+    new MemoryStorageAdapter()
+].forEach((adapter) => adapters.set(adapter.name, adapter));
+
+// the storage adapter currently in use (keep data in memory if localStorage is not available)
+let storage = adapters.get("local").isAvailable() ? adapters.get("local") : adapters.get("memory");
 
 /**
  * a function to check if the given key is a reserved word
  * @ignore
  */
 function isReserved(key) {
-    return (key === "add" || key === "remove");
+    return (
+        key === "add" || key === "remove" || key === "meta" ||
+        key === "useSlot" || key === "listSlots" || key === "deleteSlot" ||
+        key === "setVersion" || key === "addMigration" ||
+        key === "registerStorage" || key === "setStorage"
+    );
 }
 
+/**
+ * warn that the given reserved key cannot be used to store data
+ * @ignore
+ */
+function warnReserved(key) {
+    console.warn("[save] \"" + key + "\" is a reserved name and cannot be used as a save key");
+}
 
-// Initialize me.save on Boot event
-event.on(event.BOOT, () => {
-    // Load previous data if local Storage is supported
-    if (hasLocalStorage === true) {
-        let me_save_content = globalThis.localStorage.getItem("me.save");
+/**
+ * return the storage key prefix used for the given slot
+ * (the default slot uses the same layout as previous versions)
+ * @ignore
+ */
+function slotPrefix(slot) {
+    return slot === DEFAULT_SLOT ? "me.save" : "me.save:" + slot;
+}
+
+/**
+ * notify the given storage error, including failures of asynchronous adapters
+ * @ignore
+ */
+function handleError(result, key) {
+    if (result instanceof Error) {
+        event.emit(event.SAVE_ERROR, result, key, storage);
+    } else if (result !== null && typeof result === "object" && typeof result.then === "function") {
+        let adapter = storage;
+        result.then(undefined, (error) => event.emit(event.SAVE_ERROR, error, key, adapter));
+    }
+}
+
+/**
+ * @ignore
+ */
+function readItem(key) {
+    try {
+        let content = storage.getItem(key);
+        if (typeof content === "string" && content.length > 0) {
+            return JSON.parse(content);
+        }
+    } catch (e) {
+        handleError(e, key);
+    }
+    return null;
+}
+
+/**
+ * @ignore
+ */
+function writeItem(key, value) {
+    try {
+        handleError(storage.setItem(key, JSON.stringify(value)), key);
+    } catch (e) {
+        handleError(e, key);
+    }
+}
 
-        if (typeof me_save_content === "string" && me_save_content.length > 0) {
-            let keys = JSON.parse(me_save_content) || [];
+/**
+ * @ignore
+ */
+function removeItem(key) {
+    try {
+        handleError(storage.removeItem(key), key);
+    } catch (e) {
+        handleError(e, key);
+    }
+}
+
+/**
+ * return the list of slots stored on the device
+ * @ignore
+ */
+function storedSlots() {
+    let list = readItem(SLOTS_KEY);
+    return Array.isArray(list) ? list : [];
+}
+
+/**
+ * make sure the given slot is listed in the storage
+ * @ignore
+ */
+function registerSlot(slot) {
+    let list = storedSlots();
+    if (!list.includes(slot)) {
+        list.push(slot);
+        writeItem(SLOTS_KEY, list);
+    }
+}
+
+/**
+ * persist the given key of the current slot
+ * @ignore
+ */
+function persist(key) {
+    writeItem(slotPrefix(currentSlot) + "." + key, data[key]);
+}
+
+/**
+ * persist the list of keys and the schema version of the current slot
+ * @ignore
+ */
+function persistIndex() {
+    let prefix = slotPrefix(currentSlot);
+    writeItem(prefix, Object.keys(data));
+    writeItem(prefix + "#version", currentEntry().version);
+    registerSlot(currentSlot);
+}
+
+/**
+ * return the object wrapped by the given tracking proxy (if any)
+ * @ignore
+ */
+function unwrap(value) {
+    return proxyTargets.has(value) ? proxyTargets.get(value) : value;
+}
+
+/**
+ * wrap the given object into a proxy that saves the top-level key when modified
+ * @ignore
+ */
+function track(value, key) {
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    let cache = trackers.get(key);
+    if (typeof cache === "undefined") {
+        cache = new WeakMap();
+        trackers.set(key, cache);
+    }
+    let proxy = cache.get(value);
+    if (typeof proxy === "undefined") {
+        proxy = new Proxy(value, {
+            get(target, prop, receiver) {
+                return track(Reflect.get(target, prop, receiver), key);
+            },
+            set(target, prop, newValue) {
+                let result = Reflect.set(target, prop, unwrap(newValue));
+                // only save if the object is still part of the current data
+                if (result === true && isAttached(target, data[key])) {
+                    persist(key);
+                }
+                return result;
+            },
+            deleteProperty(target, prop) {
+                let result = Reflect.deleteProperty(target, prop);
+                if (result === true && isAttached(target, data[key])) {
+                    persist(key);
+                }
+                return result;
+            }
+        });
+        cache.set(value, proxy);
+        proxyTargets.set(proxy, value);
+    }
+    return proxy;
+}
+
+/**
+ * check if the given object is the given root value or one of its descendants
+ * @ignore
+ */
+function isAttached(target, root) {
+    if (target === root) {
+        return true;
+    }
+    if (root !== null && typeof root === "object") {
+        return Object.values(root).some((child) => isAttached(target, child));
+    }
+    return false;
+}
+
+/**
+ * load the given slot from the storage (or from the in-memory cache)
+ * @ignore
+ */
+function loadSlot(slot) {
+    if (!slots.has(slot)) {
+        let prefix = slotPrefix(slot);
+        let content = {};
+        let keys = readItem(prefix);
+        if (Array.isArray(keys)) {
             keys.forEach((key) => {
-                data[key] = JSON.parse(globalThis.localStorage.getItem("me.save." + key));
+                content[key] = readItem(prefix + "." + key);
             });
         }
+        let version = readItem(prefix + "#version");
+        let stored = Object.keys(content).length > 0;
+        slots.set(slot, {
+            data : content,
+            // data saved before versioning was introduced is considered as version 0
+            version : typeof version === "number" ? version : (stored ? 0 : targetVersion),
+            // true if the slot content was loaded from the storage
+            stored : stored
+        });
+    }
+    currentSlot = slot;
+    data = slots.get(slot).data;
+    trackers.clear();
+}
+
+/**
+ * return the current slot entry, loading it first if required
+ * @ignore
+ */
+function currentEntry() {
+    if (!slots.has(currentSlot)) {
+        loadSlot(currentSlot);
+    }
+    return slots.get(currentSlot);
+}
+
+/**
+ * apply pending migrations to the current slot and fill in missing default values
+ * @ignore
+ */
+function upgrade() {
+    let entry = currentEntry();
+    let removed = [];
+
+    if (entry.stored !== true) {
+        // nothing to migrate, the slot only holds values set with the current version
+        entry.version = targetVersion;
+    } else if (entry.version < targetVersion) {
+        let previousKeys = Object.keys(data);
+        let versions = Array.from(migrations.keys()).filter((v) => v > entry.version && v <= targetVersion).sort((a, b) => a - b);
+        versions.forEach((version) => {
+            let result = migrations.get(version)(data, version);
+            if (result !== null && typeof result === "object" && result !== data) {
+                // the migration returned a new object, replace the slot content
+                Object.keys(data).forEach((key) => delete data[key]);
+                Object.assign(data, result);
+            }
+        });
+        // remove all previously stored keys, in case some were renamed or deleted
+        let prefix = slotPrefix(currentSlot);
+        let previous = readItem(prefix);
+        if (Array.isArray(previous)) {
+            previous.forEach((key) => removeItem(prefix + "." + key));
+        }
+        entry.version = targetVersion;
+        Object.keys(data).forEach(persist);
+        trackers.clear();
+        removed = previousKeys.filter((key) => !(key in data));
+    }
+
+    // keys deleted or renamed by migrations are not restored
+    Object.keys(defaults).forEach((key) => {
+        if (!(key in data) && !removed.includes(key)) {
+            data[key] = defaults[key];
+            persist(key);
+        }
+    });
+
+    if (Object.keys(data).length > 0) {
+        persistIndex();
     }
+}
+
+// Initialize me.save on Boot event
+event.on(event.BOOT, () => {
+    // Load previous data if local Storage is supported
+    currentEntry();
 });
 
 let save = {
@@ -84,11 +385,16 @@ let save = {
     add(props) {
         let obj = save;
 
+        currentEntry();
+
         Object.keys(props).forEach((key) => {
             if (isReserved(key)) {
+                warnReserved(key);
                 return;
             }
 
+            defaults[key] = props[key];
+
             (function (prop) {
                 Object.defineProperty(obj, prop, {
                     configurable : true,
@@ -97,16 +403,14 @@ let save = {
                      * @ignore
                      */
                     get () {
-                        return data[prop];
+                        return track(data[prop], prop);
                     },
                     /**
                      * @ignore
                      */
                     set (value) {
-                        data[prop] = value;
-                        if (hasLocalStorage === true) {
-                            globalThis.localStorage.setItem("me.save." + prop, JSON.stringify(value));
-                        }
+                        data[prop] = unwrap(value);
+                        persist(prop);
                     }
                 });
             })(key);
@@ -118,9 +422,7 @@ let save = {
         });
 
         // Save keys
-        if (hasLocalStorage === true) {
-            globalThis.localStorage.setItem("me.save", JSON.stringify(Object.keys(data)));
-        }
+        persistIndex();
     },
 
     /**
@@ -133,16 +435,199 @@ let save = {
      * me.save.remove("score");
      */
     remove (key) {
-        if (!isReserved(key)) {
+        if (isReserved(key)) {
+            warnReserved(key);
+        } else {
+            delete defaults[key];
             if (typeof data[key] !== "undefined") {
                 delete data[key];
-                if (hasLocalStorage === true) {
-                    globalThis.localStorage.removeItem("me.save." + key);
-                    globalThis.localStorage.setItem("me.save", JSON.stringify(Object.keys(data)));
-                }
+                removeItem(slotPrefix(currentSlot) + "." + key);
+                persistIndex();
+            }
+        }
+    },
+
+    /**
+     * Switch to the given save slot, loading its content from localStorage. <br>
+     * Pending migrations are applied, and keys previously declared through `add` are set to their default values if missing.
+     * @name useSlot
+     * @memberof save
+     * @param {string} [name="default"] - the slot name
+     * @example
+     * // keep a separate save per player profile
+     * me.save.useSlot("player2");
+     * me.save.score = 500; // only saved in the "player2" slot
+     */
+    useSlot(name = DEFAULT_SLOT) {
+        if (typeof name !== "string" || name.length === 0) {
+            throw new Error("invalid save slot name: " + name);
+        }
+        loadSlot(name);
+        upgrade();
+    },
+
+    /**
+     * return the names of all save slots stored on the device
+     * @name listSlots
+     * @memberof save
+     * @returns {string[]} a list of slot names
+     */
+    listSlots() {
+        let list = storedSlots();
+        slots.forEach((entry, name) => {
+            if (!list.includes(name) && Object.keys(entry.data).length > 0) {
+                list.push(name);
+            }
+        });
+        return list;
+    },
+
+    /**
+     * Delete the given save slot and all its content from localStorage. <br>
+     * If the deleted slot is the current one, it is left empty and remains active.
+     * @name deleteSlot
+     * @memberof save
+     * @param {string} name - the slot name
+     */
+    deleteSlot(name) {
+        let prefix = slotPrefix(name);
+        let keys = readItem(prefix);
+        if (Array.isArray(keys)) {
+            keys.forEach((key) => removeItem(prefix + "." + key));
+        }
+        removeItem(prefix);
+        removeItem(prefix + "#version");
+        writeItem(SLOTS_KEY, storedSlots().filter((slot) => slot !== name));
+        slots.delete(name);
+
+        if (name === currentSlot) {
+            loadSlot(name);
+        }
+    },
+
+    /**
+     * Register a function upgrading saved data to the given schema version. <br>
+     * Migrations are applied in ascending version order when a slot with an older version is loaded
+     * or when the application version is increased through `setVersion`.
+     * @name addMigration
+     * @memberof save
+     * @param {number} version - the schema version produced by this migration
+     * @param {Function} callback - a function receiving the slot data (and the target version), that either modifies it in place or returns a new data object
+     * @example
+     * // version 2 renamed "lives" to "health"
+     * me.save.addMigration(2, (data) => {
+     *     data.health = data.lives;
+     *     delete data.lives;
+     * });
+     */
+    addMigration(version, callback) {
+        if (typeof callback !== "function") {
+            throw new Error("save migration for version " + version + " is not a function");
+        }
+        migrations.set(version, callback);
+    },
+
+    /**
+     * Set the data schema version expected by the application. <br>
+     * Registered migrations are then applied to the current slot if its data was saved with an older version.
+     * @name setVersion
+     * @memberof save
+     * @param {number} version - the current schema version
+     * @example
+     * me.save.addMigration(2, migrateToV2);
+     * me.save.setVersion(2);
+     */
+    setVersion(version) {
+        targetVersion = version;
+        upgrade();
+    },
+
+    /**
+     * Register a storage adapter, making it available through `setStorage`. <br>
+     * Built-in adapters are "local" (localStorage, used by default), "indexeddb" and "memory".
+     * @name registerStorage
+     * @memberof save
+     * @param {StorageAdapter} adapter - the adapter to register (under its `name`)
+     * @see StorageAdapter
+     */
+    registerStorage(adapter) {
+        if (typeof adapter !== "object" || typeof adapter.name !== "string") {
+            throw new Error("invalid storage adapter: " + adapter);
+        }
+        adapters.set(adapter.name, adapter);
+    },
+
+    /**
+     * Switch to the given storage adapter and reload the current slot from it. <br>
+     * Data stored through the previous adapter is not copied over.
+     * @name setStorage
+     * @memberof save
+     * @param {string|StorageAdapter} adapter - a registered adapter name or an adapter instance
+     * @returns {Promise} a Promise resolved once the storage is loaded and ready to use
+     * @example
+     * me.save.setStorage("indexeddb").then(() => {
+     *     // keys must be declared again once the new storage is loaded
+     *     me.save.add({ score : 0 });
+     * });
+     */
+    setStorage(adapter) {
+        if (typeof adapter === "string") {
+            if (!adapters.has(adapter)) {
+                return Promise.reject(new Error("storage type " + adapter + " not supported"));
             }
+            adapter = adapters.get(adapter);
         }
+        if (adapter.isAvailable() !== true) {
+            return Promise.reject(new Error("storage type " + adapter.name + " not available"));
+        }
+        return adapter.load().then(() => {
+            storage = adapter;
+            slots.clear();
+            loadSlot(currentSlot);
+            upgrade();
+        });
     }
 };
 
+/**
+ * information about the current save slot and storage
+ * (kept apart from the saved keys, so that they cannot clash with the application data)
+ * @name meta
+ * @memberof save
+ * @type {object}
+ * @property {string} slot - the name of the currently active save slot ("default" by default)
+ * @property {number} version - the schema version of the data stored in the currently active slot
+ * @property {StorageAdapter} storage - the storage adapter currently in use
+ * @readonly
+ * @see save.useSlot
+ * @see save.setVersion
+ * @see save.setStorage
+ * @example
+ * console.log("playing with " + me.save.meta.slot + " (v" + me.save.meta.version + ")");
+ */
+let meta = Object.defineProperties({}, {
+    slot : {
+        enumerable : true,
+        get() {
+            return currentSlot;
+        }
+    },
+    version : {
+        enumerable : true,
+        get() {
+            return currentEntry().version;
+        }
+    },
+    storage : {
+        enumerable : true,
+        get() {
+            return storage;
+        }
+    }
+});
+
+Object.defineProperty(save, "meta", {
+    value : meta
+});
+
 export default save;
@@ -0,0 +1,175 @@
+import StorageAdapter from "./storage_adapter.js";
+
+/**
+ * @classdesc
+ * a storage adapter using IndexedDB, allowing to store more data than the localStorage quota. <br>
+ * The whole content is preloaded in memory by `load()`, so that reads remain synchronous,
+ * while writes are asynchronously committed to the database.
+ * @augments StorageAdapter
+ */
+export default class IndexedDBStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} [name="indexeddb"] - the name under which this adapter is registered
+     * @param {string} [dbName="melonJS"] - the IndexedDB database name
+     * @param {string} [storeName="save"] - the object store name
+     */
+    constructor(name = "indexeddb", dbName = "melonJS", storeName = "save") {
+        super(name);
+
+        /**
+         * the IndexedDB database name
+         * @type {string}
+         */
+        this.dbName = dbName;
+
+        /**
+         * the object store name
+         * @type {string}
+         */
+        this.storeName = storeName;
+
+        /**
+         * in-memory copy of the database content
+         * @ignore
+         */
+        this.items = new Map();
+
+        /**
+         * the opened database (null if not loaded yet, undefined if closed by another connection)
+         * @ignore
+         */
+        this.db = null;
+    }
+
+    /**
+     * return true if IndexedDB is supported
+     * @returns {boolean}
+     */
+    isAvailable() {
+        try {
+            return typeof globalThis.indexedDB !== "undefined" && globalThis.indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * open the database and preload its content
+     * @returns {Promise} a Promise resolved once the content is loaded, or rejected if the database cannot be opened
+     * (e.g. when another connection to the database blocks the creation of the object store)
+     */
+    load() {
+        // close the previously opened database
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        return this.open().then((db) => new Promise((resolve, reject) => {
+            this.db = db;
+            let store = db.transaction(this.storeName, "readonly").objectStore(this.storeName);
+            let cursor = store.openCursor();
+            this.items.clear();
+            cursor.onerror = () => reject(cursor.error);
+            cursor.onsuccess = () => {
+                let current = cursor.result;
+                if (current) {
+                    this.items.set(current.key, current.value);
+                    current.continue();
+                } else {
+                    resolve();
+                }
+            };
+        }));
+    }
+
+    /**
+     * open the database, upgrading it to a new version if the object store is missing
+     * @ignore
+     * @param {number} [version] - the database version to open
+     * @returns {Promise<IDBDatabase>} a Promise resolved with the opened database
+     */
+    open(version) {
+        return new Promise((resolve, reject) => {
+            let request = globalThis.indexedDB.open(this.dbName, version);
+            let blocked = false;
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName);
+                }
+            };
+            request.onerror = () => reject(request.error);
+            // another connection to the database does not close on version change
+            request.onblocked = () => {
+                blocked = true;
+                reject(new Error("IndexedDB database " + this.dbName + " upgrade blocked by another connection"));
+            };
+            request.onsuccess = () => {
+                let db = request.result;
+                if (blocked === true) {
+                    // opened once the other connection was closed, after the loading failed
+                    db.close();
+                    return;
+                }
+                // let other connections (e.g. using another object store) upgrade the database
+                db.onversionchange = () => {
+                    db.close();
+                    if (this.db === db) {
+                        // reopened on the next write
+                        this.db = undefined;
+                    }
+                };
+                if (db.objectStoreNames.contains(this.storeName)) {
+                    resolve(db);
+                } else {
+                    // the database already exists without this object store
+                    db.close();
+                    this.open(db.version + 1).then(resolve, reject);
+                }
+            };
+        });
+    }
+
+    /**
+     * run the given operation on the object store within a readwrite transaction
+     * @ignore
+     */
+    commit(operation) {
+        if (this.db === null) {
+            return Promise.reject(new Error("IndexedDB storage used before being loaded"));
+        }
+        let opened = typeof this.db !== "undefined" ? Promise.resolve(this.db) : this.open().then((db) => {
+            this.db = db;
+            return db;
+        });
+        return opened.then((db) => new Promise((resolve, reject) => {
+            let transaction = db.transaction(this.storeName, "readwrite");
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * @ignore
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @ignore
+     */
+    setItem(key, value) {
+        this.items.set(key, value);
+        return this.commit((store) => store.put(value, key));
+    }
+
+    /**
+     * @ignore
+     */
+    removeItem(key) {
+        this.items.delete(key);
+        return this.commit((store) => store.delete(key));
+    }
+}
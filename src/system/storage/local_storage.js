@@ -0,0 +1,50 @@
+import StorageAdapter from "./storage_adapter.js";
+
+/**
+ * @classdesc
+ * a storage adapter using the browser localStorage
+ * @augments StorageAdapter
+ */
+export default class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} [name="local"] - the name under which this adapter is registered
+     */
+    constructor(name = "local") {
+        super(name);
+    }
+
+    /**
+     * return true if localStorage is supported and not blocked
+     * @returns {boolean}
+     */
+    isAvailable() {
+        try {
+            return typeof globalThis.localStorage !== "undefined" && globalThis.localStorage !== null;
+        } catch (e) {
+            // the above generates an exception when cookies are blocked
+            return false;
+        }
+    }
+
+    /**
+     * @ignore
+     */
+    getItem(key) {
+        return globalThis.localStorage.getItem(key);
+    }
+
+    /**
+     * @ignore
+     */
+    setItem(key, value) {
+        // throws a QuotaExceededError when the storage is full
+        globalThis.localStorage.setItem(key, value);
+    }
+
+    /**
+     * @ignore
+     */
+    removeItem(key) {
+        globalThis.localStorage.removeItem(key);
+    }
+}
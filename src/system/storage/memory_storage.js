@@ -0,0 +1,43 @@
+import StorageAdapter from "./storage_adapter.js";
+
+/**
+ * @classdesc
+ * a storage adapter keeping all data in memory. <br>
+ * Data is lost when the page is reloaded, this is used as a fallback when no persistent storage is available.
+ * @augments StorageAdapter
+ */
+export default class MemoryStorageAdapter extends StorageAdapter {
+    /**
+     * @param {string} [name="memory"] - the name under which this adapter is registered
+     */
+    constructor(name = "memory") {
+        super(name);
+
+        /**
+         * the stored key/value pairs
+         * @ignore
+         */
+        this.items = new Map();
+    }
+
+    /**
+     * @ignore
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @ignore
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * @ignore
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
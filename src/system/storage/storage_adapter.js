@@ -0,0 +1,84 @@
+/* eslint-disable no-unused-vars */
+
+/**
+ * @classdesc
+ * The storage adapter base class, used by the save module to read and write data. <br>
+ * All values are passed as JSON strings. An adapter backed by an asynchronous storage
+ * can preload its content in `load()` and return a Promise from `setItem()` and `removeItem()`,
+ * in which case a rejected Promise is reported through the `SAVE_ERROR` event.
+ * @see save.setStorage
+ * @example
+ * // a custom adapter wrapping a native bridge
+ * class NativeStorageAdapter extends me.StorageAdapter {
+ *     constructor() {
+ *         super("native");
+ *     }
+ *     getItem(key) {
+ *         return nativeBridge.read(key);
+ *     }
+ *     setItem(key, value) {
+ *         nativeBridge.write(key, value);
+ *     }
+ *     removeItem(key) {
+ *         nativeBridge.delete(key);
+ *     }
+ * }
+ * me.save.registerStorage(new NativeStorageAdapter());
+ * me.save.setStorage("native");
+ */
+export default class StorageAdapter {
+    /**
+     * @param {string} name - the name under which this adapter is registered
+     */
+    constructor(name) {
+        /**
+         * the name under which this adapter is registered
+         * @type {string}
+         */
+        this.name = name;
+    }
+
+    /**
+     * return true if the underlying storage can be used on this device
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * prepare the storage before use (e.g. open a database and preload its content)
+     * @returns {Promise} a Promise resolved once the storage is ready
+     */
+    load() {
+        return Promise.resolve();
+    }
+
+    /**
+     * return the value stored under the given key
+     * @param {string} key - the key name
+     * @returns {string|null} the stored value, or null if the key does not exist
+     */
+    getItem(key) {
+        return null;
+    }
+
+    /**
+     * store the given value under the given key
+     * @param {string} key - the key name
+     * @param {string} value - the value to store
+     * @returns {Promise|undefined} an optional Promise resolved once the value is written
+     */
+    setItem(key, value) {
+    }
+
+    /**
+     * remove the given key from the storage
+     * @param {string} key - the key name
+     * @returns {Promise|undefined} an optional Promise resolved once the key is removed
+     */
+    removeItem(key) {
+    }
+}
+
+/* eslint-enable no-unused-vars */
@@ -70,7 +70,7 @@ export default class VertexArrayBuffer {
      * push a new vertex to the buffer
      * @ignore
      */
-    push(x, y, u, v, tint) {
+    push(x, y, u, v, tint, textureId) {
         let offset = this.vertexCount * this.vertexSize;
 
         if (this.vertexCount >= this.maxVertex) {
@@ -89,6 +89,10 @@ export default class VertexArrayBuffer {
             this.bufferU32[++offset] = tint;
         }
 
+        if (typeof textureId !== "undefined") {
+            this.bufferF32[++offset] = textureId;
+        }
+
         this.vertexCount++;
 
         return this;
@@ -217,6 +217,7 @@ export default class Compositor {
             }
 
             gl.drawArrays(mode, 0, vertexCount);
+            this.renderer.drawCalls++;
 
             // clear the vertex buffer
             vertex.clear();
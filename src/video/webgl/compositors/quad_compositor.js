@@ -29,16 +29,24 @@ export default class QuadCompositor extends Compositor {
             attributes: [
                 {name: "aVertex", size: 2, type: renderer.gl.FLOAT, normalized: false, offset: 0 * Float32Array.BYTES_PER_ELEMENT},
                 {name: "aRegion", size: 2, type: renderer.gl.FLOAT, normalized: false, offset: 2 * Float32Array.BYTES_PER_ELEMENT},
-                {name: "aColor",  size: 4, type: renderer.gl.UNSIGNED_BYTE, normalized: true, offset: 4 * Float32Array.BYTES_PER_ELEMENT}
+                {name: "aColor",  size: 4, type: renderer.gl.UNSIGNED_BYTE, normalized: true, offset: 4 * Float32Array.BYTES_PER_ELEMENT},
+                {name: "aTextureId", size: 1, type: renderer.gl.FLOAT, normalized: false, offset: 5 * Float32Array.BYTES_PER_ELEMENT}
             ],
             shader: {
-                vertex: quadVertex, fragment: quadFragment
+                // the default shader samples all available texture units
+                vertex: quadVertex, fragment: quadFragment.replace(/MAX_TEXTURES/g, renderer.maxTextures)
             }
         });
 
         // list of active texture units
         this.currentTextureUnit = -1;
         this.boundTextures = [];
+
+        // the texture units sampled by the default shader
+        this.samplerUnits = Array.from({ length: renderer.maxTextures }, (v, i) => i);
+
+        // the texture unit sampled by the current batch, when using a single texture shader
+        this.currentSamplerUnit = -1;
     }
 
     /**
@@ -58,6 +66,22 @@ export default class QuadCompositor extends Compositor {
         this.currentTextureUnit = -1;
     }
 
+    /**
+     * Select the shader to use for compositing.<br>
+     * Quads using textures bound to different units are drawn in a single batch when using the default shader,
+     * while shaders defining a single `uSampler` texture sampler are flushed every time the texture unit changes.
+     * @see GLShader
+     * @param {GLShader} shader - a reference to a GLShader instance
+     */
+    useShader(shader) {
+        if (this.renderer.currentProgram !== shader.program) {
+            super.useShader(shader);
+            if (shader === this.defaultShader) {
+                shader.setUniform("uSampler", this.samplerUnits);
+            }
+        }
+    }
+
     /**
      * Create a WebGL texture from an image
      * @param {number} unit - Destination texture unit
@@ -142,7 +166,6 @@ export default class QuadCompositor extends Compositor {
             this.boundTextures[unit] = texture;
 
         } else if (this.currentTextureUnit !== unit) {
-            this.flush();
             this.currentTextureUnit = unit;
             gl.activeTexture(gl.TEXTURE0 + unit);
         }
@@ -215,8 +238,49 @@ export default class QuadCompositor extends Compositor {
         // upload and activate the texture if necessary
         let unit = this.uploadTexture(texture);
 
-        // set fragment sampler accordingly
-        this.currentShader.setUniform("uSampler", unit);
+        this.pushQuad(unit, x, y, w, h, u0, v0, u1, v1, tint);
+    }
+
+    /**
+     * Add a quad using the given WebGL texture (e.g. a render target texture)
+     * @param {WebGLTexture} texture2D - a WebGL texture
+     * @param {number} unit - Texture unit to which the given texture is bound
+     * @param {number} x - Destination x-coordinate
+     * @param {number} y - Destination y-coordinate
+     * @param {number} w - Destination width
+     * @param {number} h - Destination height
+     * @param {number} u0 - Texture UV (u0) value.
+     * @param {number} v0 - Texture UV (v0) value.
+     * @param {number} u1 - Texture UV (u1) value.
+     * @param {number} v1 - Texture UV (v1) value.
+     * @param {number} tint - tint color to be applied to the texture in UINT32 (argb) format
+     */
+    addTexture2DQuad(texture2D, unit, x, y, w, h, u0, v0, u1, v1, tint) {
+        if (this.vertexData.isFull(6)) {
+            this.flush();
+        }
+
+        this.bindTexture2D(texture2D, unit);
+
+        this.pushQuad(unit, x, y, w, h, u0, v0, u1, v1, tint);
+    }
+
+    /**
+     * push the vertices of a quad using the texture bound to the given unit
+     * @ignore
+     */
+    pushQuad(unit, x, y, w, h, u0, v0, u1, v1, tint) {
+        let vertexData = this.vertexData;
+
+        if (this.currentShader !== this.defaultShader) {
+            // single texture shaders can only batch quads using the same texture unit
+            if (unit !== this.currentSamplerUnit && !vertexData.isEmpty()) {
+                this.flush();
+            }
+            // set fragment sampler accordingly
+            this.currentShader.setUniform("uSampler", unit);
+            this.currentSamplerUnit = unit;
+        }
 
         // Transform vertices
         let m = this.viewMatrix,
@@ -232,11 +296,11 @@ export default class QuadCompositor extends Compositor {
             m.apply(vec3);
         }
 
-        vertexData.push(vec0.x, vec0.y, u0, v0, tint);
-        vertexData.push(vec1.x, vec1.y, u1, v0, tint);
-        vertexData.push(vec2.x, vec2.y, u0, v1, tint);
-        vertexData.push(vec2.x, vec2.y, u0, v1, tint);
-        vertexData.push(vec1.x, vec1.y, u1, v0, tint);
-        vertexData.push(vec3.x, vec3.y, u1, v1, tint);
+        vertexData.push(vec0.x, vec0.y, u0, v0, tint, unit);
+        vertexData.push(vec1.x, vec1.y, u1, v0, tint, unit);
+        vertexData.push(vec2.x, vec2.y, u0, v1, tint, unit);
+        vertexData.push(vec2.x, vec2.y, u0, v1, tint, unit);
+        vertexData.push(vec1.x, vec1.y, u1, v0, tint, unit);
+        vertexData.push(vec3.x, vec3.y, u1, v1, tint, unit);
     }
 }
@@ -0,0 +1,54 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect progressively dissolving the renderable pixels, with a glowing edge
+ * @augments ShaderEffect
+ * @example
+ * let dissolve = new me.DissolveEffect(renderer, { edgeColor : "#FF8000" });
+ * mySprite.shader = dissolve;
+ * // dissolve the sprite over one second
+ * new me.Tween({ progress : 0 }).to({ progress : 1 }, { duration : 1000, onUpdate : function () {
+ *     dissolve.setProgress(this.progress);
+ * }}).start();
+ */
+export default class DissolveEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} [options] - effect settings
+     * @param {number} [options.progress=0] - the dissolve progress, between 0 (intact) and 1 (fully dissolved)
+     * @param {Color|string} [options.edgeColor="#FFFFFF"] - the color of the dissolving edge
+     * @param {number} [options.edgeWidth=0.05] - the width of the dissolving edge, relative to the progress
+     * @param {number} [options.scale=256] - the noise scale (higher values giving smaller dissolving patches)
+     */
+    constructor(renderer, options = {}) {
+        super(renderer, [
+            "uniform float uProgress;",
+            "uniform vec3 uEdgeColor;",
+            "uniform float uEdgeWidth;",
+            "uniform float uScale;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    vec2 cell = floor(uv * uScale);",
+            "    float noise = fract(sin(dot(cell, vec2(12.9898, 78.233))) * 43758.5453);",
+            "    if (noise < uProgress) {",
+            "        return vec4(0.0);",
+            "    }",
+            "    float edge = step(noise, uProgress + uEdgeWidth) * step(0.0001, uProgress);",
+            "    return vec4(mix(color.rgb, uEdgeColor * color.a, edge), color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setProgress(options.progress || 0);
+        this.setColorUniform("uEdgeColor", options.edgeColor || "#FFFFFF");
+        this.setUniform("uEdgeWidth", typeof options.edgeWidth === "number" ? options.edgeWidth : 0.05);
+        this.setUniform("uScale", options.scale || 256);
+    }
+
+    /**
+     * set the dissolve progress
+     * @param {number} progress - the dissolve progress, between 0 (intact) and 1 (fully dissolved)
+     */
+    setProgress(progress) {
+        this.setUniform("uProgress", progress);
+    }
+}
@@ -0,0 +1,65 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect drawing a drop shadow behind the renderable.<br>
+ * The shadow is drawn within the renderable frame, which should therefore include some transparent margin.
+ * @augments ShaderEffect
+ * @example
+ * mySprite.shader = new me.DropShadowEffect(renderer, {
+ *     offsetX : 2,
+ *     offsetY : 2,
+ *     width : mySprite.image.width,
+ *     height : mySprite.image.height
+ * });
+ */
+export default class DropShadowEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} options - effect settings
+     * @param {number} options.width - the width of the texture used by the renderable (see {@link ShaderEffect#setTextureSize})
+     * @param {number} options.height - the height of the texture used by the renderable
+     * @param {Color|string} [options.color="rgba(0, 0, 0, 0.5)"] - the shadow color
+     * @param {number} [options.offsetX=2] - the shadow horizontal offset in pixels
+     * @param {number} [options.offsetY=2] - the shadow vertical offset in pixels
+     */
+    constructor(renderer, options = {}) {
+        // neighbouring pixels are sampled based on the texture size
+        if (typeof options.width !== "number" || typeof options.height !== "number") {
+            throw new Error("A drop shadow effect requires the width and height of the texture used by the renderable");
+        }
+        super(renderer, [
+            "uniform vec4 uColor;",
+            "uniform vec2 uOffset;",
+            "uniform vec2 uTextureSize;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    float a = texture2D(uSampler, uv - uOffset / uTextureSize).a * uColor.a;",
+            "    return color + vec4(uColor.rgb * a, a) * (1.0 - color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setColor(options.color || "rgba(0, 0, 0, 0.5)");
+        this.setOffset(
+            typeof options.offsetX === "number" ? options.offsetX : 2,
+            typeof options.offsetY === "number" ? options.offsetY : 2
+        );
+        this.setTextureSize(options.width, options.height);
+    }
+
+    /**
+     * set the shadow color
+     * @param {Color|string} color - a color object or a CSS color string
+     */
+    setColor(color) {
+        this.setColorUniform("uColor", color, true);
+    }
+
+    /**
+     * set the shadow offset
+     * @param {number} x - the horizontal offset in pixels
+     * @param {number} y - the vertical offset in pixels
+     */
+    setOffset(x, y) {
+        this.setUniform("uOffset", [x, y]);
+    }
+}
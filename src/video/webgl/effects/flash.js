@@ -0,0 +1,48 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect blending the renderable with a flat color (e.g. a white flash when hit)
+ * @augments ShaderEffect
+ * @example
+ * let flash = new me.FlashEffect(renderer, { color : "#FFFFFF" });
+ * mySprite.shader = flash;
+ * // fade out the flash
+ * flash.setIntensity(0.5);
+ */
+export default class FlashEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} [options] - effect settings
+     * @param {Color|string} [options.color="#FFFFFF"] - the flash color
+     * @param {number} [options.intensity=1] - the flash intensity, between 0 and 1
+     */
+    constructor(renderer, options = {}) {
+        super(renderer, [
+            "uniform vec3 uColor;",
+            "uniform float uIntensity;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    return vec4(mix(color.rgb, uColor * color.a, uIntensity), color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setColor(options.color || "#FFFFFF");
+        this.setIntensity(typeof options.intensity === "number" ? options.intensity : 1);
+    }
+
+    /**
+     * set the flash color
+     * @param {Color|string} color - a color object or a CSS color string
+     */
+    setColor(color) {
+        this.setColorUniform("uColor", color);
+    }
+
+    /**
+     * set the flash intensity
+     * @param {number} intensity - the flash intensity, between 0 (none) and 1 (flat color)
+     */
+    setIntensity(intensity) {
+        this.setUniform("uIntensity", intensity);
+    }
+}
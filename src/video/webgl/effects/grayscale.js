@@ -0,0 +1,35 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect desaturating the renderable colors
+ * @augments ShaderEffect
+ * @example
+ * mySprite.shader = new me.GrayscaleEffect(renderer);
+ */
+export default class GrayscaleEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} [options] - effect settings
+     * @param {number} [options.intensity=1] - the effect intensity, between 0 and 1
+     */
+    constructor(renderer, options = {}) {
+        super(renderer, [
+            "uniform float uIntensity;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    float gray = dot(color.rgb, vec3(0.299, 0.587, 0.114));",
+            "    return vec4(mix(color.rgb, vec3(gray), uIntensity), color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setIntensity(typeof options.intensity === "number" ? options.intensity : 1);
+    }
+
+    /**
+     * set the effect intensity
+     * @param {number} intensity - the effect intensity, between 0 (original colors) and 1 (fully grayscale)
+     */
+    setIntensity(intensity) {
+        this.setUniform("uIntensity", intensity);
+    }
+}
@@ -0,0 +1,38 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect rotating the hue of the renderable colors
+ * @augments ShaderEffect
+ * @example
+ * // a shiny variant of an enemy
+ * mySprite.shader = new me.HueShiftEffect(renderer, { angle : Math.PI / 2 });
+ */
+export default class HueShiftEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} [options] - effect settings
+     * @param {number} [options.angle=0] - the hue rotation angle, in radians
+     */
+    constructor(renderer, options = {}) {
+        super(renderer, [
+            "uniform float uAngle;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    vec3 k = vec3(0.57735);",
+            "    float c = cos(uAngle);",
+            "    vec3 rgb = color.rgb * c + cross(k, color.rgb) * sin(uAngle) + k * dot(k, color.rgb) * (1.0 - c);",
+            "    return vec4(clamp(rgb, 0.0, color.a), color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setAngle(options.angle || 0);
+    }
+
+    /**
+     * set the hue rotation angle
+     * @param {number} angle - the hue rotation angle, in radians
+     */
+    setAngle(angle) {
+        this.setUniform("uAngle", angle);
+    }
+}
@@ -0,0 +1,43 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * a shader effect drawing the renderables as flat (facing the camera) normals, used by the lighting normal pass
+ * for textures without normal maps
+ * @ignore
+ */
+export class FlatNormalEffect extends ShaderEffect {
+    constructor(renderer) {
+        super(renderer, [
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    return vec4(vec3(0.5, 0.5, 1.0) * color.a, color.a);",
+            "}"
+        ].join("\n"));
+    }
+}
+
+/**
+ * a shader effect computing the contribution of a light, reading the normals drawn during the lighting normal pass
+ * @ignore
+ */
+export class LightEffect extends ShaderEffect {
+    constructor(renderer) {
+        super(renderer, [
+            "uniform vec4 uLightRect;",
+            "uniform vec3 uLightColor;",
+            "uniform vec2 uRadius;",
+            "uniform float uElevation;",
+            "uniform float uFalloff;",
+            "vec4 apply(vec4 normal, vec2 uv) {",
+            "    vec2 p = (uv - uLightRect.xy) / (uLightRect.zw - uLightRect.xy) * 2.0 - 1.0;",
+            "    float d = length(p);",
+            "    if (d >= 1.0) {",
+            "        return vec4(0.0);",
+            "    }",
+            "    vec3 n = normalize(normal.rgb * 2.0 - 1.0);",
+            "    vec3 l = normalize(vec3(-p.x * uRadius.x, p.y * uRadius.y, uElevation));",
+            "    float attenuation = pow(1.0 - d, uFalloff);",
+            "    return vec4(uLightColor * max(dot(n, l), 0.0) * attenuation, 0.0);",
+            "}"
+        ].join("\n"));
+    }
+}
@@ -0,0 +1,66 @@
+import ShaderEffect from "./shader_effect.js";
+
+/**
+ * @classdesc
+ * a shader effect drawing an outline around the opaque pixels of the renderable.<br>
+ * The outline is drawn within the renderable frame, which should therefore include some transparent margin.
+ * @augments ShaderEffect
+ * @example
+ * mySprite.shader = new me.OutlineEffect(renderer, {
+ *     color : "#FFFF00",
+ *     width : mySprite.image.width,
+ *     height : mySprite.image.height
+ * });
+ */
+export default class OutlineEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} options - effect settings
+     * @param {number} options.width - the width of the texture used by the renderable (see {@link ShaderEffect#setTextureSize})
+     * @param {number} options.height - the height of the texture used by the renderable
+     * @param {Color|string} [options.color="#FFFFFF"] - the outline color
+     * @param {number} [options.thickness=1] - the outline thickness in pixels
+     */
+    constructor(renderer, options = {}) {
+        // neighbouring pixels are sampled based on the texture size
+        if (typeof options.width !== "number" || typeof options.height !== "number") {
+            throw new Error("An outline effect requires the width and height of the texture used by the renderable");
+        }
+        super(renderer, [
+            "uniform vec4 uColor;",
+            "uniform float uThickness;",
+            "uniform vec2 uTextureSize;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    vec2 o = uThickness / uTextureSize;",
+            "    float a = max(",
+            "        max(max(texture2D(uSampler, uv + vec2(o.x, 0.0)).a, texture2D(uSampler, uv - vec2(o.x, 0.0)).a),",
+            "            max(texture2D(uSampler, uv + vec2(0.0, o.y)).a, texture2D(uSampler, uv - vec2(0.0, o.y)).a)),",
+            "        max(max(texture2D(uSampler, uv + o).a, texture2D(uSampler, uv - o).a),",
+            "            max(texture2D(uSampler, uv + vec2(o.x, -o.y)).a, texture2D(uSampler, uv + vec2(-o.x, o.y)).a))",
+            "    );",
+            "    a *= uColor.a;",
+            "    return color + vec4(uColor.rgb * a, a) * (1.0 - color.a);",
+            "}"
+        ].join("\n"));
+
+        this.setColor(options.color || "#FFFFFF");
+        this.setThickness(options.thickness || 1);
+        this.setTextureSize(options.width, options.height);
+    }
+
+    /**
+     * set the outline color
+     * @param {Color|string} color - a color object or a CSS color string
+     */
+    setColor(color) {
+        this.setColorUniform("uColor", color, true);
+    }
+
+    /**
+     * set the outline thickness
+     * @param {number} thickness - the outline thickness in pixels
+     */
+    setThickness(thickness) {
+        this.setUniform("uThickness", thickness);
+    }
+}
@@ -0,0 +1,77 @@
+import ShaderEffect from "./shader_effect.js";
+import pool from "./../../../system/pooling.js";
+
+/**
+ * the maximum number of swapped colors
+ * @ignore
+ */
+const MAX_COLORS = 16;
+
+/**
+ * @classdesc
+ * a shader effect replacing specific colors of the renderable (e.g. team colors or character variants)
+ * @augments ShaderEffect
+ * @example
+ * mySprite.shader = new me.PaletteSwapEffect(renderer, {
+ *     palette : [
+ *         ["#FF0000", "#0000FF"], // red to blue
+ *         ["#800000", "#000080"]  // dark red to dark blue
+ *     ]
+ * });
+ */
+export default class PaletteSwapEffect extends ShaderEffect {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {object} [options] - effect settings
+     * @param {Array<Array<Color|string>>} [options.palette=[]] - a list of [source, replacement] color pairs (up to 16)
+     * @param {number} [options.tolerance=0.01] - the maximum distance between a pixel color and a source color to be replaced
+     */
+    constructor(renderer, options = {}) {
+        super(renderer, [
+            "uniform vec3 uFrom[" + MAX_COLORS + "];",
+            "uniform vec3 uTo[" + MAX_COLORS + "];",
+            "uniform float uCount;",
+            "uniform float uTolerance;",
+            "vec4 apply(vec4 color, vec2 uv) {",
+            "    if (color.a > 0.0) {",
+            "        vec3 rgb = color.rgb / color.a;",
+            "        for (int i = 0; i < " + MAX_COLORS + "; i++) {",
+            "            if (float(i) >= uCount) {",
+            "                break;",
+            "            }",
+            "            if (distance(rgb, uFrom[i]) <= uTolerance) {",
+            "                return vec4(uTo[i] * color.a, color.a);",
+            "            }",
+            "        }",
+            "    }",
+            "    return color;",
+            "}"
+        ].join("\n"));
+
+        this.setUniform("uTolerance", typeof options.tolerance === "number" ? options.tolerance : 0.01);
+        this.setPalette(options.palette || []);
+    }
+
+    /**
+     * set the colors to be swapped
+     * @param {Array<Array<Color|string>>} palette - a list of [source, replacement] color pairs (up to 16)
+     */
+    setPalette(palette) {
+        if (palette.length > MAX_COLORS) {
+            throw new Error("a palette swap effect supports up to " + MAX_COLORS + " colors");
+        }
+        let from = new Float32Array(MAX_COLORS * 3);
+        let to = new Float32Array(MAX_COLORS * 3);
+        let color = pool.pull("Color");
+
+        palette.forEach((pair, i) => {
+            from.set(color.copy(pair[0]).toArray().subarray(0, 3), i * 3);
+            to.set(color.copy(pair[1]).toArray().subarray(0, 3), i * 3);
+        });
+        pool.push(color);
+
+        this.setUniform("uFrom", from);
+        this.setUniform("uTo", to);
+        this.setUniform("uCount", palette.length);
+    }
+}
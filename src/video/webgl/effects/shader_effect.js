@@ -0,0 +1,97 @@
+import GLShader from "../glshader.js";
+import quadVertex from "./../shaders/quad.vert";
+import pool from "./../../../system/pooling.js";
+
+/**
+ * @classdesc
+ * a base class for shader effects, to be used as a {@link Renderable#shader}.<br>
+ * An effect only defines an `apply` GLSL function, transforming the (premultiplied) texture color of each pixel,
+ * the result being then multiplied by the renderable tint and opacity, and blended using the current blend mode.
+ * Renderables sharing the same effect instance are batched together by the {@link QuadCompositor}.
+ * @augments GLShader
+ * @example
+ * // a custom effect inverting colors
+ * let invert = new me.ShaderEffect(renderer, [
+ *     "uniform float uIntensity;",
+ *     "vec4 apply(vec4 color, vec2 uv) {",
+ *     "    return vec4(mix(color.rgb, color.a - color.rgb, uIntensity), color.a);",
+ *     "}"
+ * ].join("\n"));
+ * invert.setUniform("uIntensity", 1.0);
+ * mySprite.shader = invert;
+ */
+export default class ShaderEffect extends GLShader {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {string} fragment - the GLSL source code of the effect uniforms and `vec4 apply(vec4 color, vec2 uv)` function
+     * @param {string} [precision=auto detected] - float precision ('lowp', 'mediump' or 'highp').
+     */
+    constructor(renderer, fragment, precision) {
+        super(renderer.gl, quadVertex, [
+            "uniform sampler2D uSampler;",
+            "varying vec4 vColor;",
+            "varying vec2 vRegion;",
+            fragment,
+            "void main(void) {",
+            "    gl_FragColor = apply(texture2D(uSampler, vRegion), vRegion) * vColor;",
+            "}"
+        ].join("\n"), precision);
+
+        /**
+         * the associated renderer
+         * @type {WebGLRenderer}
+         */
+        this.renderer = renderer;
+    }
+
+    /**
+     * Set the uniform to the given value.<br>
+     * Quads already batched using this effect are drawn first, so that they keep the previous value.
+     * @param {string} name - the uniform name
+     * @param {object|Float32Array} value - the value to assign to that uniform
+     */
+    setUniform(name, value) {
+        let renderer = this.renderer;
+        if (renderer.currentProgram === this.program) {
+            // the texture sampler is managed by the compositor
+            if (name !== "uSampler") {
+                renderer.flush();
+            }
+            super.setUniform(name, value);
+        } else {
+            // temporarily use this program to set the uniform value
+            this.bind();
+            super.setUniform(name, value);
+            if (typeof renderer.currentProgram !== "undefined") {
+                this.gl.useProgram(renderer.currentProgram);
+            }
+        }
+    }
+
+    /**
+     * set a color uniform from the given color
+     * @ignore
+     * @param {string} name - the uniform name
+     * @param {Color|string} color - a color object or a CSS color string
+     * @param {boolean} [alpha=false] - true for a vec4 uniform, including the color alpha
+     */
+    setColorUniform(name, color, alpha = false) {
+        let _color = pool.pull("Color").copy(color);
+        let glArray = _color.toArray();
+        this.setUniform(name, alpha === true ? glArray.slice(0, 4) : glArray.slice(0, 3));
+        pool.push(_color);
+    }
+
+    /**
+     * set the size of the texture used by the renderables, for effects sampling neighbouring pixels
+     * @param {number} width - the texture width in pixels
+     * @param {number} height - the texture height in pixels
+     * @example
+     * outline.setTextureSize(mySprite.image.width, mySprite.image.height);
+     */
+    setTextureSize(width, height) {
+        if (typeof this.uniforms.uTextureSize !== "undefined") {
+            this.setUniform("uTextureSize", [width, height]);
+        }
+    }
+}
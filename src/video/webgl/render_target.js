@@ -0,0 +1,104 @@
+/**
+ * @classdesc
+ * a WebGL render target, allowing to draw into a texture instead of the default framebuffer
+ * @see WebGLRenderer#createRenderTarget
+ * @see WebGLRenderer#setRenderTarget
+ */
+export default class RenderTarget {
+    /**
+     * @param {WebGLRenderer} renderer - the current WebGL renderer session
+     * @param {number} width - the render target width in pixels
+     * @param {number} height - the render target height in pixels
+     */
+    constructor(renderer, width, height) {
+        /**
+         * the associated renderer
+         * @type {WebGLRenderer}
+         */
+        this.renderer = renderer;
+
+        /**
+         * the active gl rendering context
+         * @type {WebGLRenderingContext}
+         */
+        this.gl = renderer.gl;
+
+        /**
+         * the render target width in pixels
+         * @type {number}
+         */
+        this.width = 0;
+
+        /**
+         * the render target height in pixels
+         * @type {number}
+         */
+        this.height = 0;
+
+        /**
+         * the WebGL framebuffer
+         * @type {WebGLFramebuffer}
+         */
+        this.framebuffer = this.gl.createFramebuffer();
+
+        /**
+         * the WebGL texture the render target draws into
+         * @type {WebGLTexture}
+         */
+        this.texture = this.gl.createTexture();
+
+        // stencil buffer, required for masking
+        this.stencilBuffer = this.gl.createRenderbuffer();
+
+        this.resize(width, height);
+    }
+
+    /**
+     * resize the render target (clearing its content)
+     * @param {number} width - the new width in pixels
+     * @param {number} height - the new height in pixels
+     */
+    resize(width, height) {
+        let gl = this.gl;
+        let compositor = this.renderer.compositors.get("quad");
+        let unit = this.renderer.renderTargetUnit;
+
+        this.width = width;
+        this.height = height;
+
+        compositor.bindTexture2D(this.texture, unit);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+
+        gl.bindRenderbuffer(gl.RENDERBUFFER, this.stencilBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height);
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, this.stencilBuffer);
+
+        // release the shared render target texture unit
+        compositor.bindTexture2D(null, unit);
+
+        // restore the active render target
+        this.renderer.bindRenderTarget(this.renderer.currentRenderTarget);
+    }
+
+    /**
+     * destroy this render target resources (framebuffer and texture)
+     */
+    destroy() {
+        let gl = this.gl;
+        if (this.renderer.currentRenderTarget === this) {
+            this.renderer.setRenderTarget();
+        }
+        this.renderer.compositors.get("quad").unbindTexture2D(this.texture);
+        gl.deleteFramebuffer(this.framebuffer);
+        gl.deleteRenderbuffer(this.stencilBuffer);
+        gl.deleteTexture(this.texture);
+        this.framebuffer = this.texture = this.stencilBuffer = null;
+    }
+}
@@ -1,7 +1,15 @@
-uniform sampler2D uSampler;
+uniform sampler2D uSampler[MAX_TEXTURES];
 varying vec4 vColor;
 varying vec2 vRegion;
+varying float vTextureId;
 
 void main(void) {
-    gl_FragColor = texture2D(uSampler, vRegion) * vColor;
+    vec4 color = vec4(0.0);
+    // sample the texture unit used by the current quad
+    for (int i = 0; i < MAX_TEXTURES; i++) {
+        if (abs(float(i) - vTextureId) < 0.5) {
+            color = texture2D(uSampler[i], vRegion);
+        }
+    }
+    gl_FragColor = color * vColor;
 }
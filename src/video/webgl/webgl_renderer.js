@@ -2,6 +2,7 @@ import Color from "./../../math/color.js";
 import Matrix2d from "./../../math/matrix2.js";
 import QuadCompositor from "./compositors/quad_compositor";
 import PrimitiveCompositor from "./compositors/primitive_compositor";
+import RenderTarget from "./render_target.js";
 import Renderer from "./../renderer.js";
 import TextureCache from "./../texture/cache.js";
 import { TextureAtlas, createAtlas } from "./../texture/atlas.js";
@@ -9,6 +10,13 @@ import { renderer } from "./../video.js";
 import * as event from "./../../system/event.js";
 import pool from "./../../system/pooling.js";
 import { isPowerOfTwo } from "./../../math/math.js";
+import { FlatNormalEffect, LightEffect } from "./effects/lighting.js";
+
+// the color of a flat normal (facing the camera) in a normal map
+const FLAT_NORMAL = new Color(128, 128, 255, 1.0);
+
+// the tint used when drawing normals
+const WHITE = new Color(255, 255, 255, 1.0);
 
 /**
  * @classdesc
@@ -67,6 +75,17 @@ export default class WebGLRenderer extends Renderer {
          */
         this.maxTextures = this.gl.getParameter(this.gl.MAX_TEXTURE_IMAGE_UNITS);
 
+        /**
+         * the number of draw calls issued since the beginning of the current frame (for profiling purpose)
+         * @type {number}
+         * @readonly
+         * @example
+         * me.event.on(me.event.GAME_AFTER_DRAW, () => {
+         *     console.log("draw calls: " + me.video.renderer.drawCalls);
+         * });
+         */
+        this.drawCalls = 0;
+
         /**
          * @ignore
          */
@@ -111,6 +130,42 @@ export default class WebGLRenderer extends Renderer {
          */
         this.compositors = new Map();
 
+        /**
+         * the render target currently drawn into, or undefined when drawing to the default framebuffer
+         * @type {RenderTarget}
+         * @see WebGLRenderer#setRenderTarget
+         */
+        this.currentRenderTarget = undefined;
+
+        /**
+         * @ignore
+         */
+        this._renderTargetStack = [];
+
+        /**
+         * the render targets used by post effects
+         * @ignore
+         */
+        this._renderTargetPool = [];
+
+        /**
+         * the normal maps associated to images, used by the lighting pass
+         * @ignore
+         */
+        this.normalMaps = new Map();
+
+        /**
+         * true while drawing the normals of the lighting pass
+         * @type {boolean}
+         * @see WebGLRenderer#beginNormalPass
+         */
+        this.normalPass = false;
+
+        // the render targets and shaders of the lighting pass (created on demand)
+        this._lightingTargets = [];
+        this._flatNormalEffect = undefined;
+        this._lightEffect = undefined;
+
         // bind the vertex buffer
         this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
 
@@ -149,6 +204,9 @@ export default class WebGLRenderer extends Renderer {
         // to use this specific shader instead of the default one
         this.customShader = undefined;
 
+        // the texture unit shared by all render targets (reserved on first use, see `renderTargetUnit`)
+        this._renderTargetUnit = undefined;
+
         // Create a texture cache
         this.cache = new TextureCache(this.maxTextures);
 
@@ -188,6 +246,9 @@ export default class WebGLRenderer extends Renderer {
     reset() {
         super.reset();
 
+        // the texture cache units being cleared, the render target unit is reserved again on next use
+        this._renderTargetUnit = undefined;
+
         // clear all stacks
         this._colorStack.forEach((color) => {
             pool.push(color);
@@ -214,6 +275,18 @@ export default class WebGLRenderer extends Renderer {
         this.currentProgram = undefined;
         this.customShader = undefined;
 
+        // draw to the default framebuffer, the post effects render targets being recreated on demand
+        this.setRenderTarget();
+        this._renderTargetStack.length = 0;
+        this._renderTargetPool.forEach((target) => target.destroy());
+        this._renderTargetPool.length = 0;
+        this._lightingTargets.length = 0;
+        this.normalPass = false;
+        if (this.isContextValid === false) {
+            // the lighting shaders are destroyed on context lost
+            this._flatNormalEffect = this._lightEffect = undefined;
+        }
+
         this.compositors.forEach((compositor) => {
             if (this.isContextValid === false) {
                 // on context lost/restore
@@ -269,6 +342,12 @@ export default class WebGLRenderer extends Renderer {
             }
             // set as the active one
             this.currentCompositor = compositor;
+
+            // shapes are not drawn into the lighting normal pass
+            if (this.normalPass === true) {
+                let draw = name !== "primitive";
+                this.gl.colorMask(draw, draw, draw, draw);
+            }
         }
 
         if (name === "quad" && typeof shader === "object") {
@@ -327,6 +406,354 @@ export default class WebGLRenderer extends Renderer {
         this.currentCompositor.flush();
     }
 
+    /**
+     * the texture unit shared by all render targets, only bound while one is drawn.<br>
+     * The unit is taken from the texture cache free units the first time a render target,
+     * a post effect or a lighting pass is used, and kept until the renderer is reset.
+     * @type {number}
+     * @readonly
+     */
+    get renderTargetUnit() {
+        if (typeof this._renderTargetUnit === "undefined") {
+            this._renderTargetUnit = this.cache.allocateTextureUnit();
+        }
+        return this._renderTargetUnit;
+    }
+
+    /**
+     * create a new render target, to draw into a texture instead of the default framebuffer
+     * @param {number} [width = width of the canvas] - the render target width in pixels
+     * @param {number} [height = height of the canvas] - the render target height in pixels
+     * @returns {RenderTarget} a new render target
+     * @see WebGLRenderer#setRenderTarget
+     * @example
+     * // draw a container into a texture
+     * let target = renderer.createRenderTarget(256, 256);
+     * renderer.setRenderTarget(target);
+     * renderer.clearColor("#000000", false);
+     * container.draw(renderer, viewport);
+     * renderer.setRenderTarget();
+     * // draw the texture on screen
+     * renderer.drawRenderTarget(target, 0, 0);
+     */
+    createRenderTarget(width = this.getCanvas().width, height = this.getCanvas().height) {
+        return new RenderTarget(this, width, height);
+    }
+
+    /**
+     * bind the framebuffer of the given render target (or the default framebuffer)
+     * @ignore
+     */
+    bindRenderTarget(target) {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, typeof target !== "undefined" ? target.framebuffer : null);
+    }
+
+    /**
+     * set the render target the renderer draws into, and the corresponding viewport
+     * @param {RenderTarget} [target] - a render target, or undefined to draw to the default framebuffer
+     */
+    setRenderTarget(target) {
+        if (typeof this.currentCompositor !== "undefined") {
+            this.flush();
+        }
+        this.currentRenderTarget = target;
+        this.bindRenderTarget(target);
+        if (typeof target !== "undefined") {
+            // make sure the target texture is not sampled while drawing into it
+            let compositor = this.compositors.get("quad");
+            if (compositor.getTexture2D(this.renderTargetUnit) === target.texture) {
+                compositor.bindTexture2D(null, this.renderTargetUnit);
+            }
+            this.setViewport(0, 0, target.width, target.height);
+        } else {
+            this.setViewport();
+        }
+    }
+
+    /**
+     * draw the content of the given render target
+     * @param {RenderTarget} target - the render target to draw
+     * @param {number} x - the destination x coordinate
+     * @param {number} y - the destination y coordinate
+     * @param {number} [width=target.width] - the destination width
+     * @param {number} [height=target.height] - the destination height
+     * @param {GLShader} [shader] - an optional shader to be used instead of the default one (see {@link WebGLRenderer#beginPostEffects})
+     */
+    drawRenderTarget(target, x, y, width = target.width, height = target.height, shader = this.customShader) {
+        if (target === this.currentRenderTarget) {
+            throw new Error("a render target cannot be drawn into itself");
+        }
+        this.setCompositor("quad", shader);
+        let compositor = this.currentCompositor;
+        // set the optional target resolution uniform
+        if (typeof compositor.currentShader.uniforms.uResolution !== "undefined") {
+            compositor.currentShader.setUniform("uResolution", [target.width, target.height]);
+        }
+        // the render target texture is vertically flipped
+        compositor.addTexture2DQuad(
+            target.texture, this.renderTargetUnit, x, y, width, height, 0, 1, 1, 0,
+            this.currentTint.toUint32(this.getGlobalAlpha())
+        );
+    }
+
+    /**
+     * return an available post effect render target, matching the canvas size
+     * @ignore
+     */
+    pullRenderTarget() {
+        let canvas = this.getCanvas();
+        let target = this._renderTargetPool.pop();
+        if (typeof target === "undefined") {
+            target = this.createRenderTarget(canvas.width, canvas.height);
+        } else if (target.width !== canvas.width || target.height !== canvas.height) {
+            target.resize(canvas.width, canvas.height);
+        }
+        return target;
+    }
+
+    /**
+     * start drawing into an offscreen render target, to be processed by the given post effects when calling `endPostEffects()`
+     * (automatically called when drawing a Camera2d or Container with post effects)
+     * @param {GLShader[]} effects - the list of post effect shaders
+     * @see Container#postEffects
+     * @see Camera2d#postEffects
+     */
+    beginPostEffects(effects) {
+        if (effects.length === 0 || this.normalPass === true) {
+            return;
+        }
+        this._renderTargetStack.push(this.currentRenderTarget);
+        this.setRenderTarget(this.pullRenderTarget());
+        this.clearColor("rgba(0,0,0,0)", false);
+    }
+
+    /**
+     * apply the given post effects to the content drawn since `beginPostEffects()`, each pass reading the previous pass texture,
+     * and draw the result into the previous render target (or the default framebuffer).<br>
+     * Post effect shaders use the same vertex attributes (`aVertex`, `aRegion`, `aColor`) as the default quad shader and a single `uSampler` texture sampler,
+     * and the optional `uResolution` (vec2) uniform is set to the render target size.
+     * @param {GLShader[]} effects - the list of post effect shaders
+     */
+    endPostEffects(effects) {
+        if (effects.length === 0 || this.normalPass === true) {
+            return;
+        }
+
+        let source = this.currentRenderTarget;
+        // draw the full screen passes in the render targets pixel coordinates
+        let state = this.beginScreenSpace(source.width, source.height);
+
+        for (let i = 0; i < effects.length; i++) {
+            let last = i === effects.length - 1;
+            let dest = last ? this._renderTargetStack.pop() : this.pullRenderTarget();
+
+            this.setRenderTarget(dest);
+            if (!last) {
+                this.clearColor("rgba(0,0,0,0)", false);
+            }
+            this.drawRenderTarget(source, 0, 0, source.width, source.height, effects[i]);
+            this.flush();
+
+            this._renderTargetPool.push(source);
+            source = dest;
+        }
+
+        this.endScreenSpace(state);
+    }
+
+    /**
+     * save the current transform, projection, blend mode and alpha, and set them to draw full screen quads
+     * in the given render target size
+     * @ignore
+     */
+    beginScreenSpace(width, height) {
+        let state = {
+            transform : pool.pull("Matrix2d", this.currentTransform),
+            projection : pool.pull("Matrix3d", this.projectionMatrix),
+            blendMode : this.currentBlendMode,
+            alpha : this.getGlobalAlpha()
+        };
+        let ortho = pool.pull("Matrix3d").ortho(0, width, height, 0, -1, 1);
+
+        this.flush();
+        this.currentTransform.identity();
+        this.setProjection(ortho);
+        pool.push(ortho);
+        this.setBlendMode("normal");
+        this.setGlobalAlpha(1);
+
+        return state;
+    }
+
+    /**
+     * restore the renderer state saved by `beginScreenSpace()`
+     * @ignore
+     */
+    endScreenSpace(state) {
+        this.flush();
+        this.setBlendMode(state.blendMode);
+        this.setGlobalAlpha(state.alpha);
+        this.currentTransform.copy(state.transform);
+        pool.push(state.transform);
+        this.setProjection(state.projection);
+        pool.push(state.projection);
+        // restore the default shader
+        this.setCompositor("quad");
+    }
+
+    /**
+     * associate a normal map to the given image, used when drawing the image during the lighting normal pass.
+     * The normal map must have the same size and layout as the image (e.g. a whole spritesheet or texture atlas).
+     * @param {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} image - the source image
+     * @param {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} [normalMap] - the corresponding normal map, or undefined to remove it
+     * @see Stage#dynamicLighting
+     * @example
+     * renderer.setNormalMap(me.loader.getImage("player"), me.loader.getImage("player_n"));
+     */
+    setNormalMap(image, normalMap) {
+        if (typeof normalMap === "undefined") {
+            this.normalMaps.delete(image);
+        } else {
+            this.normalMaps.set(image, normalMap);
+        }
+    }
+
+    /**
+     * return the normal map associated to the given image
+     * @param {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas} image - the source image
+     * @returns {HTMLImageElement|HTMLCanvasElement|OffscreenCanvas|undefined} the corresponding normal map, if any
+     */
+    getNormalMap(image) {
+        return this.normalMaps.get(image);
+    }
+
+    /**
+     * start the lighting pass, drawing the scene into an offscreen render target
+     * (automatically called by the current stage when `dynamicLighting` is enabled)
+     * @see Stage#dynamicLighting
+     */
+    beginLighting() {
+        this._renderTargetStack.push(this.currentRenderTarget);
+        this._lightingTargets.push(this.pullRenderTarget());
+        this.setRenderTarget(this._lightingTargets[0]);
+        this.clearColor("rgba(0,0,0,0)", false);
+    }
+
+    /**
+     * start drawing the scene normals of the lighting pass, images being replaced by their normal map
+     * (or a flat normal if none), and shapes being ignored
+     * @see WebGLRenderer#setNormalMap
+     */
+    beginNormalPass() {
+        this._lightingTargets.push(this.pullRenderTarget());
+        this.setRenderTarget(this._lightingTargets[1]);
+        this.setCompositor("quad");
+        this.normalPass = true;
+        this.clearColor();
+    }
+
+    /**
+     * draw the lighting of the scene drawn since `beginLighting()`, based on the given lights and ambient light,
+     * into the previous render target (or the default framebuffer)
+     * @param {Map<Light2d>|Light2d[]} lights - the lights to apply
+     * @param {Color} ambient - the ambient light, its alpha component defining how much unlit areas are darkened
+     */
+    endLighting(lights, ambient) {
+        let scene = this._lightingTargets[0];
+        let normals = this._lightingTargets[1];
+        let lightmap = this.pullRenderTarget();
+        let gl = this.gl;
+        let a = ambient.toArray();
+
+        this.flush();
+        this.normalPass = false;
+        this.gl.colorMask(true, true, true, true);
+        this.setRenderTarget(lightmap);
+
+        // the light level of unlit areas
+        gl.clearColor(1 + (a[0] - 1) * a[3], 1 + (a[1] - 1) * a[3], 1 + (a[2] - 1) * a[3], 1.0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        // accumulate the lights contribution
+        if (typeof this._lightEffect === "undefined") {
+            this._lightEffect = new LightEffect(this);
+        }
+        let blendMode = this.currentBlendMode;
+        this.setBlendMode("additive");
+        this.setCompositor("quad", this._lightEffect);
+        lights.forEach((light) => {
+            this.drawLight(light, normals);
+        });
+        this.setBlendMode(blendMode);
+
+        // draw the scene, multiplied by the light map
+        this.setRenderTarget(this._renderTargetStack.pop());
+        let state = this.beginScreenSpace(scene.width, scene.height);
+        let defaultShader = this.compositors.get("quad").defaultShader;
+        this.drawRenderTarget(scene, 0, 0, scene.width, scene.height, defaultShader);
+        this.setBlendMode("multiply");
+        this.drawRenderTarget(lightmap, 0, 0, scene.width, scene.height, defaultShader);
+        this.endScreenSpace(state);
+
+        this._renderTargetPool.push(scene, normals, lightmap);
+        this._lightingTargets.length = 0;
+    }
+
+    /**
+     * return the shader used to draw flat normals
+     * @ignore
+     */
+    getFlatNormalEffect() {
+        if (typeof this._flatNormalEffect === "undefined") {
+            this._flatNormalEffect = new FlatNormalEffect(this);
+        }
+        return this._flatNormalEffect;
+    }
+
+    /**
+     * draw the contribution of the given light into the light map
+     * @ignore
+     */
+    drawLight(light, normals) {
+        let bounds = light.getBounds();
+        let effect = this._lightEffect;
+        let topLeft = pool.pull("Vector2d", bounds.left, bounds.top);
+        let bottomRight = pool.pull("Vector2d", bounds.right, bounds.bottom);
+
+        // the light area in the normals texture coordinates
+        [topLeft, bottomRight].forEach((v) => {
+            this.projectionMatrix.apply(this.currentTransform.apply(v));
+            v.set((v.x + 1) / 2, (v.y + 1) / 2);
+        });
+
+        // restrict the light to its visibility polygon
+        if (light.castShadows === true) {
+            this.setMask(light.getVisibleArea());
+            this.setCompositor("quad", effect);
+        }
+
+        let c = light.color.toArray();
+        effect.setUniform("uLightRect", [topLeft.x, topLeft.y, bottomRight.x, bottomRight.y]);
+        effect.setUniform("uLightColor", [c[0] * light.intensity, c[1] * light.intensity, c[2] * light.intensity]);
+        effect.setUniform("uRadius", [light.radiusX, light.radiusY]);
+        effect.setUniform("uElevation", light.elevation);
+        effect.setUniform("uFalloff", light.falloff);
+
+        this.currentCompositor.addTexture2DQuad(
+            normals.texture, this.renderTargetUnit,
+            bounds.left, bounds.top, bounds.width, bounds.height,
+            topLeft.x, topLeft.y, bottomRight.x, bottomRight.y,
+            WHITE.toUint32(1.0)
+        );
+
+        if (light.castShadows === true) {
+            this.clearMask();
+        }
+
+        pool.push(topLeft);
+        pool.push(bottomRight);
+    }
+
     /**
      * set/change the current projection matrix (WebGL only)
      * @param {Matrix3d} matrix - the new projection matrix
@@ -352,6 +779,7 @@ export default class WebGLRenderer extends Renderer {
      */
     clear() {
         let gl = this.gl;
+        this.drawCalls = 0;
         gl.clearColor(0, 0, 0, this.settings.transparent ? 0.0 : 1.0);
         if (this.depthTest === "z-buffer") {
             gl.clear(gl.DEPTH_BUFFER_BIT | gl.COLOR_BUFFER_BIT | gl.STENCIL_BUFFER_BIT);
@@ -369,6 +797,12 @@ export default class WebGLRenderer extends Renderer {
         let glArray;
         let gl = this.gl;
 
+        // the normal pass is cleared with flat normals
+        if (this.normalPass === true) {
+            color = FLAT_NORMAL;
+            opaque = true;
+        }
+
         if (color instanceof Color) {
             glArray = color.toArray();
         } else {
@@ -442,6 +876,11 @@ export default class WebGLRenderer extends Renderer {
             dy |= 0;
         }
 
+        if (this.normalPass === true) {
+            this.drawNormals(image, sx, sy, sw, sh, dx, dy, dw, dh);
+            return;
+        }
+
         this.setCompositor("quad");
 
         let texture = this.cache.get(image);
@@ -449,6 +888,25 @@ export default class WebGLRenderer extends Renderer {
         this.currentCompositor.addQuad(texture, dx, dy, dw, dh, uvs[0], uvs[1], uvs[2], uvs[3], this.currentTint.toUint32(this.getGlobalAlpha()));
     }
 
+    /**
+     * draw the normal map of the given image (or flat normals if none) during the lighting normal pass
+     * @ignore
+     */
+    drawNormals(image, sx, sy, sw, sh, dx, dy, dw, dh) {
+        let normalMap = this.normalMaps.get(image);
+
+        if (typeof normalMap !== "undefined") {
+            this.setCompositor("quad", this.compositors.get("quad").defaultShader);
+            image = normalMap;
+        } else {
+            this.setCompositor("quad", this.getFlatNormalEffect());
+        }
+
+        let texture = this.cache.get(image);
+        let uvs = texture.getUVs(sx + "," + sy + "," + sw + "," + sh);
+        this.currentCompositor.addQuad(texture, dx, dy, dw, dh, uvs[0], uvs[1], uvs[2], uvs[3], WHITE.toUint32(this.getGlobalAlpha()));
+    }
+
     /**
      * Draw a pattern within the given rectangle.
      * @param {TextureAtlas} pattern - Pattern object
@@ -460,6 +918,12 @@ export default class WebGLRenderer extends Renderer {
      */
     drawPattern(pattern, x, y, width, height) {
         let uvs = pattern.getUVs("0,0," + width + "," + height);
+        if (this.normalPass === true) {
+            // patterns are drawn as flat normals
+            this.setCompositor("quad", this.getFlatNormalEffect());
+            this.currentCompositor.addQuad(pattern, x, y, width, height, uvs[0], uvs[1], uvs[2], uvs[3], WHITE.toUint32(this.getGlobalAlpha()));
+            return;
+        }
         this.setCompositor("quad");
         this.currentCompositor.addQuad(pattern, x, y, width, height, uvs[0], uvs[1], uvs[2], uvs[3], this.currentTint.toUint32(this.getGlobalAlpha()));
     }
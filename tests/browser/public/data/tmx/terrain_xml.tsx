@@ -0,0 +1,39 @@
+<?xml version="1.0" encoding="UTF-8"?>
+<tileset version="1.10" tiledversion="1.10.2" name="terrain_xml" tilewidth="16" tileheight="16" tilecount="16" columns="4">
+ <image source="terrain.png" width="64" height="64"/>
+ <tile id="1">
+  <objectgroup draworder="index">
+   <object id="1" x="0" y="0" width="16" height="16"/>
+  </objectgroup>
+ </tile>
+ <tile id="2">
+  <objectgroup draworder="index">
+   <object id="1" x="0" y="8" width="16" height="8">
+    <properties>
+     <property name="oneWay" value="up"/>
+    </properties>
+   </object>
+  </objectgroup>
+ </tile>
+ <wangsets>
+  <wangset name="Ground" type="corner" tile="-1">
+   <wangcolor name="Grass" color="#00ff00" tile="15" probability="1"/>
+   <wangtile tileid="0" wangid="0,0,0,0,0,0,0,0"/>
+   <wangtile tileid="1" wangid="0,0,0,0,0,0,0,1"/>
+   <wangtile tileid="2" wangid="0,1,0,0,0,0,0,0"/>
+   <wangtile tileid="3" wangid="0,1,0,0,0,0,0,1"/>
+   <wangtile tileid="4" wangid="0,0,0,1,0,0,0,0"/>
+   <wangtile tileid="5" wangid="0,0,0,1,0,0,0,1"/>
+   <wangtile tileid="6" wangid="0,1,0,1,0,0,0,0"/>
+   <wangtile tileid="7" wangid="0,1,0,1,0,0,0,1"/>
+   <wangtile tileid="8" wangid="0,0,0,0,0,1,0,0"/>
+   <wangtile tileid="9" wangid="0,0,0,0,0,1,0,1"/>
+   <wangtile tileid="10" wangid="0,1,0,0,0,1,0,0"/>
+   <wangtile tileid="11" wangid="0,1,0,0,0,1,0,1"/>
+   <wangtile tileid="12" wangid="0,0,0,1,0,1,0,0"/>
+   <wangtile tileid="13" wangid="0,0,0,1,0,1,0,1"/>
+   <wangtile tileid="14" wangid="0,1,0,1,0,1,0,0"/>
+   <wangtile tileid="15" wangid="0,1,0,1,0,1,0,1"/>
+  </wangset>
+ </wangsets>
+</tileset>
@@ -16,3 +16,242 @@ describe("Physics : me.Body", function () {
         });
     });
 });
+
+describe("Physics : continuous collision detection", function () {
+    var world, wall;
+
+    function createBullet(bullet) {
+        var renderable = new me.Renderable(0, 10, 4, 4);
+        renderable.alwaysUpdate = true;
+        renderable.body = new me.Body(renderable, new me.Rect(0, 0, 4, 4));
+        renderable.body.ignoreGravity = true;
+        renderable.body.bullet = bullet;
+        renderable.body.vel.set(100, 0);
+        world.addChild(renderable);
+        return renderable;
+    }
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        wall = new me.Renderable(50, 0, 2, 100);
+        wall.body = new me.Body(wall, new me.Rect(0, 0, 2, 100));
+        wall.body.setStatic(true);
+        world.addChild(wall);
+        world.broadphase.insert(wall);
+    });
+
+    it("fast bodies pass through thin walls without ccd", function () {
+        var bullet = createBullet(false);
+        world.step(16);
+        expect(bullet.pos.x).toEqual(100);
+    });
+
+    it("bullet bodies are stopped at the earliest time of impact", function () {
+        var bullet = createBullet(true);
+        world.step(16);
+        expect(bullet.pos.x).toBeLessThanOrEqual(46);
+        expect(bullet.pos.x).toBeGreaterThan(40);
+        expect(bullet.body.prevPos.x).toEqual(0);
+    });
+
+    it("bullet bodies keep their depth", function () {
+        var bullet = createBullet(true);
+        bullet.pos.z = 5;
+        world.step(16);
+        expect(bullet.pos.x).toBeLessThanOrEqual(46);
+        expect(bullet.pos.z).toEqual(5);
+    });
+});
+
+describe("Physics : body sleeping", function () {
+    var world, ground, box;
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        world.allowSleep = true;
+        world.timeToSleep = 100;
+        ground = new me.Renderable(0, 100, 200, 20);
+        ground.body = new me.Body(ground, new me.Rect(0, 0, 200, 20));
+        ground.body.setStatic(true);
+        world.addChild(ground);
+        box = new me.Renderable(50, 84, 16, 16);
+        box.alwaysUpdate = true;
+        // make the box solid
+        box.onCollision = function () {
+            return true;
+        };
+        box.body = new me.Body(box, new me.Rect(0, 0, 16, 16));
+        world.addChild(box);
+        world.broadphase.insert(ground);
+    });
+
+    it("resting bodies fall asleep", function () {
+        var slept = 0;
+        var onSleep = function (body) {
+            if (body === box.body) {
+                slept++;
+            }
+        };
+        me.event.on(me.event.BODY_SLEEP, onSleep);
+        for (var i = 0; i < 10; i++) {
+            world.step(16);
+        }
+        me.event.off(me.event.BODY_SLEEP, onSleep);
+        expect(box.body.isSleeping).toEqual(true);
+        expect(world.sleepingBodies).toEqual(1);
+        expect(slept).toEqual(1);
+        expect(box.pos.y).toBeCloseTo(84, 0);
+    });
+
+    it("sleeping bodies wake up when a force is applied", function () {
+        for (var i = 0; i < 10; i++) {
+            world.step(16);
+        }
+        expect(box.body.isSleeping).toEqual(true);
+        box.body.force.set(2, 0);
+        world.step(16);
+        expect(box.body.isSleeping).toEqual(false);
+        expect(box.pos.x).toBeGreaterThan(50);
+    });
+
+    it("bodies do not sleep when disabled", function () {
+        box.body.allowSleep = false;
+        for (var i = 0; i < 10; i++) {
+            world.step(16);
+        }
+        expect(box.body.isSleeping).toEqual(false);
+        expect(world.sleepingBodies).toEqual(0);
+    });
+});
+
+describe("Physics : per-shape collision settings", function () {
+    var world, platform, player, collided;
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        platform = new me.Renderable(0, 100, 200, 8);
+        platform.body = new me.Body(platform);
+        platform.body.addShape(new me.Rect(0, 0, 200, 8), { oneWay: "up" });
+        platform.body.setStatic(true);
+        world.addChild(platform);
+        world.broadphase.insert(platform);
+        player = new me.Renderable(50, 80, 16, 16);
+        player.alwaysUpdate = true;
+        player.body = new me.Body(player, new me.Rect(0, 0, 16, 16));
+        player.body.ignoreGravity = true;
+        collided = false;
+        player.onCollision = function () {
+            collided = true;
+            return true;
+        };
+        world.addChild(player);
+    });
+
+    it("one-way shapes stop bodies landing on them", function () {
+        player.body.vel.set(0, 6);
+        world.step(16);
+        expect(collided).toEqual(true);
+        expect(player.pos.y).toBeCloseTo(84, 0);
+    });
+
+    it("one-way shapes let bodies pass through from below", function () {
+        player.pos.set(50, 106);
+        player.body.vel.set(0, -6);
+        world.step(16);
+        expect(collided).toEqual(false);
+        expect(player.pos.y).toEqual(100);
+    });
+
+    it("sensor shapes report collisions without resolving them", function () {
+        platform.body.setShapeSettings(0, { oneWay: false, isSensor: true });
+        player.body.vel.set(0, 6);
+        world.step(16);
+        expect(collided).toEqual(true);
+        expect(player.pos.y).toEqual(86);
+    });
+
+    it("shape collision masks filter collisions", function () {
+        platform.body.setShapeSettings(0, { collisionMask: me.collision.types.ENEMY_OBJECT });
+        player.body.collisionType = me.collision.types.PLAYER_OBJECT;
+        player.body.vel.set(0, 6);
+        world.step(16);
+        expect(collided).toEqual(false);
+        expect(platform.body.getShapeSettings(0).collisionMask).toEqual(me.collision.types.ENEMY_OBJECT);
+    });
+
+    it("shape settings are read from JSON definitions", function () {
+        var body = new me.Body(new me.Renderable(0, 0, 10, 10));
+        body.fromJSON([{
+            shape: [new me.Vector2d(0, 0), new me.Vector2d(10, 0), new me.Vector2d(10, 10)],
+            isSensor: true,
+            oneWay: "down"
+        }]);
+        expect(body.getShapeSettings(0).isSensor).toEqual(true);
+        expect(body.getShapeSettings(0).oneWay.y).toEqual(1);
+    });
+});
+
+describe("Physics : collision lifecycle", function () {
+    var world, plate, box, calls;
+
+    beforeEach(function () {
+        calls = [];
+        world = new me.World(0, 0, 1000, 1000);
+        plate = new me.Renderable(0, 100, 100, 10);
+        plate.body = new me.Body(plate, new me.Rect(0, 0, 100, 10));
+        plate.body.setStatic(true);
+        plate.onCollisionStart = function (response, other) {
+            calls.push("start:" + (other === box));
+        };
+        plate.onCollisionActive = function () {
+            calls.push("active");
+        };
+        plate.onCollisionEnd = function (other) {
+            calls.push("end:" + (other === box));
+        };
+        world.addChild(plate);
+        world.broadphase.insert(plate);
+
+        box = new me.Renderable(40, 92, 10, 10);
+        box.alwaysUpdate = true;
+        box.body = new me.Body(box, new me.Rect(0, 0, 10, 10));
+        box.body.ignoreGravity = true;
+        world.addChild(box);
+    });
+
+    it("triggers start, active and end callbacks once per contact", function () {
+        world.step(16);
+        world.step(16);
+        world.step(16);
+        expect(calls).toEqual(["start:true", "active", "active"]);
+        // move the box away
+        box.pos.y = 0;
+        world.step(16);
+        world.step(16);
+        expect(calls).toEqual(["start:true", "active", "active", "end:true"]);
+    });
+
+    it("emits the matching global events", function () {
+        var events = [];
+        var onStart = function (a, b) {
+            events.push("start:" + (a === box && b === plate));
+        };
+        var onEnd = function (a, b) {
+            events.push("end:" + (a === box && b === plate));
+        };
+        me.event.on(me.event.COLLISION_START, onStart);
+        me.event.on(me.event.COLLISION_END, onEnd);
+        world.step(16);
+        box.pos.y = 0;
+        world.step(16);
+        me.event.off(me.event.COLLISION_START, onStart);
+        me.event.off(me.event.COLLISION_END, onEnd);
+        expect(events).toEqual(["start:true", "end:true"]);
+    });
+
+    it("ends contacts when a body is removed from the world", function () {
+        world.step(16);
+        world.removeChildNow(box);
+        expect(calls).toEqual(["start:true", "end:true"]);
+    });
+});
@@ -0,0 +1,125 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("Physics : me.CharacterBody", function () {
+    var world, player;
+
+    function addStatic(x, y, shape) {
+        var renderable = new me.Renderable(x, y, 1, 1);
+        renderable.body = new me.Body(renderable, shape);
+        renderable.body.setStatic(true);
+        renderable.onCollision = function () {
+            return true;
+        };
+        world.addChild(renderable);
+        world.broadphase.insert(renderable);
+        return renderable;
+    }
+
+    function step(count) {
+        for (var i = 0; i < count; i++) {
+            world.step(16);
+        }
+    }
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        player = new me.Renderable(100, 60, 16, 32);
+        player.alwaysUpdate = true;
+        player.body = new me.CharacterBody(player, new me.Rect(0, 0, 16, 32), { stepHeight : 8 });
+        player.body.setMaxVelocity(3, 15);
+        player.onCollision = function () {
+            return true;
+        };
+        world.addChild(player);
+        // flat ground from x = 0 to 200, top at y = 100
+        addStatic(0, 100, new me.Rect(0, 0, 200, 20));
+    });
+
+    it("lands on the ground and emits grounded/airborne events", function () {
+        var grounded = 0, airborne = 0;
+        var onGrounded = function (body) {
+            if (body === player.body) grounded++;
+        };
+        var onAirborne = function (body) {
+            if (body === player.body) airborne++;
+        };
+        me.event.on(me.event.BODY_GROUNDED, onGrounded);
+        me.event.on(me.event.BODY_AIRBORNE, onAirborne);
+
+        step(20);
+        expect(player.body.isGrounded).toEqual(true);
+        expect(player.pos.y + 32).toBeCloseTo(100, 0);
+        expect(grounded).toEqual(1);
+
+        expect(player.body.jump(10)).toEqual(true);
+        // no double jump
+        expect(player.body.jump(10)).toEqual(false);
+        step(1);
+        expect(player.body.isGrounded).toEqual(false);
+        expect(airborne).toEqual(1);
+
+        me.event.off(me.event.BODY_GROUNDED, onGrounded);
+        me.event.off(me.event.BODY_AIRBORNE, onAirborne);
+    });
+
+    it("walks down slopes without leaving the ground", function () {
+        // 30 degrees slope going down from (200, 100) to (400, 215)
+        addStatic(200, 100, new me.Polygon(0, 0, [
+            new me.Vector2d(0, 0),
+            new me.Vector2d(200, 115),
+            new me.Vector2d(0, 115)
+        ]));
+        player.pos.x = 170;
+        step(20);
+        expect(player.body.isGrounded).toEqual(true);
+
+        var airborne = false;
+        for (var i = 0; i < 40; i++) {
+            player.body.vel.x = 3;
+            world.step(16);
+            airborne = airborne || !player.body.isGrounded;
+        }
+        expect(airborne).toEqual(false);
+        expect(player.pos.x).toBeGreaterThan(250);
+        expect(player.body.groundNormal.x).toBeGreaterThan(0);
+    });
+
+    it("steps up small obstacles", function () {
+        addStatic(130, 94, new me.Rect(0, 0, 60, 6));
+        step(20);
+        for (var i = 0; i < 10; i++) {
+            player.body.vel.x = 2;
+            world.step(16);
+        }
+        expect(player.pos.x).toEqual(120);
+        expect(player.pos.y + 32).toBeCloseTo(94, 0);
+    });
+
+    it("can still jump shortly after walking off a ledge", function () {
+        player.pos.x = 180;
+        step(20);
+        // walk off the right edge of the ground
+        while (player.body.isGrounded) {
+            player.body.vel.x = 3;
+            world.step(16);
+        }
+        expect(player.body.canJump()).toEqual(true);
+        step(10);
+        expect(player.body.canJump()).toEqual(false);
+        expect(player.body.jump()).toEqual(false);
+    });
+
+    it("is carried along by moving platforms", function () {
+        var platform = addStatic(300, 200, new me.Rect(0, 0, 100, 10));
+        player.pos.set(330, 160, 0);
+        step(20);
+        expect(player.body.ground).toBe(platform);
+        for (var i = 0; i < 10; i++) {
+            platform.pos.x += 2;
+            world.step(16);
+        }
+        expect(player.pos.x).toBeGreaterThanOrEqual(348);
+        expect(player.body.isGrounded).toEqual(true);
+    });
+});
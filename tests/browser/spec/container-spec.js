@@ -112,4 +112,37 @@ describe("me.Container", function () {
             expect(counter).toEqual(3);
         });
     });
+
+    describe("post effects", function () {
+        it("draws the children between the post effects calls", function () {
+            var calls = [];
+            var effect = {};
+            var renderer = {
+                translate : function () {},
+                clearColor : function () {},
+                beginPostEffects : function (effects) {
+                    calls.push(["begin", effects]);
+                },
+                endPostEffects : function (effects) {
+                    calls.push(["end", effects]);
+                }
+            };
+            var child = new Renderable(0, 0, 10, 10);
+            child.inViewport = true;
+            child.preDraw = child.postDraw = function () {};
+            child.draw = function () {
+                calls.push(["draw"]);
+            };
+            container.addChild(child);
+
+            // no post effect
+            container.draw(renderer);
+            expect(calls).toEqual([["draw"]]);
+
+            calls.length = 0;
+            container.postEffects.push(effect);
+            container.draw(renderer);
+            expect(calls).toEqual([["begin", [effect]], ["draw"], ["end", [effect]]]);
+        });
+    });
 });
@@ -0,0 +1,79 @@
+import { expect } from "expect";
+
+describe("Shader effects", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/webgl_test.html", {'waitUntil':'load'});
+        await page.evaluate(() => {
+            // return the current value of the given effect uniform
+            globalThis.getUniform = function (effect, name) {
+                var gl = globalThis.renderer.gl;
+                var value = gl.getUniform(effect.program, gl.getUniformLocation(effect.program, name));
+                return typeof value === "number" ? value : Array.from(value);
+            };
+        });
+    });
+
+    it("should create all built-in effects", async () => {
+        expect(await page.evaluate(() => {
+            var me = globalThis.me;
+            var renderer = globalThis.renderer;
+            return [
+                new me.FlashEffect(renderer),
+                new me.OutlineEffect(renderer, { width : 64, height : 32 }),
+                new me.DissolveEffect(renderer),
+                new me.HueShiftEffect(renderer),
+                new me.GrayscaleEffect(renderer),
+                new me.PaletteSwapEffect(renderer, { palette : [["#FF0000", "#0000FF"]] }),
+                new me.DropShadowEffect(renderer, { width : 64, height : 32 })
+            ].every((effect) => effect instanceof me.ShaderEffect && effect.program instanceof WebGLProgram);
+        })).toEqual(true);
+    });
+
+    it("should set the effect uniforms", async () => {
+        expect(await page.evaluate(() => {
+            var me = globalThis.me;
+            var renderer = globalThis.renderer;
+            var flash = new me.FlashEffect(renderer, { color : "#FF0000", intensity : 0.5 });
+            var grayscale = new me.GrayscaleEffect(renderer);
+            grayscale.setIntensity(0.25);
+            return [
+                globalThis.getUniform(flash, "uColor"),
+                globalThis.getUniform(flash, "uIntensity"),
+                globalThis.getUniform(grayscale, "uIntensity")
+            ];
+        })).toEqual([[1, 0, 0], 0.5, 0.25]);
+    });
+
+    it("should set the texture size of effects sampling neighbouring pixels", async () => {
+        expect(await page.evaluate(() => {
+            var me = globalThis.me;
+            var renderer = globalThis.renderer;
+            var outline = new me.OutlineEffect(renderer, { width : 64, height : 32, thickness : 2 });
+            var shadow = new me.DropShadowEffect(renderer, { width : 16, height : 8 });
+            shadow.setTextureSize(128, 64);
+            return [
+                globalThis.getUniform(outline, "uTextureSize"),
+                globalThis.getUniform(outline, "uThickness"),
+                globalThis.getUniform(shadow, "uTextureSize")
+            ];
+        })).toEqual([[64, 32], 2, [128, 64]]);
+    });
+
+    it("should require the texture size of effects sampling neighbouring pixels", async () => {
+        expect(await page.evaluate(() => {
+            var me = globalThis.me;
+            var renderer = globalThis.renderer;
+            return [me.OutlineEffect, me.DropShadowEffect].map((Effect) => {
+                try {
+                    new Effect(renderer, { color : "#FFFFFF" });
+                } catch (e) {
+                    return true;
+                }
+                return false;
+            });
+        })).toEqual([true, true]);
+    });
+});
@@ -0,0 +1,126 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("Physics : me.Joint", function () {
+    var world;
+
+    function createBody(x, y) {
+        var renderable = new me.Renderable(x, y, 16, 16);
+        renderable.alwaysUpdate = true;
+        renderable.body = new me.Body(renderable, new me.Rect(0, 0, 16, 16));
+        world.addBody(renderable.body);
+        return renderable;
+    }
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        world.gravity.set(0, 1);
+    });
+
+    it("distance joint keeps a body at a fixed distance from a world anchor", function () {
+        var a = createBody(100, 100);
+        var joint = new me.DistanceJoint(a.body, undefined, {
+            anchorB: new me.Vector2d(100, 50)
+        });
+        expect(joint.length).toEqual(50);
+        world.addJoint(joint);
+        for (var i = 0; i < 10; i++) {
+            world.step(16);
+        }
+        expect(joint.getCurrentLength()).toBeCloseTo(50, 3);
+        expect(a.body.vel.y).toBeCloseTo(0, 3);
+    });
+
+    it("distance joint splits the correction between two bodies", function () {
+        var a = createBody(0, 0);
+        var b = createBody(100, 0);
+        world.gravity.set(0, 0);
+        var joint = new me.DistanceJoint(a.body, b.body, { length: 50 });
+        world.addJoint(joint);
+        world.step(16);
+        expect(a.pos.x).toBeCloseTo(25, 3);
+        expect(b.pos.x).toBeCloseTo(75, 3);
+    });
+
+    it("position correction keeps the bodies draw order", function () {
+        var a = createBody(0, 0);
+        var b = createBody(100, 0);
+        a.pos.z = 5;
+        b.pos.z = 3;
+        world.addJoint(new me.DistanceJoint(a.body, b.body, { length: 50 }));
+        world.step(16);
+        expect(a.pos.x).toBeGreaterThan(0);
+        expect(a.pos.z).toEqual(5);
+        expect(b.pos.z).toEqual(3);
+    });
+
+    it("rope joint only constrains the maximum length", function () {
+        var a = createBody(100, 100);
+        var joint = new me.RopeJoint(a.body, undefined, {
+            anchorB: new me.Vector2d(100, 0),
+            length: 150
+        });
+        world.addJoint(joint);
+        world.step(16);
+        // still falling freely
+        expect(a.pos.y).toBeGreaterThan(100);
+        for (var i = 0; i < 50; i++) {
+            world.step(16);
+        }
+        expect(joint.getCurrentLength()).toBeCloseTo(150, 3);
+    });
+
+    it("spring joint pulls bodies toward the rest length", function () {
+        var a = createBody(0, 0);
+        world.gravity.set(0, 0);
+        var joint = new me.SpringJoint(a.body, undefined, {
+            anchorB: new me.Vector2d(100, 0),
+            length: 20
+        });
+        world.addJoint(joint);
+        world.step(16);
+        expect(a.body.vel.x).toBeGreaterThan(0);
+    });
+
+    it("revolute joint pins both anchors together", function () {
+        var a = createBody(0, 0);
+        var b = createBody(40, 10);
+        b.body.setStatic(true);
+        world.addJoint(new me.RevoluteJoint(a.body, b.body, {
+            anchorA: new me.Vector2d(16, 8),
+            anchorB: new me.Vector2d(0, 8)
+        }));
+        world.step(16);
+        expect(a.pos.x).toBeCloseTo(24, 3);
+        expect(a.pos.y).toBeCloseTo(10, 3);
+    });
+
+    it("prismatic joint restricts movement to an axis within limits", function () {
+        var a = createBody(100, 100);
+        a.body.force.set(5, 0);
+        world.addJoint(new me.PrismaticJoint(a.body, undefined, {
+            anchorB: new me.Vector2d(100, 100),
+            axis: new me.Vector2d(1, 0),
+            lowerLimit: 0,
+            upperLimit: 20
+        }));
+        for (var i = 0; i < 10; i++) {
+            a.body.force.set(5, 0);
+            world.step(16);
+        }
+        expect(a.pos.y).toBeCloseTo(100, 3);
+        expect(a.pos.x).toBeCloseTo(120, 3);
+    });
+
+    it("connected bodies do not collide unless requested", function () {
+        var a = createBody(0, 0);
+        var b = createBody(8, 0);
+        var joint = new me.DistanceJoint(a.body, b.body);
+        world.addJoint(joint);
+        expect(world.detector.shouldCollide(a, b)).toEqual(false);
+        joint.collideConnected = true;
+        expect(world.detector.shouldCollide(a, b)).toEqual(true);
+        world.removeBody(b.body);
+        expect(world.joints.size).toEqual(0);
+    });
+});
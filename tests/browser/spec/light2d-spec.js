@@ -0,0 +1,33 @@
+import { expect } from "expect";
+
+describe("Light2d", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/webgl_test.html", {'waitUntil':'load'});
+    });
+
+    it("computes the visibility polygon once per frame when casting shadows", async () => {
+        expect(await page.evaluate(() => {
+            var me = globalThis.me;
+            var world = me.game.world;
+            var getVisibilityPolygon = world.getVisibilityPolygon;
+            var calls = 0;
+            var light = new me.Light2d(0, 0, 50);
+            light.castShadows = true;
+            world.getVisibilityPolygon = function () {
+                calls++;
+                return getVisibilityPolygon.apply(world, arguments);
+            };
+            var area = light.getVisibleArea();
+            var cached = light.getVisibleArea() === area && calls === 1;
+            // moving the light updates its visibility polygon
+            light.pos.x += 10;
+            light.getVisibleArea();
+            world.getVisibilityPolygon = getVisibilityPolygon;
+            light.destroy();
+            return [cached, calls];
+        })).toEqual([true, 2]);
+    });
+});
@@ -14,4 +14,120 @@ describe("Renderer test", function () {
             expect(await page.evaluate(() => globalThis.isCustomRenderer)).toEqual(true);
         });
     });
+
+    describe("WebGL Renderer", async () => {
+        var webgl;
+
+        before(async () => {
+            webgl = await browser.newPage();
+            await webgl.goto("http://localhost:8042/webgl_test.html", {'waitUntil':'load'});
+        });
+
+        it("should reserve a texture unit for render targets only when first used", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                renderer.reset();
+                var usedUnits = renderer.cache.usedUnits.size;
+                var target = renderer.createRenderTarget(16, 16);
+                var result = [
+                    renderer.cache.max_size === renderer.maxTextures,
+                    usedUnits,
+                    renderer.cache.usedUnits.size
+                ];
+                target.destroy();
+                return result;
+            })).toEqual([true, 0, 1]);
+        });
+
+        it("should draw the content of a render target", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                var gl = renderer.gl;
+                var pixel = new Uint8Array(4);
+                var target = renderer.createRenderTarget(16, 16);
+                renderer.setRenderTarget(target);
+                renderer.clearColor("#FF0000", false);
+                renderer.setRenderTarget();
+                renderer.clearColor("#000000", false);
+                renderer.drawRenderTarget(target, 0, 0);
+                renderer.flush();
+                // the render target is drawn in the top-left corner
+                gl.readPixels(8, renderer.getCanvas().height - 8, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+                target.destroy();
+                return Array.from(pixel);
+            })).toEqual([255, 0, 0, 255]);
+        });
+
+        it("render targets should not use texture units from the texture cache", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                var targets = [renderer.createRenderTarget(16, 16)];
+                var usedUnits = renderer.cache.usedUnits.size;
+                // more render targets than texture units
+                for (var i = 1; i <= renderer.maxTextures + 4; i++) {
+                    targets.push(renderer.createRenderTarget(16, 16));
+                    renderer.drawRenderTarget(targets[i], i * 16, 0);
+                }
+                renderer.flush();
+                var result = renderer.cache.usedUnits.size === usedUnits;
+                targets.forEach((target) => target.destroy());
+                return result;
+            })).toEqual(true);
+        });
+
+        it("should batch quads using different textures into a single draw call", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                var gl = renderer.gl;
+                var drawArrays = gl.drawArrays;
+                var calls = 0;
+                var images = ["#FF0000", "#0000FF"].map((color) => {
+                    var canvas = document.createElement("canvas");
+                    canvas.width = canvas.height = 16;
+                    var context = canvas.getContext("2d");
+                    context.fillStyle = color;
+                    context.fillRect(0, 0, 16, 16);
+                    return canvas;
+                });
+                renderer.setCompositor("quad");
+                renderer.clear();
+                gl.drawArrays = function () {
+                    calls++;
+                    return drawArrays.apply(gl, arguments);
+                };
+                renderer.drawImage(images[0], 0, 0);
+                renderer.drawImage(images[1], 16, 0);
+                renderer.drawImage(images[0], 32, 0);
+                renderer.flush();
+                gl.drawArrays = drawArrays;
+                var result = [calls, renderer.drawCalls];
+                images.forEach((image) => renderer.cache.delete(image));
+                return result;
+            })).toEqual([1, 1]);
+        });
+
+        it("should reset the draw calls counter every frame", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                renderer.fillRect(0, 0, 16, 16);
+                renderer.flush();
+                var drawCalls = renderer.drawCalls;
+                renderer.clear();
+                return [drawCalls > 0, renderer.drawCalls];
+            })).toEqual([true, 0]);
+        });
+
+        it("post effect render targets should be cleared to transparent", async () => {
+            expect(await webgl.evaluate(() => {
+                var renderer = globalThis.renderer;
+                var gl = renderer.gl;
+                var pixel = new Uint8Array(4);
+                var effects = [new globalThis.me.GrayscaleEffect(renderer)];
+                renderer.beginPostEffects(effects);
+                gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+                renderer.endPostEffects(effects);
+                return Array.from(pixel);
+            })).toEqual([0, 0, 0, 0]);
+        });
+    });
 });
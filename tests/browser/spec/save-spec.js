@@ -30,3 +30,222 @@ describe("local Storage", function () {
         }
     });
 });
+
+describe("save slots", function () {
+    after(function () {
+        me.save.deleteSlot("testSlotA");
+        me.save.deleteSlot("testSlotB");
+        me.save.deleteSlot("testSlotMigrate");
+        me.save.deleteSlot("testSlotFresh");
+        me.save.useSlot();
+    });
+
+    it("keeps separate data per slot", function () {
+        me.save.useSlot("testSlotA");
+        me.save.add({ slotScore: 10 });
+        me.save.slotScore = 42;
+        expect(me.save.meta.slot).toEqual("testSlotA");
+
+        me.save.useSlot("testSlotB");
+        // default value is applied to the new slot
+        expect(me.save.slotScore).toEqual(10);
+
+        me.save.useSlot("testSlotA");
+        expect(me.save.slotScore).toEqual(42);
+        expect(me.save.listSlots()).toContain("testSlotA");
+        me.save.remove("slotScore");
+    });
+
+    it("stores keys named like the slot information", function () {
+        me.save.useSlot("testSlotA");
+        me.save.add({ slot : "save1", version : 4, storage : "disk" });
+        expect(me.save.slot).toEqual("save1");
+        expect(me.save.version).toEqual(4);
+        expect(me.save.storage).toEqual("disk");
+        expect(me.save.meta.slot).toEqual("testSlotA");
+        me.save.remove("slot");
+        me.save.remove("version");
+        me.save.remove("storage");
+    });
+
+    it("warns when using a reserved key", function () {
+        var warn = console.warn;
+        var warnings = [];
+        console.warn = function (message) {
+            warnings.push(message);
+        };
+        me.save.add({ useSlot : 1, reservedTestKey : 2 });
+        me.save.remove("meta");
+        console.warn = warn;
+        expect(typeof me.save.useSlot).toEqual("function");
+        expect(me.save.reservedTestKey).toEqual(2);
+        expect(warnings.length).toEqual(2);
+        me.save.remove("reservedTestKey");
+    });
+
+    it("tracks changes to nested objects", function () {
+        me.save.useSlot("testSlotA");
+        me.save.add({ nested: { list: [1, 2] } });
+        me.save.nested.list.push(3);
+        me.save.nested.child = { a: 1 };
+        me.save.nested.child.a = 2;
+        expect(JSON.parse(JSON.stringify(me.save.nested))).toEqual({ list: [1, 2, 3], child: { a: 2 } });
+        if (me.device.localStorage === true) {
+            expect(JSON.parse(globalThis.localStorage.getItem("me.save:testSlotA.nested"))).toEqual({ list: [1, 2, 3], child: { a: 2 } });
+        }
+        me.save.remove("nested");
+    });
+
+    it("applies migrations in order when the version is increased", function () {
+        // a slot saved by a previous version of the application
+        me.save.meta.storage.setItem("me.save:testSlotMigrate", JSON.stringify(["lives"]));
+        me.save.meta.storage.setItem("me.save:testSlotMigrate.lives", "3");
+        me.save.useSlot("testSlotMigrate");
+        expect(me.save.meta.version).toEqual(0);
+        me.save.add({ lives: 3, health: 0 });
+        me.save.addMigration(2, (data) => {
+            data.health = data.hp * 2;
+            delete data.hp;
+        });
+        me.save.addMigration(1, (data) => {
+            data.hp = data.lives * 100;
+            delete data.lives;
+        });
+        me.save.setVersion(2);
+        expect(me.save.meta.version).toEqual(2);
+        expect(me.save.health).toEqual(600);
+        // renamed keys are not restored to their default value
+        expect(me.save.lives).toBeUndefined();
+        expect(me.save.meta.storage.getItem("me.save:testSlotMigrate.lives")).toBeNull();
+        me.save.remove("health");
+        me.save.remove("lives");
+    });
+
+    it("does not migrate slots without saved data", function () {
+        me.save.useSlot("testSlotFresh");
+        me.save.add({ health: 300 });
+        me.save.setVersion(3);
+        expect(me.save.meta.version).toEqual(3);
+        expect(me.save.health).toEqual(300);
+        me.save.remove("health");
+        me.save.setVersion(0);
+        me.save.useSlot();
+    });
+});
+
+describe("save storage adapters", function () {
+    var previous;
+
+    before(function () {
+        previous = me.save.meta.storage;
+    });
+
+    after(function () {
+        return me.save.setStorage(previous);
+    });
+
+    it("uses the in-memory adapter", function () {
+        return me.save.setStorage("memory").then(function () {
+            expect(me.save.meta.storage).toBeInstanceOf(me.MemoryStorageAdapter);
+            me.save.add({ memoryKey: 5 });
+            me.save.memoryKey = 6;
+            expect(me.save.meta.storage.getItem("me.save.memoryKey")).toEqual("6");
+            me.save.remove("memoryKey");
+            expect(me.save.meta.storage.getItem("me.save.memoryKey")).toBeNull();
+        });
+    });
+
+    it("uses a custom adapter and reports write failures", function () {
+        class FullStorageAdapter extends me.MemoryStorageAdapter {
+            setItem(key, value) {
+                if (key === "me.save.bigKey") {
+                    throw new Error("quota exceeded");
+                }
+                super.setItem(key, value);
+            }
+        }
+        me.save.registerStorage(new FullStorageAdapter("full"));
+        return me.save.setStorage("full").then(function () {
+            var failedKey;
+            var onError = function (error, key) {
+                failedKey = key;
+            };
+            me.event.on(me.event.SAVE_ERROR, onError);
+            me.save.add({ bigKey: "data" });
+            me.event.off(me.event.SAVE_ERROR, onError);
+            expect(failedKey).toEqual("me.save.bigKey");
+            me.save.remove("bigKey");
+        });
+    });
+
+    it("rejects unknown adapters", function () {
+        return me.save.setStorage("unknown").then(function () {
+            throw new Error("should not resolve");
+        }, function (error) {
+            expect(error.message).toContain("not supported");
+        });
+    });
+});
+
+describe("IndexedDB Storage", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/storage_test.html", {'waitUntil':'load'});
+    });
+
+    it("creates the object store missing from an existing database", async () => {
+        expect(await page.evaluate(async () => {
+            var me = globalThis.me;
+            var first = new me.IndexedDBStorageAdapter("first", "testDB", "first");
+            var second = new me.IndexedDBStorageAdapter("second", "testDB", "second");
+            await first.load();
+            await second.load();
+            await second.setItem("key", "value");
+            // the first connection is reopened after the database upgrade
+            await first.setItem("key", "other");
+            await second.load();
+            await first.load();
+            return [second.getItem("key"), first.getItem("key")];
+        })).toEqual(["value", "other"]);
+    });
+
+    it("closes the previous connection when loading again", async () => {
+        expect(await page.evaluate(async () => {
+            var me = globalThis.me;
+            var storage = new me.IndexedDBStorageAdapter("reload", "testReloadDB", "save");
+            await storage.load();
+            var db = storage.db;
+            await storage.load();
+            try {
+                db.transaction("save", "readonly");
+            } catch (e) {
+                // the previous connection can no longer be used
+                return storage.db !== db && e.name === "InvalidStateError";
+            }
+            return false;
+        })).toEqual(true);
+    });
+
+    it("rejects the loading when another connection blocks the database upgrade", async () => {
+        expect(await page.evaluate(async () => {
+            var me = globalThis.me;
+            // a connection that does not close when the database version changes
+            var db = await new Promise((resolve) => {
+                var request = globalThis.indexedDB.open("testBlockedDB");
+                request.onupgradeneeded = () => request.result.createObjectStore("other");
+                request.onsuccess = () => resolve(request.result);
+            });
+            var storage = new me.IndexedDBStorageAdapter("blocked", "testBlockedDB", "save");
+            try {
+                await storage.load();
+                return "loaded";
+            } catch (e) {
+                return e.message;
+            } finally {
+                db.close();
+            }
+        })).toEqual("IndexedDB database testBlockedDB upgrade blocked by another connection");
+    });
+});
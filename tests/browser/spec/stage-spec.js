@@ -0,0 +1,48 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("me.Stage", function () {
+    var stage, calls, camera, renderer;
+
+    beforeEach(function () {
+        calls = [];
+        stage = new me.Stage();
+        camera = {
+            draw : function () {
+                calls.push("camera");
+            }
+        };
+        stage.cameras.set("default", camera);
+        renderer = {
+            beginLighting : function () {
+                calls.push("beginLighting");
+            },
+            beginNormalPass : function () {
+                calls.push("beginNormalPass");
+            },
+            endLighting : function (lights, ambient) {
+                calls.push(["endLighting", lights, ambient]);
+            }
+        };
+    });
+
+    describe("dynamic lighting", function () {
+        it("draws the scene and its normals before applying the lights", function () {
+            stage.dynamicLighting = true;
+            stage.draw(renderer, {});
+            expect(calls).toEqual([
+                "beginLighting",
+                "camera",
+                "beginNormalPass",
+                "camera",
+                ["endLighting", stage.lights, stage.ambientLight]
+            ]);
+        });
+
+        it("falls back to the default rendering without lighting support", function () {
+            stage.dynamicLighting = true;
+            stage.draw({}, {});
+            expect(calls).toEqual(["camera"]);
+        });
+    });
+});
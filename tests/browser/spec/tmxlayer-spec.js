@@ -0,0 +1,677 @@
+import { expect } from "expect";
+
+describe("me.TMXLayer", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/tmx_test.html", {'waitUntil':'load'});
+        await page.waitForFunction(() => globalThis.loaded === true);
+    });
+
+    // a 5x5 layer filled with the first tile of the "terrain" tileset,
+    // the wang tiles of which cover all corner combinations of a single "Grass" terrain,
+    // the top-left, top-right, bottom-right and bottom-left corners being bits 0 to 3 of the tile id
+    beforeEach(async () => {
+        await page.evaluate(() => {
+            var tileset = new me.TMXTileset({ firstgid : 1, source : "terrain.json" });
+            var tilesets = new me.TMXTilesetGroup();
+            tilesets.add(tileset);
+
+            var map = { cols : 5, rows : 5, tilewidth : 16, tileheight : 16, infinite : 0 };
+            var renderer = new me.TMXOrthogonalRenderer(map);
+            map.getRenderer = function () {
+                return renderer;
+            };
+
+            globalThis.tileset = tileset;
+            globalThis.layer = new me.TMXLayer(map, {
+                name : "ground",
+                width : 5,
+                height : 5,
+                opacity : 1,
+                encoding : "none",
+                data : new Array(25).fill(1)
+            }, 16, 16, "orthogonal", tilesets, 0);
+        });
+    });
+
+    describe("wang sets", function () {
+        it("parses wang set colors and tiles", async () => {
+            expect(await page.evaluate(() => {
+                var wangset = tileset.getWangSet("Ground");
+                return [
+                    tileset.getWangSet() === wangset,
+                    layer.getWangSet() === wangset,
+                    wangset.type,
+                    wangset.colors,
+                    wangset.wangTiles.size,
+                    wangset.getTerrainId("Grass"),
+                    wangset.getWangId(layer.cellAt(0, 0))
+                ];
+            })).toEqual([
+                true,
+                true,
+                "corner",
+                [{ name : "Grass", color : "#00ff00", tile : 15, probability : 1 }],
+                16,
+                1,
+                [0, 0, 0, 0, 0, 0, 0, 0]
+            ]);
+        });
+
+        it("parses wang sets from the XML format", async () => {
+            expect(await page.evaluate(() => {
+                var wangset = new me.TMXTileset({ firstgid : 1, source : "terrain_xml.tsx" }).getWangSet("Ground");
+                return [
+                    wangset.type,
+                    wangset.colors,
+                    wangset.wangTiles.size,
+                    wangset.wangTiles.get(9),
+                    wangset.findTile([0, 1, 0, 1, 0, 1, 0, 1])
+                ];
+            })).toEqual([
+                "corner",
+                [{ name : "Grass", color : "#00ff00", tile : 15, probability : 1 }],
+                16,
+                [0, 0, 0, 0, 0, 1, 0, 1],
+                16
+            ]);
+        });
+
+        it("finds the tile matching a wang id", async () => {
+            expect(await page.evaluate(() => {
+                var wangset = tileset.getWangSet("Ground");
+                return [
+                    // all corners covered by grass
+                    wangset.findTile([0, 1, 0, 1, 0, 1, 0, 1]),
+                    // top-left corner only
+                    wangset.findTile([0, 0, 0, 0, 0, 0, 0, 1])
+                ];
+            })).toEqual([16, 2]);
+        });
+    });
+
+    describe("paintTerrain", function () {
+        it("paints the tile and updates its neighbours", async () => {
+            expect(await page.evaluate(() => {
+                return [
+                    layer.paintTerrain(2, 2, "Grass"),
+                    // fully covered tile
+                    layer.cellAt(2, 2).tileId,
+                    // right neighbour : top-left and bottom-left corners
+                    layer.cellAt(3, 2).tileId,
+                    // bottom neighbour : top-left and top-right corners
+                    layer.cellAt(2, 3).tileId,
+                    // top-left neighbour : bottom-right corner
+                    layer.cellAt(1, 1).tileId,
+                    // untouched tiles
+                    layer.cellAt(0, 0).tileId,
+                    layer.cellAt(4, 2).tileId
+                ];
+            })).toEqual([true, 16, 1 + 9, 1 + 3, 1 + 4, 1, 1]);
+        });
+
+        it("merges adjacent terrain", async () => {
+            expect(await page.evaluate(() => {
+                layer.paintTerrain(2, 2, 1);
+                layer.paintTerrain(3, 2, 1);
+                return [
+                    layer.cellAt(3, 2).tileId,
+                    // the tile above both painted tiles has both bottom corners covered
+                    layer.cellAt(2, 1).tileId
+                ];
+            })).toEqual([16, 1 + 12]);
+        });
+
+        it("erases terrain", async () => {
+            expect(await page.evaluate(() => {
+                layer.paintTerrain(2, 2, 1);
+                layer.paintTerrain(2, 2, 0);
+                return [layer.cellAt(2, 2).tileId, layer.cellAt(3, 2).tileId, layer.cellAt(1, 1).tileId];
+            })).toEqual([1, 1, 1]);
+        });
+    });
+
+    describe("infinite maps", function () {
+        beforeEach(async () => {
+            await page.evaluate(() => {
+                var tilesets = new me.TMXTilesetGroup();
+                tilesets.add(tileset);
+
+                var map = { cols : 8, rows : 4, tilewidth : 16, tileheight : 16, infinite : 1 };
+                var renderer = new me.TMXOrthogonalRenderer(map);
+                map.getRenderer = function () {
+                    return renderer;
+                };
+
+                globalThis.infinite = new me.TMXLayer(map, {
+                    name : "infinite",
+                    width : 8,
+                    height : 4,
+                    opacity : 1,
+                    chunks : [
+                        { x : -4, y : 0, width : 4, height : 4, data : new Array(16).fill(2) },
+                        { x : 0, y : 0, width : 4, height : 4, data : new Array(16).fill(3) },
+                        { x : 32, y : 0, width : 4, height : 4, data : new Array(16).fill(4) }
+                    ]
+                }, 16, 16, "orthogonal", tilesets, 0);
+            });
+        });
+
+        it("keeps chunks encoded until required", async () => {
+            expect(await page.evaluate(() => {
+                var encoded = Array.from(infinite.chunks.values()).every((chunk) => chunk.tiles === null);
+                return [
+                    infinite.chunks.size,
+                    encoded,
+                    infinite.cellAt(-3, 1).tileId,
+                    infinite.getChunk(-3, 1).tiles !== null,
+                    infinite.getChunk(0, 0).tiles,
+                    infinite.cellAt(100, 100)
+                ];
+            })).toEqual([3, true, 2, true, null, null]);
+        });
+
+        it("decodes chunks close to the camera and evicts far ones", async () => {
+            expect(await page.evaluate(() => {
+                infinite.chunkLoadDistance = 0;
+                infinite.chunkUnloadDistance = 64;
+                infinite.updateChunks(new me.Rect(0, 0, 32, 32));
+                var loaded = [
+                    infinite.getChunk(0, 0).tiles !== null,
+                    infinite.getChunk(-4, 0).tiles !== null,
+                    infinite.getChunk(32, 0).tiles !== null
+                ];
+                infinite.updateChunks(new me.Rect(512, 0, 32, 32));
+                return [
+                    loaded,
+                    [infinite.getChunk(32, 0).tiles !== null, infinite.getChunk(0, 0).tiles !== null]
+                ];
+            })).toEqual([[true, false, false], [true, false]]);
+        });
+
+        it("keeps tile changes when evicting chunks", async () => {
+            expect(await page.evaluate(() => {
+                infinite.setTile(infinite.getTileById(5, 1, 1), 1, 1);
+                infinite.clearTile(2, 1);
+                infinite.updateChunks(new me.Rect(2000, 2000, 32, 32));
+                return [
+                    infinite.getChunk(1, 1).tiles,
+                    infinite.cellAt(1, 1).tileId,
+                    infinite.cellAt(2, 1),
+                    infinite.cellAt(3, 1).tileId
+                ];
+            })).toEqual([null, 5, null, 3]);
+        });
+
+        it("extends the layer when setting tiles outside of the map", async () => {
+            expect(await page.evaluate(() => {
+                infinite.setTile(infinite.getTileById(6, 20, -10), 20, -10);
+                return [
+                    infinite.chunks.size,
+                    infinite.cellAt(20, -10).tileId,
+                    infinite.cellAt(21, -10),
+                    infinite.chunkBounds.top,
+                    infinite.getBounds().top,
+                    infinite.getBounds().left
+                ];
+            })).toEqual([4, 6, null, -12, -192, -64]);
+        });
+    });
+
+    describe("cached chunks", function () {
+        it("marks the chunks covering a changed tile as dirty", async () => {
+            expect(await page.evaluate(() => {
+                layer.cacheChunks = true;
+                layer.cacheChunkSize = 32;
+                var chunks = [layer.getCachedChunk(0, 0), layer.getCachedChunk(1, 1), layer.getCachedChunk(2, 2)];
+                chunks.forEach(function (chunk) {
+                    chunk.dirty = false;
+                });
+                var result = [chunks[1].x];
+
+                layer.setTile(layer.getTileById(2, 4, 4), 4, 4);
+                result.push(chunks.map((chunk) => chunk.dirty));
+
+                chunks[1].dirty = false;
+                layer.clearTile(1, 1);
+                result.push(chunks.map((chunk) => chunk.dirty));
+                return result;
+            })).toEqual([32, [false, true, true], [true, true, true]]);
+        });
+
+        it("evicts the least recently drawn chunks when exceeding the limit", async () => {
+            expect(await page.evaluate(() => {
+                var renderer = { drawImage : function () {} };
+                layer.cacheChunks = true;
+                layer.cacheChunkSize = 32;
+                layer.cacheChunkLimit = 2;
+                var visible = layer.getCachedChunk(0, 0);
+                visible.dirty = false;
+                visible.texture = { canvas : {} };
+                layer.getCachedChunk(1, 1);
+                layer.getCachedChunk(2, 2);
+                layer.getCachedChunk(3, 3).stamp = 0;
+
+                layer.drawCachedChunks(renderer, new me.Rect(0, 0, 32, 32));
+                return [
+                    layer.cachedChunks.size,
+                    layer.cachedChunks.get("0,0") === visible,
+                    layer.cachedChunks.has("3,3")
+                ];
+            })).toEqual([2, true, true]);
+        });
+    });
+
+    describe("tile collision shapes", function () {
+        // the second tile of the tileset is fully solid,
+        // and the third one a jump-through platform covering the bottom half of the tile
+        beforeEach(async () => {
+            await page.evaluate(() => {
+                layer.collidable = true;
+                for (var x = 1; x <= 3; x++) {
+                    layer.setTile(layer.getTileById(2, x, 1), x, 1);
+                    layer.setTile(layer.getTileById(2, x, 2), x, 2);
+                }
+                // horizontally flipped
+                layer.setTile(layer.getTileById(0x80000000 + 3, 0, 4), 0, 4);
+            });
+        });
+
+        it("reads the tile collision objects from the XML format", async () => {
+            expect(await page.evaluate(() => {
+                var xml = new me.TMXTileset({ firstgid : 1, source : "terrain_xml.tsx" });
+                var platform = xml.getCollisionObjects(3)[0];
+                var properties = {};
+                me.TMXUtils.applyTMXProperties(properties, platform);
+                return [
+                    Array.from(xml.collisionObjects.keys()),
+                    xml.getCollisionObjects(2).length,
+                    +platform.y,
+                    +platform.height,
+                    properties.oneWay
+                ];
+            })).toEqual([[2, 3], 1, 8, 8, "up"]);
+        });
+
+        it("merges adjacent full tiles into a single static body", async () => {
+            expect(await page.evaluate(() => {
+                var objects = layer.getCollisionObjects();
+                var merged = objects[1];
+                var platform = objects[0];
+                return [
+                    objects.length,
+                    merged.body.isStatic,
+                    merged.body.collisionType === me.collision.types.WORLD_SHAPE,
+                    merged.getBounds().left,
+                    merged.getBounds().top,
+                    merged.body.getBounds().width,
+                    merged.body.getBounds().height,
+                    platform.body.getBounds().top,
+                    platform.body.getBounds().height,
+                    platform.body.getShapeSettings(0).oneWay.y
+                ];
+            })).toEqual([2, true, true, 16, 16, 48, 32, 8, 8, -1]);
+        });
+
+        it("updates the collision bodies when changing tiles", async () => {
+            expect(await page.evaluate(() => {
+                var container = new me.World(0, 0, 80, 80);
+                var result = [];
+                container.addChild(layer);
+                layer.getCollisionObjects().forEach(function (obj) {
+                    container.addChild(obj);
+                });
+                result.push([container.getChildren().length, container.bodies.size]);
+
+                layer.clearTile(2, 1);
+                // the merged rectangle is split into three bodies
+                result.push([container.getChildren().length, container.bodies.size]);
+
+                layer.setTile(layer.getTileById(2, 2, 1), 2, 1);
+                result.push([container.getChildren().length, container.bodies.size]);
+                return result;
+            })).toEqual([[3, 2], [5, 4], [3, 2]]);
+        });
+
+        it("replaces the previously created collision bodies", async () => {
+            expect(await page.evaluate(() => {
+                var container = new me.World(0, 0, 80, 80);
+                var result = [];
+                container.addChild(layer);
+                layer.getCollisionObjects().forEach(function (obj) {
+                    container.addChild(obj);
+                });
+                layer.getCollisionObjects().forEach(function (obj) {
+                    container.addChild(obj);
+                });
+                result.push([container.getChildren().length, container.bodies.size]);
+
+                layer.clearTile(2, 1);
+                result.push([container.getChildren().length, container.bodies.size]);
+                return result;
+            })).toEqual([[3, 2], [5, 4]]);
+        });
+
+        it("rebuilds the collision bodies once per edit", async () => {
+            expect(await page.evaluate(() => {
+                var container = new me.World(0, 0, 80, 80);
+                var createCollisionSector = layer.createCollisionSector;
+                var rebuilds = 0;
+                var result = [];
+                layer.historyLimit = 10;
+                container.addChild(layer);
+                layer.getCollisionObjects().forEach(function (obj) {
+                    container.addChild(obj);
+                });
+                layer.createCollisionSector = function (sx, sy) {
+                    rebuilds++;
+                    return createCollisionSector.call(this, sx, sy);
+                };
+
+                layer.fillRect(0, 0, 5, 5, 2);
+                // a single body covering the whole layer
+                result.push([rebuilds, container.getChildren().length, container.bodies.size]);
+
+                layer.undo();
+                result.push([rebuilds, container.getChildren().length, container.bodies.size]);
+                return result;
+            })).toEqual([[1, 2, 1], [2, 3, 2]]);
+        });
+
+        it("does not create bodies for non collidable layers", async () => {
+            expect(await page.evaluate(() => {
+                layer.collidable = false;
+                return layer.getCollisionObjects().length;
+            })).toEqual(0);
+        });
+    });
+
+    describe("editing", function () {
+        it("fills an area and notifies the changed tiles", async () => {
+            expect(await page.evaluate(() => {
+                var changes = [];
+                var listener = function (target, col, row, tile, previous) {
+                    changes.push([col, row, tile !== null ? tile.tileId : 0, previous.tileId]);
+                };
+                me.event.on(me.event.TILE_CHANGED, listener);
+                var filled = layer.fillRect(3, 3, 4, 4, 2);
+                me.event.off(me.event.TILE_CHANGED, listener);
+
+                return [
+                    filled,
+                    layer.cellAt(4, 4).tileId,
+                    changes.length,
+                    changes[0],
+                    // unchanged tiles are not notified
+                    layer.fillRect(3, 3, 2, 2, 2)
+                ];
+            })).toEqual([4, 2, 4, [3, 3, 2, 1], 0]);
+        });
+
+        it("flood fills connected tiles", async () => {
+            expect(await page.evaluate(() => {
+                layer.fillRect(0, 2, 5, 1, 2);
+                return [
+                    // the row of tiles splits the layer in two areas
+                    layer.floodFill(0, 0, 3),
+                    layer.cellAt(4, 1).tileId,
+                    layer.cellAt(0, 2).tileId,
+                    layer.cellAt(0, 3).tileId,
+                    layer.floodFill(0, 0, 3)
+                ];
+            })).toEqual([10, 3, 2, 1, 0]);
+        });
+
+        it("uses the map orientation to find connected tiles", async () => {
+            expect(await page.evaluate(() => {
+                var map = {
+                    orientation : "hexagonal", cols : 5, rows : 5, tilewidth : 16, tileheight : 16,
+                    hexsidelength : 8, staggeraxis : "y", staggerindex : "odd"
+                };
+                var neighbours = new me.TMXHexagonalRenderer(map).getNeighbours(2, 2);
+                var contains = (col, row) => neighbours.some((neighbour) => neighbour[0] === col && neighbour[1] === row);
+                var result = [neighbours.length, contains(1, 1), contains(2, 3), contains(3, 2), contains(3, 1)];
+                map.orientation = "staggered";
+                result.push(new me.TMXStaggeredRenderer(map).getNeighbours(2, 2).length);
+                result.push(new me.TMXOrthogonalRenderer({ cols : 5, rows : 5, tilewidth : 16, tileheight : 16 }).getNeighbours(2, 2));
+                return result;
+            })).toEqual([6, true, true, true, false, 4, [[2, 1], [3, 2], [2, 3], [1, 2]]]);
+        });
+
+        it("copies and pastes a transformed region", async () => {
+            expect(await page.evaluate(() => {
+                layer.setTile(layer.getTileById(2, 0, 0), 0, 0);
+                layer.setTile(layer.getTileById(3, 1, 0), 1, 0);
+                var region = layer.copyRegion(0, 0, 2, 1);
+                var result = [region.data];
+
+                // rotated clockwise, the region becomes vertical
+                result.push(layer.pasteRegion(region, 3, 2, { rotate : 90 }));
+                var tile = layer.cellAt(3, 2);
+                result.push([tile.tileId, tile.flippedAD, tile.flippedX, tile.flippedY, layer.cellAt(3, 3).tileId]);
+
+                // flipped horizontally
+                layer.pasteRegion(region, 0, 4, { flipX : true });
+                result.push([layer.cellAt(0, 4).tileId, layer.cellAt(0, 4).flippedX, layer.cellAt(1, 4).tileId]);
+                return result;
+            })).toEqual([[2, 3], 2, [2, true, true, false, 3], [3, true, 2]]);
+        });
+
+        it("undoes and redoes edits", async () => {
+            expect(await page.evaluate(() => {
+                layer.historyLimit = 2;
+                layer.fillRect(0, 0, 2, 2, 2);
+                layer.setTile(layer.getTileById(3, 4, 4), 4, 4);
+                layer.clearTile(0, 0);
+
+                // only the last two edits are kept
+                var undo = [
+                    layer.undo(),
+                    layer.cellAt(0, 0).tileId,
+                    layer.undo(),
+                    layer.cellAt(4, 4).tileId,
+                    layer.undo(),
+                    layer.cellAt(1, 1).tileId
+                ];
+                var redo = [
+                    layer.redo(),
+                    layer.cellAt(4, 4).tileId,
+                    layer.redo(),
+                    layer.cellAt(0, 0),
+                    layer.redo()
+                ];
+                return [undo, redo];
+            })).toEqual([[true, 2, true, 1, false, 2], [true, 3, true, null, false]]);
+        });
+    });
+
+    describe("depth sorting", function () {
+        // a 4x4 layer of the given orientation, the bottom of each drawn tile being logged
+        beforeEach(async () => {
+            await page.evaluate(() => {
+                globalThis.createLayer = function (Renderer, settings, tileheight) {
+                    var log = [];
+                    var tall = new me.TMXTileset({
+                        firstgid : 1, name : "tall", image : "terrain", tilewidth : 32, tileheight : tileheight, tilecount : 4, columns : 2
+                    });
+                    tall.drawTile = function (renderer, x, y) {
+                        // record the bottom of the drawn tile
+                        log.push(y + tileheight);
+                    };
+                    var tilesets = new me.TMXTilesetGroup();
+                    tilesets.add(tall);
+
+                    var map = Object.assign({ cols : 4, rows : 4, tilewidth : 32, tileheight : 16, infinite : 0 }, settings);
+                    var renderer = new Renderer(map);
+                    map.getRenderer = function () {
+                        return renderer;
+                    };
+                    var depthLayer = new me.TMXLayer(map, {
+                        name : "buildings",
+                        width : 4,
+                        height : 4,
+                        opacity : 1,
+                        encoding : "none",
+                        data : new Array(16).fill(1)
+                    }, 32, 16, map.orientation, tilesets, 0);
+                    depthLayer.preRender = false;
+
+                    var container = new me.World(0, 0, 128, 64);
+                    container.addChild(depthLayer);
+
+                    globalThis.container = container;
+                    globalThis.log = log;
+                    return depthLayer;
+                };
+                globalThis.createObject = function (name, y) {
+                    var obj = new me.Renderable(40, y, 8, 8);
+                    obj.anchorPoint.set(0, 0);
+                    obj.inViewport = true;
+                    obj.preDraw = obj.postDraw = function () {};
+                    obj.draw = function () {
+                        log.push(name);
+                    };
+                    return container.addChild(obj);
+                };
+                // each object is drawn after the tiles standing behind it, and before the ones in front of it
+                globalThis.isDrawnBetween = function (name, depth) {
+                    var index = log.indexOf(name);
+                    return index > -1 && log.every(function (bottom, i) {
+                        return typeof bottom !== "number" || (i < index) === (bottom <= depth);
+                    });
+                };
+                globalThis.isoLayer = createLayer(me.TMXIsometricRenderer, { orientation : "isometric" }, 32);
+            });
+        });
+
+        it("draws the objects between the tile rows in front of and behind them", async () => {
+            expect(await page.evaluate(() => {
+                var player = isoLayer.addDepthObject(createObject("player", 12));
+                isoLayer.addDepthObject(createObject("enemy", 0));
+                var result = [player.depthLayer === isoLayer];
+
+                isoLayer.draw(undefined, new me.Rect(0, 0, 128, 64));
+                result.push(isDrawnBetween("player", 20), isDrawnBetween("enemy", 8));
+                result.push(log.indexOf("enemy") < log.indexOf("player"));
+                return result;
+            })).toEqual([true, true, true, true]);
+        });
+
+        it("draws the objects between the tile rows on hexagonal and staggered layers", async () => {
+            expect(await page.evaluate(() => {
+                return [
+                    [me.TMXHexagonalRenderer, { orientation : "hexagonal", hexsidelength : 8, staggeraxis : "y", staggerindex : "odd" }],
+                    [me.TMXStaggeredRenderer, { orientation : "staggered", staggeraxis : "y", staggerindex : "odd" }]
+                ].map(function (entry) {
+                    var depthLayer = createLayer(entry[0], entry[1], 16);
+                    depthLayer.addDepthObject(createObject("player", 12));
+                    depthLayer.addDepthObject(createObject("enemy", 0));
+                    depthLayer.draw(undefined, new me.Rect(0, 0, 128, 64));
+                    return [isDrawnBetween("player", 20), isDrawnBetween("enemy", 8), log.indexOf("enemy") < log.indexOf("player")];
+                });
+            })).toEqual([[true, true, true], [true, true, true]]);
+        });
+
+        it("lets the container draw the objects when the layer is not drawn or once removed", async () => {
+            expect(await page.evaluate(() => {
+                var player = isoLayer.addDepthObject(createObject("player", 12));
+                var drawn = [];
+                container.getChildren().forEach(function (child) {
+                    child.preDraw = child.postDraw = function () {};
+                    child.draw = function () {
+                        drawn.push(child);
+                    };
+                });
+                var renderer = { save : function () {}, restore : function () {}, translate : function () {}, clearColor : function () {} };
+                var isDrawnByContainer = function () {
+                    drawn.length = 0;
+                    container.draw(renderer, new me.Rect(0, 0, 128, 64));
+                    return drawn.includes(player);
+                };
+                isoLayer.inViewport = true;
+                var result = [isDrawnByContainer()];
+
+                // hidden layer
+                isoLayer.setOpacity(0);
+                result.push(isDrawnByContainer());
+                isoLayer.setOpacity(1);
+
+                // layer outside of the viewport
+                isoLayer.inViewport = false;
+                result.push(isDrawnByContainer());
+
+                isoLayer.removeDepthObject(player);
+                result.push(typeof player.depthLayer, isoLayer.depthObjects.length);
+                return result;
+            })).toEqual([false, true, true, "undefined", 0]);
+        });
+    });
+});
+
+describe("me.TMXLayer cached chunks (WebGL)", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/webgl_test.html", {'waitUntil':'load'});
+    });
+
+    it("draws several cached layers filling the viewport using a single texture unit", async () => {
+        expect(await page.evaluate(() => new Promise((resolve, reject) => {
+            var me = globalThis.me;
+            var renderer = globalThis.renderer;
+            var initialUnits = renderer.cache.usedUnits.size;
+            me.loader.load({ name : "rect", type : "image", src : "./data/img/rect.png" }, () => {
+                var tileset = new me.TMXTileset({
+                    firstgid : 1, name : "rect", image : "rect", tilewidth : 16, tileheight : 16, tilecount : 8, columns : 2
+                });
+                var tilesets = new me.TMXTilesetGroup();
+                tilesets.add(tileset);
+
+                // 1024x768 maps covering the 800x600 viewport
+                var map = { cols : 64, rows : 48, tilewidth : 16, tileheight : 16, infinite : 0 };
+                var tmxRenderer = new me.TMXOrthogonalRenderer(map);
+                map.getRenderer = function () {
+                    return tmxRenderer;
+                };
+
+                var layers = [];
+                for (var i = 0; i < 3; i++) {
+                    var layer = new me.TMXLayer(map, {
+                        name : "layer" + i,
+                        width : 64,
+                        height : 48,
+                        opacity : 1,
+                        encoding : "none",
+                        data : new Array(64 * 48).fill(1 + i)
+                    }, 16, 16, "orthogonal", tilesets, i);
+                    // 7x5 visible chunks per layer, more than the available texture units
+                    layer.cacheChunks = true;
+                    layer.cacheChunkSize = 128;
+                    layers.push(layer);
+                }
+
+                var viewport = new me.Rect(0, 0, 800, 600);
+                renderer.clear();
+                layers.forEach((layer) => layer.draw(renderer, viewport));
+                renderer.flush();
+                var usedUnits = renderer.cache.usedUnits.size;
+                // chunks are only drawn again when changed
+                layers.forEach((layer) => layer.draw(renderer, viewport));
+                renderer.flush();
+
+                var result = [
+                    usedUnits === renderer.cache.usedUnits.size,
+                    // the tileset texture and the render targets unit
+                    usedUnits - initialUnits <= 2,
+                    layers.map((layer) => layer.cachedChunks.size),
+                    layers.every((layer) => Array.from(layer.cachedChunks.values()).every((cache) => cache.dirty === false && typeof cache.texture === "undefined"))
+                ];
+                layers.forEach((layer) => layer.onDeactivateEvent());
+                resolve(result);
+            }, reject);
+        }))).toEqual([true, true, [35, 35, 35], true]);
+    });
+});
@@ -0,0 +1,153 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("me.TMXObject", function () {
+
+    function createMap(objects) {
+        var map = new me.TMXTileMap("template_test", {
+            width : 10,
+            height : 10,
+            tilewidth : 16,
+            tileheight : 16,
+            orientation : "orthogonal",
+            version : "1.10",
+            layers : [{
+                type : "objectgroup",
+                name : "objects",
+                objects : objects
+            }]
+        });
+        map.readMapObjects(map.data);
+        return map.objectGroups[0].objects;
+    }
+
+    describe("object templates", function () {
+        before(function () {
+            me.loader.load({
+                name : "crate",
+                type : "tx",
+                data : {
+                    type : "template",
+                    object : {
+                        name : "crate",
+                        class : "box",
+                        width : 32,
+                        height : 32,
+                        ellipse : true,
+                        properties : [
+                            { name : "health", type : "int", value : 3 },
+                            { name : "solid", type : "bool", value : true }
+                        ]
+                    }
+                }
+            });
+        });
+
+        after(function () {
+            me.loader.unload({ name : "crate", type : "tx" });
+        });
+
+        it("applies the template default values", function () {
+            var object = createMap([{ id : 1, template : "templates/crate.tx", x : 10, y : 20 }])[0];
+            expect(object.name).toEqual("crate");
+            expect(object.class).toEqual("box");
+            expect(object.isEllipse).toEqual(true);
+            expect(object.width).toEqual(32);
+            expect(object.x).toEqual(10);
+            expect(object.health).toEqual(3);
+            expect(object.solid).toEqual(true);
+        });
+
+        it("lets instances override the template values and properties", function () {
+            var object = createMap([{
+                id : 1,
+                template : "crate.tx",
+                x : 0,
+                y : 0,
+                name : "big crate",
+                width : 64,
+                properties : [{ name : "health", type : "int", value : 5 }]
+            }])[0];
+            expect(object.name).toEqual("big crate");
+            expect(object.width).toEqual(64);
+            expect(object.height).toEqual(32);
+            expect(object.health).toEqual(5);
+            expect(object.solid).toEqual(true);
+        });
+
+        it("throws if the template is not loaded", function () {
+            expect(function () {
+                createMap([{ id : 1, template : "missing.tx", x : 0, y : 0 }]);
+            }).toThrow();
+        });
+    });
+});
+
+describe("me.TMXObject tile templates", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/tmx_test.html", {'waitUntil':'load'});
+        await page.waitForFunction(() => globalThis.loaded === true);
+    });
+
+    it("remaps the template tile to the map tileset", async () => {
+        expect(await page.evaluate(() => {
+            me.loader.load({
+                name : "coin",
+                type : "tx",
+                data : {
+                    type : "template",
+                    tileset : { firstgid : 1, source : "terrain.json" },
+                    object : { name : "coin", gid : 3, width : 16, height : 16 }
+                }
+            });
+            me.loader.load({
+                name : "flipped_coin",
+                type : "tx",
+                data : {
+                    type : "template",
+                    tileset : { firstgid : 1, source : "terrain.json" },
+                    // horizontally flipped tile
+                    object : { name : "coin", gid : 0x80000000 + 3, width : 16, height : 16 }
+                }
+            });
+
+            // the same tileset, used as the second one of the map
+            var tileset = new me.TMXTileset({ firstgid : 11, source : "terrain.json" });
+            var tilesets = new me.TMXTilesetGroup();
+            tilesets.add(tileset);
+
+            var map = new me.TMXTileMap("template_test", {
+                width : 10,
+                height : 10,
+                tilewidth : 16,
+                tileheight : 16,
+                orientation : "orthogonal",
+                version : "1.10",
+                layers : [{
+                    type : "objectgroup",
+                    name : "objects",
+                    objects : [
+                        { id : 1, template : "coin.tx", x : 0, y : 16 },
+                        { id : 2, template : "flipped_coin.tx", x : 16, y : 16 },
+                        // instance tiles are already using the map gids
+                        { id : 3, template : "coin.tx", x : 32, y : 16, gid : 12 }
+                    ]
+                }]
+            });
+            map.tilesets = tilesets;
+            map.readMapObjects(map.data);
+
+            var objects = map.objectGroups[0].objects;
+            return [
+                objects[0].gid,
+                objects[0].tile.tileset === tileset,
+                objects[1].gid,
+                objects[1].tile.flippedX,
+                objects[2].gid
+            ];
+        })).toEqual([13, true, 0x80000000 + 13, true, 12]);
+    });
+});
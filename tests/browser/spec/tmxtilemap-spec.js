@@ -0,0 +1,134 @@
+import { expect } from "expect";
+
+describe("me.TMXTileMap", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/tmx_test.html", {'waitUntil':'load'});
+        await page.waitForFunction(() => globalThis.loaded === true);
+    });
+
+    beforeEach(async () => {
+        await page.evaluate(() => {
+            var tilesets = new me.TMXTilesetGroup();
+            tilesets.add(new me.TMXTileset({ firstgid : 1, source : "terrain.json" }));
+
+            var map = new me.TMXTileMap("export_test", {
+                width : 4,
+                height : 2,
+                tilewidth : 16,
+                tileheight : 16,
+                orientation : "orthogonal",
+                version : "1.10",
+                nextlayerid : 3,
+                nextobjectid : 2,
+                properties : { difficulty : 2 },
+                layers : [{
+                    id : 1,
+                    type : "tilelayer",
+                    name : "ground",
+                    width : 4,
+                    height : 2,
+                    opacity : 1,
+                    encoding : "csv",
+                    data : "1,2,3,4,5,6,7,8",
+                    properties : [{ name : "collidable", type : "bool", value : false }]
+                }, {
+                    id : 2,
+                    type : "objectgroup",
+                    name : "objects",
+                    objects : [{
+                        id : 1, name : "door", x : "16", y : "8", width : 16, height : 16,
+                        properties : { target : "level 2" }
+                    }, {
+                        id : 2, x : 0, y : 0, polygon : [{ x : 0, y : 0 }, { x : 16, y : 0 }, { x : 16, y : 16 }]
+                    }]
+                }]
+            });
+            map.tilesets = tilesets;
+            map.readMapObjects(map.data);
+            map.data.tilesets = [{ firstgid : 1, source : "terrain.json" }];
+
+            globalThis.map = map;
+            globalThis.layer = map.getLayers()[0];
+        });
+    });
+
+    describe("toJSON", function () {
+        it("exports the map and its current tiles", async () => {
+            var json = await page.evaluate(() => {
+                layer.setTile(layer.getTileById(0x80000000 + 9, 1, 0), 1, 0);
+                layer.clearTile(3, 1);
+                return map.toJSON();
+            });
+            expect(json.type).toEqual("map");
+            expect(json.width).toEqual(4);
+            expect(json.nextobjectid).toEqual(2);
+            expect(json.properties).toEqual([{ name : "difficulty", type : "int", value : 2 }]);
+            expect(json.tilesets).toEqual([{ firstgid : 1, source : "terrain.json" }]);
+
+            var ground = json.layers[0];
+            expect(ground.type).toEqual("tilelayer");
+            expect(ground.id).toEqual(1);
+            expect(ground.encoding).toBeUndefined();
+            expect(ground.data).toEqual([1, 0x80000000 + 9, 3, 4, 5, 6, 7, 0]);
+            expect(ground.properties).toEqual([{ name : "collidable", type : "bool", value : false }]);
+
+            var objects = json.layers[1].objects;
+            expect(objects[0]).toEqual({
+                id : 1, name : "door", x : 16, y : 8, width : 16, height : 16,
+                properties : [{ name : "target", type : "string", value : "level 2" }]
+            });
+            expect(objects[1].polygon.length).toEqual(3);
+        });
+
+        it("encodes the tiles in base64", async () => {
+            expect(await page.evaluate(() => {
+                var ground = map.toJSON({ encoding : "base64" }).layers[0];
+                var result = [ground.encoding, typeof ground.data, Array.from(me.TMXUtils.decode(ground.data, "base64"))];
+                // compression requires a deflate function
+                try {
+                    map.toJSON({ encoding : "base64", compression : "zlib" });
+                    result.push("not thrown");
+                } catch (e) {
+                    result.push("thrown");
+                }
+                return result;
+            })).toEqual(["base64", "string", [1, 2, 3, 4, 5, 6, 7, 8], "thrown"]);
+        });
+
+        it("can be loaded back from csv data", async () => {
+            expect(await page.evaluate(() => {
+                layer.setTile(layer.getTileById(12, 2, 1), 2, 1);
+                var json = map.toJSON();
+                var copy = new me.TMXLayer(map, json.layers[0], 16, 16, "orthogonal", map.tilesets, 0);
+                return [copy.cellAt(2, 1).tileId, copy.cellAt(3, 1).tileId];
+            })).toEqual([12, 8]);
+        });
+
+        it("can be loaded back from base64 data", async () => {
+            expect(await page.evaluate(() => {
+                layer.setTile(layer.getTileById(12, 2, 1), 2, 1);
+                var json = map.toJSON({ encoding : "base64" });
+                var copy = new me.TMXLayer(map, json.layers[0], 16, 16, "orthogonal", map.tilesets, 0);
+                return [copy.cellAt(2, 1).tileId, copy.cellAt(3, 1).tileId];
+            })).toEqual([12, 8]);
+        });
+    });
+
+    describe("toTMX", function () {
+        it("writes the map as a TMX document", async () => {
+            var tmx = await page.evaluate(() => map.toTMX());
+            expect(tmx.indexOf("<?xml")).toEqual(0);
+            expect(tmx).toContain("<map version=\"1.10\" orientation=\"orthogonal\" renderorder=\"right-down\" width=\"4\" height=\"2\"");
+            expect(tmx).toContain("<tileset firstgid=\"1\" source=\"terrain.json\"/>");
+            expect(tmx).toContain("<layer id=\"1\" name=\"ground\" x=\"0\" y=\"0\" width=\"4\" height=\"2\" opacity=\"1\" visible=\"1\">");
+            expect(tmx).toContain("<data encoding=\"csv\">\n1,2,3,4,\n5,6,7,8\n</data>");
+            expect(tmx).toContain("<property name=\"collidable\" type=\"bool\" value=\"false\"/>");
+            expect(tmx).toContain("<object id=\"1\" name=\"door\" x=\"16\" y=\"8\" width=\"16\" height=\"16\">");
+            expect(tmx).toContain("<property name=\"target\" value=\"level 2\"/>");
+            expect(tmx).toContain("<polygon points=\"0,0 16,0 16,16\"/>");
+        });
+    });
+});
@@ -0,0 +1,132 @@
+import { expect } from "expect";
+
+describe("me.TMXTileset", function () {
+    var page;
+
+    before(async () => {
+        page = await browser.newPage();
+        await page.goto("http://localhost:8042/tmx_test.html", {'waitUntil':'load'});
+        await page.waitForFunction(() => globalThis.loaded === true);
+    });
+
+    // the "water" tileset animates its first tile with the two first tiles (100ms each),
+    // and its fifth tile with the fifth and sixth ones (50ms each)
+    beforeEach(async () => {
+        await page.evaluate(() => {
+            var tileset = new me.TMXTileset({ firstgid : 1, source : "water.json" });
+            var time = me.timer.now;
+
+            globalThis.tileset = tileset;
+            // advance the global timer and update the tileset animations
+            globalThis.step = function (dt) {
+                time += dt;
+                me.timer.now = time;
+                return tileset.update(dt);
+            };
+            me.tileAnimationClock.resume();
+            me.tileAnimationClock.speed = 1;
+        });
+    });
+
+    afterEach(async () => {
+        await page.evaluate(() => {
+            me.tileAnimationClock.resume();
+            me.tileAnimationClock.reset();
+        });
+    });
+
+    it("parses the tile animations", async () => {
+        expect(await page.evaluate(() => {
+            var animation = tileset.getAnimation(1);
+            return [
+                tileset.isAnimated,
+                Array.from(tileset.animations.keys()),
+                animation.frames.map((frame) => [frame.tileid, frame.duration]),
+                animation.speed,
+                animation.paused,
+                tileset.isAnimationPaused(5)
+            ];
+        })).toEqual([true, [0, 4], [[0, 100], [1, 100]], 1, false, false]);
+    });
+
+    it("animates tiles", async () => {
+        expect(await page.evaluate(() => {
+            var first = tileset.getViewTileId(1);
+            return [first, step(100), tileset.getViewTileId(1), tileset.getViewTileId(5)];
+        })).toEqual([0, true, 1, 4]);
+    });
+
+    it("pauses and resumes animations per tile or per tileset", async () => {
+        expect(await page.evaluate(() => {
+            var result = [];
+            tileset.pauseAnimation(1);
+            step(100);
+            result.push([tileset.isAnimationPaused(1), tileset.getViewTileId(1), tileset.getViewTileId(5)]);
+
+            tileset.resumeAnimation(1);
+            tileset.pauseAnimation();
+            result.push([step(100), tileset.isAnimationPaused(5), tileset.getViewTileId(5)]);
+
+            tileset.resumeAnimation();
+            step(100);
+            result.push(tileset.getViewTileId(1));
+            try {
+                tileset.pauseAnimation(2);
+                result.push("not thrown");
+            } catch (e) {
+                result.push("thrown");
+            }
+            return result;
+        })).toEqual([[true, 0, 4], [false, true, 4], 1, "thrown"]);
+    });
+
+    it("changes the animation speed", async () => {
+        expect(await page.evaluate(() => {
+            var result = [];
+            tileset.setAnimationSpeed(0.5, 1);
+            step(100);
+            result.push(tileset.getViewTileId(1));
+            step(100);
+            result.push(tileset.getViewTileId(1));
+
+            // both the tileset and tile speeds apply
+            tileset.setAnimationSpeed(2);
+            step(100);
+            result.push(tileset.getViewTileId(1), tileset.getViewTileId(5));
+            return result;
+        })).toEqual([0, 1, 0, 4]);
+    });
+
+    it("swaps or removes animation frames", async () => {
+        expect(await page.evaluate(() => {
+            var result = [];
+            tileset.setAnimationFrames(1, [{ tileid : 8, duration : 100 }, { tileid : 9, duration : 100 }]);
+            result.push(tileset.getViewTileId(1));
+            step(100);
+            result.push(tileset.getViewTileId(1));
+
+            tileset.setAnimationFrames(1, []);
+            tileset.setAnimationFrames(5);
+            result.push(tileset.getViewTileId(1), tileset.isAnimated);
+            return result;
+        })).toEqual([8, 9, 0, false]);
+    });
+
+    it("follows the global tile animation clock", async () => {
+        expect(await page.evaluate(() => {
+            var result = [];
+            me.tileAnimationClock.pause();
+            step(100);
+            result.push(tileset.getViewTileId(1));
+            me.tileAnimationClock.resume();
+
+            // synchronized animations only depend on the clock time
+            me.tileAnimationClock.reset();
+            tileset.syncAnimations = true;
+            me.tileAnimationClock.speed = 3;
+            step(50);
+            result.push(me.tileAnimationClock.time, tileset.getViewTileId(1), tileset.getViewTileId(5));
+            return result;
+        })).toEqual([0, 150, 1, 5]);
+    });
+});
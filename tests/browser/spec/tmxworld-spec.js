@@ -0,0 +1,131 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("me.TMXWorld", function () {
+    var tmxWorld, container;
+
+    function mapData() {
+        return {
+            width : 10,
+            height : 10,
+            tilewidth : 16,
+            tileheight : 16,
+            orientation : "orthogonal",
+            version : "1.10",
+            layers : [{
+                type : "objectgroup",
+                name : "objects",
+                objects : [{ id : 1, x : 16, y : 16, width : 32, height : 32 }]
+            }]
+        };
+    }
+
+    before(function () {
+        ["world_a", "world_b", "world_far", "region_2_1"].forEach(function (name) {
+            me.loader.load({ name : name, type : "tmx", data : mapData() });
+        });
+    });
+
+    after(function () {
+        ["world_a", "world_b", "world_far", "region_2_1"].forEach(function (name) {
+            me.loader.unload({ name : name, type : "tmx" });
+        });
+    });
+
+    beforeEach(function () {
+        tmxWorld = new me.TMXWorld("overworld", {
+            type : "world",
+            maps : [
+                { fileName : "world_a.tmx", x : 0, y : 0, width : 160, height : 160 },
+                { fileName : "world_b.tmx", x : 160, y : 0, width : 160, height : 160 },
+                // size taken from the map itself
+                { fileName : "maps/world_far.tmx", x : 1000, y : 0 }
+            ],
+            patterns : [{
+                regexp : "region_(\\d+)_(\\d+)\\.tmx",
+                multiplierX : 160,
+                multiplierY : 160,
+                mapWidth : 160,
+                mapHeight : 160
+            }]
+        });
+        tmxWorld.loadDistance = 0;
+        tmxWorld.unloadDistance = 100;
+        container = new me.World(0, 0, 2000, 2000);
+        tmxWorld.addTo(container, true, false);
+    });
+
+    afterEach(function () {
+        tmxWorld.destroy();
+    });
+
+    it("parses the world maps and patterns", function () {
+        expect(tmxWorld.maps.length).toEqual(4);
+        expect(tmxWorld.maps[2].name).toEqual("world_far");
+        expect(tmxWorld.maps[2].width).toEqual(160);
+        var region = tmxWorld.getMapAt(330, 170);
+        expect(region.name).toEqual("region_2_1");
+        expect(region.x).toEqual(320);
+        expect(region.y).toEqual(160);
+        var bounds = tmxWorld.getBounds();
+        expect(bounds.width).toEqual(1160);
+        expect(bounds.height).toEqual(320);
+    });
+
+    it("loads the maps close to the given area at their world position", function () {
+        tmxWorld.update(new me.Rect(100, 0, 100, 100));
+        expect(tmxWorld.maps[0].loaded).toEqual(true);
+        expect(tmxWorld.maps[1].loaded).toEqual(true);
+        expect(tmxWorld.maps[2].loaded).toEqual(false);
+
+        var mapB = tmxWorld.maps[1].container;
+        expect(mapB.ancestor).toBe(container);
+        expect(mapB.pos.x).toEqual(160);
+        // the map objects are part of the physic world, at their world position
+        var object = mapB.getChildren()[0];
+        expect(container.bodies.has(object.body)).toEqual(true);
+        expect(object.getBounds().left).toEqual(176);
+    });
+
+    it("adds the bodies of non-flattened object groups to the physic world", function () {
+        tmxWorld.destroy();
+        container = new me.World(0, 0, 2000, 2000);
+        tmxWorld.addTo(container, false, false);
+        tmxWorld.update(new me.Rect(0, 0, 100, 100));
+        var group = tmxWorld.maps[0].container.getChildren()[0];
+        expect(group).toBeInstanceOf(me.Container);
+        var object = group.getChildren()[0];
+        expect(container.bodies.has(object.body)).toEqual(true);
+    });
+
+    it("unloads the maps moving away from the given area", function () {
+        tmxWorld.update(new me.Rect(100, 0, 100, 100));
+        var object = tmxWorld.maps[0].container.getChildren()[0];
+
+        // still within the unload distance
+        tmxWorld.update(new me.Rect(200, 0, 100, 100));
+        expect(tmxWorld.maps[0].loaded).toEqual(true);
+
+        tmxWorld.update(new me.Rect(400, 0, 100, 100));
+        expect(tmxWorld.maps[0].loaded).toEqual(false);
+        expect(tmxWorld.maps[0].container).toBeUndefined();
+        expect(container.bodies.has(object.body)).toEqual(false);
+        // and reloads them when coming back
+        tmxWorld.update(new me.Rect(0, 0, 100, 100));
+        expect(tmxWorld.maps[0].loaded).toEqual(true);
+        expect(tmxWorld.maps[0].container.getChildren().length).toEqual(1);
+    });
+
+    it("keeps persistent objects when unloading a map", function () {
+        tmxWorld.update(new me.Rect(100, 0, 100, 100));
+        var player = new me.Renderable(10, 20, 16, 16);
+        player.isPersistent = true;
+        tmxWorld.maps[1].container.addChild(player);
+
+        tmxWorld.update(new me.Rect(1000, 0, 100, 100));
+        expect(tmxWorld.maps[1].loaded).toEqual(false);
+        expect(player.ancestor).toBe(container);
+        expect(player.pos.x).toEqual(170);
+        expect(player.pos.y).toEqual(20);
+    });
+});
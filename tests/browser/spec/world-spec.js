@@ -0,0 +1,206 @@
+import { expect } from "expect";
+import * as me from "./../public/lib/melonjs.module.js";
+
+describe("Physics : me.World spatial queries", function () {
+    var world, wall, enemy;
+
+    function addObject(x, y, w, h, type) {
+        var renderable = new me.Renderable(x, y, w, h);
+        renderable.anchorPoint.set(0, 0);
+        renderable.body = new me.Body(renderable, new me.Rect(0, 0, w, h));
+        renderable.body.setStatic(true);
+        renderable.body.collisionType = type;
+        world.addChild(renderable);
+        world.broadphase.insert(renderable);
+        return renderable;
+    }
+
+    beforeEach(function () {
+        world = new me.World(0, 0, 1000, 1000);
+        wall = addObject(100, 0, 20, 200, me.collision.types.WORLD_SHAPE);
+        enemy = addObject(200, 50, 32, 32, me.collision.types.ENEMY_OBJECT);
+    });
+
+    it("queryPoint returns the bodies containing the point", function () {
+        var hits = world.queryPoint(110, 100);
+        expect(hits.length).toEqual(1);
+        expect(hits[0].body).toBe(wall.body);
+        expect(world.queryPoint(150, 100).length).toEqual(0);
+    });
+
+    it("queryShape returns overlapping bodies with contact data", function () {
+        var hits = world.queryShape(new me.Rect(90, 90, 15, 10));
+        expect(hits.length).toEqual(1);
+        expect(hits[0].body).toBe(wall.body);
+        expect(hits[0].depth).toBeCloseTo(5, 5);
+        // pointing from the wall toward the query shape
+        expect(hits[0].normal.x).toEqual(-1);
+    });
+
+    it("queryShape supports ellipses and collision masks", function () {
+        var blast = new me.Ellipse(160, 70, 120, 120);
+        expect(world.queryShape(blast).length).toEqual(2);
+        var hits = world.queryShape(blast, me.collision.types.ENEMY_OBJECT);
+        expect(hits.length).toEqual(1);
+        expect(hits[0].body).toBe(enemy.body);
+    });
+
+    it("queryRect returns the bodies within the given area", function () {
+        expect(world.queryRect(190, 40, 20, 20).length).toEqual(1);
+        expect(world.queryRect(130, 40, 20, 20).length).toEqual(0);
+    });
+
+    it("sweep returns the bodies hit, ordered by time of impact", function () {
+        var shape = new me.Rect(0, 60, 10, 10);
+        var hits = world.sweep(shape, new me.Vector2d(0, 60), new me.Vector2d(300, 60));
+        expect(hits.length).toEqual(2);
+        expect(hits[0].body).toBe(wall.body);
+        expect(hits[1].body).toBe(enemy.body);
+        expect(hits[0].fraction).toBeLessThan(hits[1].fraction);
+        // the shape right edge reaches the wall at x = 100
+        expect(hits[0].position.x).toBeGreaterThanOrEqual(89);
+        expect(hits[0].position.x).toBeLessThanOrEqual(91);
+        expect(hits[0].normal.x).toEqual(-1);
+        // the query shape is left untouched
+        expect(shape.pos.x).toEqual(0);
+    });
+
+    it("sweep ignores bodies not matching the mask", function () {
+        var hits = world.sweep(
+            new me.Rect(0, 60, 10, 10),
+            new me.Vector2d(0, 60),
+            new me.Vector2d(300, 60),
+            me.collision.types.ENEMY_OBJECT
+        );
+        expect(hits.length).toEqual(1);
+        expect(hits[0].body).toBe(enemy.body);
+    });
+
+    it("getVisibilityPolygon excludes the area behind occluders", function () {
+        var fov = world.getVisibilityPolygon(50, 100, 100);
+        expect(fov.pos.x).toEqual(50);
+        expect(fov.contains(80, 100)).toEqual(true);
+        expect(fov.contains(0, 100)).toEqual(true);
+        expect(fov.contains(50, 20)).toEqual(true);
+        // hidden by the wall
+        expect(fov.contains(130, 100)).toEqual(false);
+        // out of range
+        expect(fov.contains(50, 210)).toEqual(false);
+        // the given polygon is reused
+        expect(world.getVisibilityPolygon(50, 100, 100, 100, me.collision.types.WORLD_SHAPE, fov)).toBe(fov);
+        // without occluders, the area is only limited by its radius
+        fov = world.getVisibilityPolygon(50, 100, 100, 100, me.collision.types.NPC_OBJECT, fov);
+        expect(fov.contains(130, 100)).toEqual(true);
+    });
+
+    it("hasLineOfSight checks for occluders between two points", function () {
+        var eye = new me.Vector2d(50, 100);
+        expect(world.hasLineOfSight(eye, new me.Vector2d(90, 100))).toEqual(true);
+        expect(world.hasLineOfSight(eye, new me.Vector2d(210, 60))).toEqual(false);
+        expect(world.hasLineOfSight(eye, new me.Vector2d(210, 60), me.collision.types.NPC_OBJECT)).toEqual(true);
+    });
+});
+
+describe("Physics : fixed timestep", function () {
+    function createWorld() {
+        var world = new me.World(0, 0, 1000, 1000);
+        world.fixedStep = 1 / 50;
+        var box = new me.Renderable(0, 0, 10, 10);
+        box.alwaysUpdate = true;
+        box.body = new me.Body(box, new me.Rect(0, 0, 10, 10));
+        box.body.ignoreGravity = true;
+        box.body.vel.set(1, 0);
+        box.body.setMaxVelocity(100, 100);
+        world.addChild(box);
+        return { world : world, box : box };
+    }
+
+    it("only steps the simulation when a full step has elapsed", function () {
+        var test = createWorld();
+        test.world.fixedUpdate(10);
+        expect(test.box.pos.x).toEqual(0);
+        expect(test.world.stepAlpha).toBeCloseTo(0.5, 5);
+        expect(test.box.body.stepAlpha).toBeCloseTo(0.5, 5);
+        test.world.fixedUpdate(10);
+        expect(test.box.pos.x).toBeGreaterThan(0);
+        expect(test.box.body.prevPos.x).toEqual(0);
+    });
+
+    it("gives the same results regardless of the frame rate", function () {
+        var slow = createWorld(), fast = createWorld();
+        var i;
+        slow.box.body.ignoreGravity = fast.box.body.ignoreGravity = false;
+        for (i = 0; i < 30; i++) {
+            slow.world.fixedUpdate(32);
+        }
+        for (i = 0; i < 120; i++) {
+            fast.world.fixedUpdate(8);
+        }
+        expect(slow.box.pos.y).toBeGreaterThan(0);
+        expect(slow.box.pos.y).toEqual(fast.box.pos.y);
+    });
+
+    it("scales velocities by one for a step matching the nominal frame duration", function () {
+        var test = createWorld();
+        test.world.fixedStep = 1 / me.timer.maxfps;
+        test.box.body.setFriction(0, 0);
+        test.world.fixedUpdate(1000 / me.timer.maxfps);
+        expect(test.box.pos.x).toBeCloseTo(1, 5);
+    });
+
+    it("moves bodies the same distance over time regardless of the step size", function () {
+        var normal = createWorld(), half = createWorld();
+        normal.world.fixedStep = 1 / me.timer.maxfps;
+        half.world.fixedStep = 1 / (me.timer.maxfps * 2);
+        for (var i = 0; i < me.timer.maxfps; i++) {
+            normal.world.fixedUpdate(1000 / me.timer.maxfps);
+            half.world.fixedUpdate(1000 / me.timer.maxfps);
+        }
+        // one second at one pixel per nominal frame
+        expect(normal.box.pos.x).toBeCloseTo(me.timer.maxfps, 5);
+        expect(half.box.pos.x).toBeCloseTo(normal.box.pos.x, 5);
+    });
+
+    it("moves bodies by their velocity when not using fixed steps", function () {
+        var test = createWorld();
+        var tick = me.timer.tick;
+        test.world.fixedStep = 0;
+        test.box.body.setFriction(0, 0);
+        // e.g. with timer.interpolation enabled
+        me.timer.tick = 2;
+        test.world.step(1000 / me.timer.maxfps);
+        me.timer.tick = tick;
+        expect(test.box.body.stepScale).toEqual(1);
+        expect(test.box.pos.x).toBeCloseTo(1, 5);
+    });
+
+    it("draws entities at their interpolated position", function () {
+        var test = createWorld();
+        var entity = new me.Entity(0, 0, { width : 10, height : 10 });
+        var offset = { x : 0, y : 0 };
+        var renderer = {
+            save : function () {},
+            translate : function (x, y) {
+                offset.x += x;
+                offset.y += y;
+            }
+        };
+        entity.alwaysUpdate = true;
+        entity.body.ignoreGravity = true;
+        entity.body.vel.set(4, 0);
+        test.world.addChild(entity);
+        test.world.fixedUpdate(20);
+        test.world.fixedUpdate(10);
+        expect(entity.body.stepAlpha).toBeCloseTo(0.5, 5);
+        entity.preDraw(renderer);
+        // half way between the previous and the current position
+        expect(offset.x).toBeCloseTo((entity.body.prevPos.x + entity.pos.x) / 2, 5);
+    });
+
+    it("discards time exceeding the maximum amount of steps", function () {
+        var test = createWorld();
+        test.world.maxSubSteps = 5;
+        test.world.fixedUpdate(1000);
+        expect(test.world.stepAccumulator).toBeLessThan(20);
+    });
+});